@@ -96,6 +96,15 @@ export default [
       yoda: ['error', 'never'],
     },
   },
+  {
+    // Scripts served to the browser (src/public/js)
+    files: ['src/public/js/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.browser,
+      },
+    },
+  },
   {
     ignores: ['node_modules/**', 'data/**', 'dist/**', 'coverage/**'],
   },
@@ -0,0 +1,31 @@
+import prisma from '../src/config/prisma.js'
+import { SPEC_FIELDS, withHardwareSpecs } from '../src/utils/hardwareSpecs.js'
+
+// Fill the structured specs of existing stations from their text fields
+// Values already set are kept, so the script can be run again safely
+async function main() {
+  const stations = await prisma.station.findMany()
+
+  await prisma.$transaction(
+    stations.map(station => {
+      const specs = withHardwareSpecs(station)
+      return prisma.station.update({
+        where: { id: station.id },
+        data: Object.fromEntries(
+          SPEC_FIELDS.map(field => [field, specs[field]])
+        ),
+      })
+    })
+  )
+
+  console.log(`Structured specs filled for ${stations.length} station(s).`)
+}
+
+main()
+  .catch(e => {
+    console.error(e)
+    throw new Error('Backfill failed')
+  })
+  .finally(async () => {
+    await prisma.$disconnect()
+  })
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN "cancelledAt" DATETIME;
+ALTER TABLE "Booking" ADD COLUMN "checkedInAt" DATETIME;
+ALTER TABLE "Booking" ADD COLUMN "completedAt" DATETIME;
+ALTER TABLE "Booking" ADD COLUMN "confirmedAt" DATETIME;
+ALTER TABLE "Booking" ADD COLUMN "noShowAt" DATETIME;
+
+-- Backfill confirmation date of existing bookings
+UPDATE "Booking" SET "confirmedAt" = "createdAt" WHERE "status" = 'confirmed';
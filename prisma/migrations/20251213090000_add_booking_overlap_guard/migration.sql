@@ -0,0 +1,34 @@
+-- CreateIndex
+CREATE INDEX "Booking_stationId_startTime_idx" ON "Booking"("stationId", "startTime");
+
+-- Reject overlapping active bookings on the same station at the database level.
+-- Active statuses must stay in sync with ACTIVE_BOOKING_STATUSES
+-- (src/config/bookingLifecycle.js). The service maps BOOKING_OVERLAP to a 409.
+CREATE TRIGGER "Booking_no_overlap_insert"
+BEFORE INSERT ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
+
+CREATE TRIGGER "Booking_no_overlap_update"
+BEFORE UPDATE OF "stationId", "startTime", "endTime", "status" ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "id" <> NEW."id"
+          AND "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Station" ADD COLUMN "isPremium" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "UserQuota" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "maxConcurrentBookings" INTEGER,
+    "maxHoursPerDay" INTEGER,
+    "maxPremiumHours" INTEGER,
+    "cooldownMinutes" INTEGER,
+    "exempt" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "UserQuota_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserQuota_userId_key" ON "UserQuota"("userId");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN "sequence" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Station" ADD COLUMN "calendarToken" TEXT;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "calendarToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Station_calendarToken_key" ON "Station"("calendarToken");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_calendarToken_key" ON "User"("calendarToken");
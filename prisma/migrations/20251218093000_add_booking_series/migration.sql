@@ -0,0 +1,80 @@
+-- CreateTable
+CREATE TABLE "BookingSeries" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "frequency" TEXT NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "until" DATETIME NOT NULL,
+    "startTime" DATETIME NOT NULL,
+    "endTime" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    CONSTRAINT "BookingSeries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "BookingSeries_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Booking" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startTime" DATETIME NOT NULL,
+    "endTime" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'confirmed',
+    "confirmedAt" DATETIME,
+    "checkedInAt" DATETIME,
+    "completedAt" DATETIME,
+    "cancelledAt" DATETIME,
+    "noShowAt" DATETIME,
+    "sequence" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    "groupId" INTEGER,
+    "seriesId" INTEGER,
+    CONSTRAINT "Booking_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Booking_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Booking_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "BookingGroup" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Booking_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "BookingSeries" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Booking" ("cancelledAt", "checkedInAt", "completedAt", "confirmedAt", "createdAt", "endTime", "groupId", "id", "noShowAt", "sequence", "startTime", "stationId", "status", "updatedAt", "userId") SELECT "cancelledAt", "checkedInAt", "completedAt", "confirmedAt", "createdAt", "endTime", "groupId", "id", "noShowAt", "sequence", "startTime", "stationId", "status", "updatedAt", "userId" FROM "Booking";
+DROP TABLE "Booking";
+ALTER TABLE "new_Booking" RENAME TO "Booking";
+CREATE INDEX "Booking_stationId_startTime_idx" ON "Booking"("stationId", "startTime");
+CREATE INDEX "Booking_groupId_idx" ON "Booking"("groupId");
+CREATE INDEX "Booking_seriesId_idx" ON "Booking"("seriesId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Dropping the table dropped its triggers: restore the overlap guard
+-- (same definition as 20251213090000_add_booking_overlap_guard)
+CREATE TRIGGER "Booking_no_overlap_insert"
+BEFORE INSERT ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
+
+CREATE TRIGGER "Booking_no_overlap_update"
+BEFORE UPDATE OF "stationId", "startTime", "endTime", "status" ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "id" <> NEW."id"
+          AND "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
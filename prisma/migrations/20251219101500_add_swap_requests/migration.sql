@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "SwapRequest" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "bookingId" INTEGER NOT NULL,
+    "targetBookingId" INTEGER NOT NULL,
+    CONSTRAINT "SwapRequest_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SwapRequest_targetBookingId_fkey" FOREIGN KEY ("targetBookingId") REFERENCES "Booking" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "SwapRequest_bookingId_idx" ON "SwapRequest"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "SwapRequest_targetBookingId_idx" ON "SwapRequest"("targetBookingId");
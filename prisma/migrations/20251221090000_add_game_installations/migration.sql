@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "GameInstallation" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "status" TEXT NOT NULL DEFAULT 'installed',
+    "version" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    "gameId" INTEGER NOT NULL,
+    CONSTRAINT "GameInstallation_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "GameInstallation_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "Game" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "GameInstallation_gameId_idx" ON "GameInstallation"("gameId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GameInstallation_stationId_gameId_key" ON "GameInstallation"("stationId", "gameId");
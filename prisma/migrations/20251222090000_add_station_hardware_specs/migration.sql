@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Station" ADD COLUMN "ramGb" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "storageGb" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "storageType" TEXT;
+ALTER TABLE "Station" ADD COLUMN "gpuVendor" TEXT;
+ALTER TABLE "Station" ADD COLUMN "gpuModel" TEXT;
+ALTER TABLE "Station" ADD COLUMN "gpuVramGb" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "cpuCores" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "cpuThreads" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "monitorRefreshHz" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "monitorResolution" TEXT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Game" ADD COLUMN "minRamGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "minVramGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "minStorageGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "minCpuCores" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "recommendedRamGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "recommendedVramGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "recommendedStorageGb" INTEGER;
+ALTER TABLE "Game" ADD COLUMN "recommendedCpuCores" INTEGER;
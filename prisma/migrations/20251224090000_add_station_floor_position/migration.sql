@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Station" ADD COLUMN "mapX" INTEGER;
+ALTER TABLE "Station" ADD COLUMN "mapY" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Station_mapX_mapY_key" ON "Station"("mapX", "mapY");
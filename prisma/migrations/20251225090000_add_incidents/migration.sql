@@ -0,0 +1,100 @@
+-- CreateTable
+CREATE TABLE "Incident" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "category" TEXT NOT NULL,
+    "severity" TEXT NOT NULL DEFAULT 'minor',
+    "description" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolution" TEXT,
+    "restoreStatus" TEXT,
+    "assignedAt" DATETIME,
+    "resolvedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    "reporterId" INTEGER NOT NULL,
+    "assigneeId" INTEGER,
+    CONSTRAINT "Incident_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Incident_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Incident_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Incident_stationId_status_idx" ON "Incident"("stationId", "status");
+
+-- CreateIndex
+CREATE INDEX "Incident_reporterId_idx" ON "Incident"("reporterId");
+
+-- CreateIndex
+CREATE INDEX "Incident_assigneeId_idx" ON "Incident"("assigneeId");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Booking" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startTime" DATETIME NOT NULL,
+    "endTime" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'confirmed',
+    "confirmedAt" DATETIME,
+    "checkedInAt" DATETIME,
+    "completedAt" DATETIME,
+    "cancelledAt" DATETIME,
+    "noShowAt" DATETIME,
+    "sequence" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "stationId" INTEGER NOT NULL,
+    "groupId" INTEGER,
+    "seriesId" INTEGER,
+    "gameId" INTEGER,
+    "incidentId" INTEGER,
+    CONSTRAINT "Booking_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Booking_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Booking_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "BookingGroup" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Booking_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "BookingSeries" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Booking_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "Game" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Booking_incidentId_fkey" FOREIGN KEY ("incidentId") REFERENCES "Incident" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Booking" ("cancelledAt", "checkedInAt", "completedAt", "confirmedAt", "createdAt", "endTime", "gameId", "groupId", "id", "noShowAt", "sequence", "seriesId", "startTime", "stationId", "status", "updatedAt", "userId") SELECT "cancelledAt", "checkedInAt", "completedAt", "confirmedAt", "createdAt", "endTime", "gameId", "groupId", "id", "noShowAt", "sequence", "seriesId", "startTime", "stationId", "status", "updatedAt", "userId" FROM "Booking";
+DROP TABLE "Booking";
+ALTER TABLE "new_Booking" RENAME TO "Booking";
+CREATE INDEX "Booking_stationId_startTime_idx" ON "Booking"("stationId", "startTime");
+CREATE INDEX "Booking_groupId_idx" ON "Booking"("groupId");
+CREATE INDEX "Booking_seriesId_idx" ON "Booking"("seriesId");
+CREATE INDEX "Booking_gameId_idx" ON "Booking"("gameId");
+CREATE INDEX "Booking_incidentId_idx" ON "Booking"("incidentId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Dropping the table dropped its triggers: restore the overlap guard
+-- (same definition as 20251213090000_add_booking_overlap_guard)
+CREATE TRIGGER "Booking_no_overlap_insert"
+BEFORE INSERT ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
+
+CREATE TRIGGER "Booking_no_overlap_update"
+BEFORE UPDATE OF "stationId", "startTime", "endTime", "status" ON "Booking"
+WHEN NEW."status" IN ('pending', 'confirmed', 'checked_in')
+BEGIN
+    SELECT RAISE(ABORT, 'BOOKING_OVERLAP')
+    WHERE EXISTS (
+        SELECT 1 FROM "Booking"
+        WHERE "id" <> NEW."id"
+          AND "stationId" = NEW."stationId"
+          AND "status" IN ('pending', 'confirmed', 'checked_in')
+          AND "startTime" < NEW."endTime"
+          AND "endTime" > NEW."startTime"
+    );
+END;
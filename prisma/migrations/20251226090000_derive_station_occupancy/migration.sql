@@ -0,0 +1,2 @@
+-- Occupancy is now derived from bookings: "booked" is no longer a stored status
+UPDATE "Station" SET "status" = 'available' WHERE "status" = 'booked';
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "EquipmentItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "assetTag" TEXT NOT NULL,
+    "serialNumber" TEXT,
+    "type" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'available',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "stationId" INTEGER,
+    CONSTRAINT "EquipmentItem_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "EquipmentLoan" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "checkedOutAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dueAt" DATETIME NOT NULL,
+    "returnedAt" DATETIME,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    CONSTRAINT "EquipmentLoan_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "EquipmentItem" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "EquipmentLoan_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EquipmentItem_assetTag_key" ON "EquipmentItem"("assetTag");
+
+-- CreateIndex
+CREATE INDEX "EquipmentItem_stationId_idx" ON "EquipmentItem"("stationId");
+
+-- CreateIndex
+CREATE INDEX "EquipmentLoan_itemId_returnedAt_idx" ON "EquipmentLoan"("itemId", "returnedAt");
+
+-- CreateIndex
+CREATE INDEX "EquipmentLoan_userId_idx" ON "EquipmentLoan"("userId");
+
+-- CreateIndex
+CREATE INDEX "EquipmentLoan_dueAt_idx" ON "EquipmentLoan"("dueAt");
+
+-- At most one open loan per item: a concurrent second check-out of the same
+-- item fails on this index (partial indexes are not expressible in the schema)
+CREATE UNIQUE INDEX "EquipmentLoan_itemId_open_key" ON "EquipmentLoan"("itemId") WHERE "returnedAt" IS NULL;
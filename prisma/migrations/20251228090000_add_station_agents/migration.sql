@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "Station" ADD COLUMN "agentToken" TEXT;
+
+-- CreateTable
+CREATE TABLE "StationHeartbeat" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "online" BOOLEAN NOT NULL DEFAULT true,
+    "loggedInUser" TEXT,
+    "runningGame" TEXT,
+    "cpuTempC" REAL,
+    "gpuTempC" REAL,
+    "uptimeSeconds" INTEGER,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "stationId" INTEGER NOT NULL,
+    CONSTRAINT "StationHeartbeat_stationId_fkey" FOREIGN KEY ("stationId") REFERENCES "Station" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Station_agentToken_key" ON "Station"("agentToken");
+
+-- CreateIndex
+CREATE INDEX "StationHeartbeat_stationId_receivedAt_idx" ON "StationHeartbeat"("stationId", "receivedAt");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "StationTemplate" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "cpu" TEXT NOT NULL,
+    "gpu" TEXT NOT NULL,
+    "ram" TEXT NOT NULL,
+    "storage" TEXT NOT NULL,
+    "ramGb" INTEGER,
+    "storageGb" INTEGER,
+    "storageType" TEXT,
+    "gpuVendor" TEXT,
+    "gpuModel" TEXT,
+    "gpuVramGb" INTEGER,
+    "cpuCores" INTEGER,
+    "cpuThreads" INTEGER,
+    "monitorRefreshHz" INTEGER,
+    "monitorResolution" TEXT,
+    "monitor" TEXT NOT NULL,
+    "keyboard" TEXT NOT NULL,
+    "mouse" TEXT NOT NULL,
+    "headset" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StationTemplate_name_key" ON "StationTemplate"("name");
@@ -1,5 +1,6 @@
 import prisma from '../src/config/prisma.js'
 import bcrypt from 'bcrypt'
+import { withHardwareSpecs } from '../src/utils/hardwareSpecs.js'
 
 const games = [
   {
@@ -9,6 +10,13 @@ const games = [
     minPlayers: 2,
     maxPlayers: 10,
     description: 'Tactical FPS reference game',
+    minRamGb: 8,
+    minVramGb: 1,
+    minStorageGb: 85,
+    minCpuCores: 4,
+    recommendedRamGb: 16,
+    recommendedVramGb: 8,
+    recommendedCpuCores: 8,
   },
   {
     name: 'League of Legends',
@@ -17,6 +25,13 @@ const games = [
     minPlayers: 2,
     maxPlayers: 10,
     description: 'Competitive team-based MOBA',
+    minRamGb: 4,
+    minVramGb: 1,
+    minStorageGb: 16,
+    minCpuCores: 2,
+    recommendedRamGb: 8,
+    recommendedVramGb: 2,
+    recommendedCpuCores: 4,
   },
   {
     name: 'Valorant',
@@ -25,6 +40,13 @@ const games = [
     minPlayers: 2,
     maxPlayers: 10,
     description: 'Tactical FPS with agents',
+    minRamGb: 4,
+    minVramGb: 1,
+    minStorageGb: 35,
+    minCpuCores: 2,
+    recommendedRamGb: 8,
+    recommendedVramGb: 4,
+    recommendedCpuCores: 6,
   },
   {
     name: 'Apex Legends',
@@ -33,6 +55,13 @@ const games = [
     minPlayers: 3,
     maxPlayers: 60,
     description: 'Battle royale with hero abilities',
+    minRamGb: 6,
+    minVramGb: 1,
+    minStorageGb: 75,
+    minCpuCores: 4,
+    recommendedRamGb: 16,
+    recommendedVramGb: 8,
+    recommendedCpuCores: 6,
   },
 ]
 
@@ -48,6 +77,12 @@ const stationsData = [
     mouse: 'Logitech G Pro X2',
     headset: 'SteelSeries Arctis Nova Pro',
     status: 'available',
+    isPremium: true,
+    zone: 'A',
+    row: '1',
+    seat: 1,
+    mapX: 2,
+    mapY: 2,
   },
   {
     name: 'Gaming Station Beta',
@@ -60,6 +95,11 @@ const stationsData = [
     mouse: 'Razer DeathAdder V3',
     headset: 'HyperX Cloud Alpha',
     status: 'available',
+    zone: 'A',
+    row: '1',
+    seat: 2,
+    mapX: 3,
+    mapY: 2,
   },
   {
     name: 'Gaming Station Gamma',
@@ -71,7 +111,12 @@ const stationsData = [
     keyboard: 'Logitech G915 TKL',
     mouse: 'Glorious Model O',
     headset: 'Corsair HS80 RGB',
-    status: 'booked',
+    status: 'available',
+    zone: 'A',
+    row: '1',
+    seat: 3,
+    mapX: 4,
+    mapY: 2,
   },
   {
     name: 'Gaming Station Delta',
@@ -84,6 +129,11 @@ const stationsData = [
     mouse: 'Finalmouse Ultralight 2',
     headset: 'Astro A50 Wireless',
     status: 'maintenance',
+    zone: 'A',
+    row: '2',
+    seat: 1,
+    mapX: 2,
+    mapY: 4,
   },
   {
     name: 'Gaming Station Epsilon',
@@ -96,6 +146,11 @@ const stationsData = [
     mouse: 'SteelSeries Rival 3',
     headset: 'Logitech G Pro X',
     status: 'available',
+    zone: 'B',
+    row: '1',
+    seat: 1,
+    mapX: 8,
+    mapY: 2,
   },
 ]
 
@@ -110,6 +165,12 @@ async function main() {
       password: hashedPassword,
       role: 'admin',
     },
+    {
+      username: 'staff',
+      email: 'staff@lanparty.com',
+      password: hashedPassword,
+      role: 'staff',
+    },
     {
       username: 'gamer1',
       email: 'gamer1@lanparty.com',
@@ -130,13 +191,21 @@ async function main() {
     },
   ]
 
+  // Items outlive their station (SetNull): clear them explicitly
+  await prisma.equipmentItem.deleteMany()
   await prisma.booking.deleteMany()
+  await prisma.bookingGroup.deleteMany()
+  await prisma.bookingSeries.deleteMany()
   await prisma.game.deleteMany()
   await prisma.station.deleteMany()
   await prisma.user.deleteMany()
+  await prisma.stationTemplate.deleteMany()
 
   await prisma.game.createMany({ data: games })
-  await prisma.station.createMany({ data: stationsData })
+  // Structured specs (RAM GB, GPU vendor...) are read from the text fields
+  await prisma.station.createMany({
+    data: stationsData.map(station => withHardwareSpecs(station)),
+  })
   await prisma.user.createMany({ data: usersData })
 
   console.log('Games, Stations, Users created.')
@@ -150,22 +219,25 @@ async function main() {
     {
       startTime: new Date(now.getTime() + 2 * 60 * 60 * 1000),
       endTime: new Date(now.getTime() + 3 * 60 * 60 * 1000),
-      status: "confirmed",
-      userId: allUsers[1].id,
+      status: 'confirmed',
+      confirmedAt: now,
+      userId: allUsers[2].id,
       stationId: allStations[0].id,
     },
     {
       startTime: new Date(now.getTime() - 1 * 60 * 60 * 1000),
       endTime: new Date(now.getTime() + 1 * 60 * 60 * 1000),
-      status: "confirmed",
-      userId: allUsers[2].id,
+      status: 'confirmed',
+      confirmedAt: now,
+      userId: allUsers[3].id,
       stationId: allStations[1].id,
     },
     {
       startTime: new Date(now.getTime() + 24 * 60 * 60 * 1000),
       endTime: new Date(now.getTime() + 25 * 60 * 60 * 1000),
-      status: "confirmed",
-      userId: allUsers[3].id,
+      status: 'confirmed',
+      confirmedAt: now,
+      userId: allUsers[4].id,
       stationId: allStations[2].id,
     },
   ]
@@ -173,6 +245,121 @@ async function main() {
   await prisma.booking.createMany({ data: bookings })
   console.log('Bookings created.')
 
+  // Every game on every station, the last station still updating
+  const allGames = await prisma.game.findMany()
+  const installations = allStations.flatMap((station, index) =>
+    allGames.map(game => ({
+      stationId: station.id,
+      gameId: game.id,
+      status: index === allStations.length - 1 ? 'updating' : 'installed',
+    }))
+  )
+
+  await prisma.gameInstallation.createMany({ data: installations })
+  console.log('Game installations created.')
+
+  // Delta is in maintenance because of a blocking ticket being worked on
+  const delta = allStations.find(station => station.status === 'maintenance')
+  const staff = allUsers.find(user => user.role === 'staff')
+  await prisma.incident.create({
+    data: {
+      stationId: delta.id,
+      reporterId: allUsers[2].id,
+      assigneeId: staff.id,
+      category: 'hardware',
+      severity: 'blocking',
+      description: "L'écran reste noir au démarrage",
+      status: 'in_progress',
+      restoreStatus: 'available',
+      assignedAt: now,
+    },
+  })
+  console.log('Incidents created.')
+
+  // A headset and a mouse on Alpha, spare items at the desk, two of them lent
+  const alpha = allStations[0]
+  await prisma.equipmentItem.createMany({
+    data: [
+      {
+        assetTag: 'HS-001',
+        serialNumber: 'HX-CLD2-88412',
+        type: 'headset',
+        name: 'HyperX Cloud II',
+        stationId: alpha.id,
+      },
+      {
+        assetTag: 'MS-001',
+        type: 'mouse',
+        name: 'Logitech G Pro X Superlight',
+        stationId: alpha.id,
+      },
+      { assetTag: 'HS-002', type: 'headset', name: 'SteelSeries Arctis 7' },
+      { assetTag: 'CT-001', type: 'controller', name: 'Manette Xbox Series' },
+      { assetTag: 'CT-002', type: 'controller', name: 'Manette DualSense' },
+      {
+        assetTag: 'KB-001',
+        type: 'keyboard',
+        name: 'Corsair K70',
+        status: 'missing',
+      },
+    ],
+  })
+
+  const items = await prisma.equipmentItem.findMany()
+  const itemByTag = tag => items.find(item => item.assetTag === tag)
+  await prisma.equipmentLoan.createMany({
+    data: [
+      {
+        itemId: itemByTag('HS-002').id,
+        userId: allUsers[3].id,
+        checkedOutAt: new Date(now.getTime() - 60 * 60 * 1000),
+        dueAt: new Date(now.getTime() + 3 * 60 * 60 * 1000),
+      },
+      {
+        itemId: itemByTag('CT-001').id,
+        userId: allUsers[4].id,
+        checkedOutAt: new Date(now.getTime() - 5 * 60 * 60 * 1000),
+        dueAt: new Date(now.getTime() - 60 * 60 * 1000),
+        note: 'Carte étudiante en caution',
+      },
+    ],
+  })
+  console.log('Equipment created.')
+
+  // Alpha has an agent: run `AGENT_TOKEN=dev-agent-alpha npm run agent:fake`
+  await prisma.station.update({
+    where: { id: alpha.id },
+    data: { agentToken: 'dev-agent-alpha' },
+  })
+  await prisma.stationHeartbeat.createMany({
+    data: [3, 2, 1].map(minutesAgo => ({
+      stationId: alpha.id,
+      loggedInUser: 'player1',
+      runningGame: 'Counter-Strike 2',
+      cpuTempC: 60 + minutesAgo,
+      gpuTempC: 68 + minutesAgo,
+      uptimeSeconds: 3600 - minutesAgo * 60,
+      receivedAt: new Date(now.getTime() - minutesAgo * 60 * 1000),
+    })),
+  })
+  console.log('Station agent created.')
+
+  // The standard config, to create numbered stations from the admin page
+  await prisma.stationTemplate.create({
+    data: withHardwareSpecs({
+      name: 'Config Standard',
+      cpu: 'Intel Core i7-14700K',
+      gpu: 'NVIDIA RTX 4070',
+      ram: '32GB DDR5',
+      storage: '1TB NVMe SSD',
+      monitor: 'ASUS ROG Swift 27" 165Hz 1440p',
+      keyboard: 'Logitech G Pro X',
+      mouse: 'Logitech G Pro X Superlight',
+      headset: 'HyperX Cloud II',
+    }),
+  })
+  console.log('Station templates created.')
+
   console.log('Seeding completed!')
 }
 
@@ -0,0 +1,117 @@
+import 'dotenv/config'
+
+// Fake station agent: posts made-up machine states to the heartbeat API
+// AGENT_TOKEN=... npm run agent:fake (Ctrl+C reports the machine shut down)
+
+const SERVER_URL =
+  process.env.AGENT_SERVER_URL ?? `http://localhost:${process.env.PORT ?? 3000}`
+const TOKEN = process.env.AGENT_TOKEN
+
+const GAMES = ['Counter-Strike 2', 'League of Legends', null, 'Rocket League']
+const USERS = ['player1', 'player2', 'casualplayer']
+
+const bootedAt = Date.now() - Math.floor(Math.random() * 3600) * 1000
+let beat = 0
+let timer = null
+let stopped = false
+
+/**
+ * Move a temperature a few degrees, within a plausible range
+ * @param {number} value - Previous temperature
+ * @param {boolean} busy - A game is running
+ * @returns {number}
+ */
+const drift = (value, busy) => {
+  const target = busy ? 72 : 42
+  const next = value + (target - value) * 0.3 + (Math.random() - 0.5) * 4
+  return Math.round(next * 10) / 10
+}
+
+let cpuTempC = 40
+let gpuTempC = 38
+
+/**
+ * Build the next machine state: a game session every few heartbeats
+ * @returns {Object} Heartbeat body
+ */
+const nextState = () => {
+  const session = Math.floor(beat / 10)
+  const runningGame = GAMES[session % GAMES.length]
+  cpuTempC = drift(cpuTempC, Boolean(runningGame))
+  gpuTempC = drift(gpuTempC, Boolean(runningGame))
+
+  return {
+    loggedInUser: runningGame ? USERS[session % USERS.length] : null,
+    runningGame,
+    cpuTempC,
+    gpuTempC,
+    uptimeSeconds: Math.floor((Date.now() - bootedAt) / 1000),
+  }
+}
+
+/**
+ * Post a heartbeat
+ * @param {Object} body - Heartbeat body
+ * @returns {Promise<Object|null>} Server answer, null on failure
+ */
+const send = async body => {
+  try {
+    const res = await fetch(`${SERVER_URL}/api/agent/heartbeat`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    })
+    const payload = await res.json()
+
+    if (!res.ok) {
+      console.error(`Heartbeat refused (${res.status}):`, payload.error)
+      return null
+    }
+    return payload.data
+  } catch (error) {
+    console.error(`Server unreachable: ${error.message}`)
+    return null
+  }
+}
+
+const loop = async () => {
+  const body = nextState()
+  const answer = await send(body)
+  beat += 1
+
+  if (answer) {
+    console.log(
+      `#${beat} ${answer.state} · ${body.runningGame ?? 'idle'} · CPU ${body.cpuTempC} °C · GPU ${body.gpuTempC} °C`
+    )
+  }
+
+  if (stopped) {
+    return
+  }
+
+  // The server tells the interval; retry at the default one when it is down
+  const seconds = answer?.nextHeartbeatSeconds ?? 30
+  timer = setTimeout(loop, seconds * 1000)
+}
+
+const shutdown = async () => {
+  stopped = true
+  clearTimeout(timer)
+  await send({ online: false })
+  console.log('Machine reported offline.')
+}
+
+if (!TOKEN) {
+  console.error(
+    'AGENT_TOKEN is required (POST /api/stations/:id/agent-token as staff)'
+  )
+  process.exitCode = 1
+} else {
+  console.log(`Fake agent reporting to ${SERVER_URL}`)
+  process.once('SIGINT', shutdown)
+  process.once('SIGTERM', shutdown)
+  loop()
+}
@@ -0,0 +1,66 @@
+/**
+ * Booking lifecycle
+ *
+ * pending → confirmed → checked_in → completed
+ *     ↘         ↘
+ *    cancelled   cancelled / no_show
+ */
+
+export const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'checked_in',
+  'completed',
+  'cancelled',
+  'no_show',
+]
+
+// Statuses that hold the station slot
+// Keep in sync with the Booking overlap triggers (prisma/migrations)
+export const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in']
+
+// Statuses releasing the slot before it is used (offered to the waitlist)
+export const RELEASED_BOOKING_STATUSES = ['cancelled', 'no_show']
+
+// Statuses in which the booking can still be edited (time, station)
+export const EDITABLE_BOOKING_STATUSES = ['pending', 'confirmed']
+
+/**
+ * Allowed transitions, keyed by action name
+ * - from: statuses the booking must be in
+ * - to: resulting status
+ * - timestamp: field recording when the step happened
+ * - actors: who may trigger it ('owner' = booking owner, 'staff' = staff roles)
+ */
+export const BOOKING_TRANSITIONS = {
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed',
+    timestamp: 'confirmedAt',
+    actors: ['owner', 'staff'],
+  },
+  check_in: {
+    from: ['confirmed'],
+    to: 'checked_in',
+    timestamp: 'checkedInAt',
+    actors: ['staff'],
+  },
+  complete: {
+    from: ['checked_in'],
+    to: 'completed',
+    timestamp: 'completedAt',
+    actors: ['owner', 'staff'],
+  },
+  cancel: {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    timestamp: 'cancelledAt',
+    actors: ['owner', 'staff'],
+  },
+  no_show: {
+    from: ['confirmed'],
+    to: 'no_show',
+    timestamp: 'noShowAt',
+    actors: ['staff'],
+  },
+}
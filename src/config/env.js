@@ -1,6 +1,8 @@
 import 'dotenv/config'
 import { z } from 'zod'
 
+const timeOfDay = /^([01]\d|2[0-3]):[0-5]\d$/
+
 const envSchema = z.object({
   PORT: z.string().transform(Number).default('3000'),
   NODE_ENV: z
@@ -11,6 +13,36 @@ const envSchema = z.object({
     .string()
     .min(32, 'JWT_SECRET doit avoir au moins 32 caractères'),
   JWT_EXPIRES_IN: z.string().default('24h'),
+
+  // Event schedule (opening hours in server local time, HH:MM)
+  EVENT_START: z.coerce.date().optional(),
+  EVENT_END: z.coerce.date().optional(),
+  EVENT_OPENING_TIME: z
+    .string()
+    .regex(timeOfDay, 'EVENT_OPENING_TIME doit être au format HH:MM')
+    .default('00:00'),
+  EVENT_CLOSING_TIME: z
+    .string()
+    .regex(timeOfDay, 'EVENT_CLOSING_TIME doit être au format HH:MM')
+    .default('00:00'),
+  BOOKING_SLOT_MINUTES: z.coerce.number().int().min(1).max(1440).default(15),
+  BOOKING_MIN_MINUTES: z.coerce.number().int().min(1).default(30),
+  BOOKING_MAX_MINUTES: z.coerce.number().int().min(1).default(240),
+
+  // Default booking quotas (overridable per user by admins)
+  QUOTA_MAX_CONCURRENT_BOOKINGS: z.coerce.number().int().min(1).default(2),
+  QUOTA_MAX_HOURS_PER_DAY: z.coerce.number().int().min(1).default(8),
+  QUOTA_MAX_PREMIUM_HOURS: z.coerce.number().int().min(0).default(4),
+  QUOTA_COOLDOWN_MINUTES: z.coerce.number().int().min(0).default(60),
+
+  // Time given to a waitlisted participant to accept an offered slot
+  WAITLIST_OFFER_MINUTES: z.coerce.number().int().min(1).default(15),
+
+  // Station agents: expected heartbeat interval, heartbeats missed before a
+  // machine counts as offline, heartbeats kept per station
+  AGENT_HEARTBEAT_SECONDS: z.coerce.number().int().min(5).default(30),
+  AGENT_MISSED_HEARTBEATS: z.coerce.number().int().min(1).default(3),
+  AGENT_HISTORY_SIZE: z.coerce.number().int().min(1).default(120),
 })
 
 const parsed = envSchema.safeParse(process.env)
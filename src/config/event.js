@@ -0,0 +1,28 @@
+import { env } from './env.js'
+
+/**
+ * Convert a HH:MM time of day to minutes since midnight
+ * @param {string} time - Time of day (HH:MM)
+ * @returns {number}
+ */
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Event schedule and booking granularity
+ * - Opening hours may wrap past midnight (e.g. 18:00 → 04:00)
+ * - Identical opening and closing times mean the venue never closes
+ */
+export const eventSchedule = {
+  start: env.EVENT_START ?? null,
+  end: env.EVENT_END ?? null,
+  openingMinutes: toMinutes(env.EVENT_OPENING_TIME),
+  closingMinutes: toMinutes(env.EVENT_CLOSING_TIME),
+  openingTime: env.EVENT_OPENING_TIME,
+  closingTime: env.EVENT_CLOSING_TIME,
+  slotMinutes: env.BOOKING_SLOT_MINUTES,
+  minDurationMinutes: env.BOOKING_MIN_MINUTES,
+  maxDurationMinutes: env.BOOKING_MAX_MINUTES,
+}
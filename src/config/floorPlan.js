@@ -0,0 +1,8 @@
+/**
+ * Venue floor plan grid: stations are placed on cells (mapX, mapY),
+ * counted from the top-left corner
+ */
+export const FLOOR_PLAN = {
+  columns: 24,
+  rows: 14,
+}
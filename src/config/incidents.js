@@ -0,0 +1,23 @@
+/**
+ * Station incident tickets
+ *
+ * open → in_progress → resolved
+ *    ↘________________↗
+ */
+
+export const INCIDENT_CATEGORIES = [
+  'hardware',
+  'software',
+  'network',
+  'peripheral',
+  'other',
+]
+
+// A blocking incident takes the station out of service until it is resolved
+export const INCIDENT_SEVERITIES = ['minor', 'major', 'blocking']
+export const BLOCKING_SEVERITY = 'blocking'
+
+export const INCIDENT_STATUSES = ['open', 'in_progress', 'resolved']
+
+// Statuses of a ticket still waiting for a fix
+export const OPEN_INCIDENT_STATUSES = ['open', 'in_progress']
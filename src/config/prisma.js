@@ -6,6 +6,14 @@ const adapter = new PrismaBetterSqlite3({
   url: env.DATABASE_URL,
 })
 
-const prisma = new PrismaClient({ adapter })
+// Calendar feed and agent secrets are only read explicitly (select) by
+// calendarService and agentService
+const prisma = new PrismaClient({
+  adapter,
+  omit: {
+    user: { calendarToken: true },
+    station: { calendarToken: true, agentToken: true },
+  },
+})
 
 export default prisma
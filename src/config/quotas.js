@@ -0,0 +1,15 @@
+import { env } from './env.js'
+
+/**
+ * Default booking quotas, applied to every user without an override
+ * - maxConcurrentBookings: active bookings not yet ended
+ * - maxHoursPerDay: booked hours per calendar day (local time)
+ * - maxPremiumHours: booked hours on premium stations over the whole event
+ * - cooldownMinutes: minimal gap between two sessions on the same station
+ */
+export const defaultQuotas = {
+  maxConcurrentBookings: env.QUOTA_MAX_CONCURRENT_BOOKINGS,
+  maxHoursPerDay: env.QUOTA_MAX_HOURS_PER_DAY,
+  maxPremiumHours: env.QUOTA_MAX_PREMIUM_HOURS,
+  cooldownMinutes: env.QUOTA_COOLDOWN_MINUTES,
+}
@@ -0,0 +1,13 @@
+/**
+ * User roles known by the application
+ */
+export const ROLES = {
+  USER: 'user',
+  STAFF: 'staff',
+  ADMIN: 'admin',
+}
+
+/**
+ * Roles allowed to act on the event floor (check-in, no-show, etc.)
+ */
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.STAFF]
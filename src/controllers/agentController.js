@@ -0,0 +1,32 @@
+import * as agentService from '../services/agentService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * POST /api/agent/heartbeat
+ * Record the machine state reported by the agent of a station
+ */
+export const heartbeat = asyncHandler(async (req, res) => {
+  const state = await agentService.recordHeartbeat(req.station.id, req.body)
+  res.json(response.success(state))
+})
+
+/**
+ * GET /api/stations/:id/machine
+ * Machine state of a station and its latest heartbeats
+ */
+export const getMachine = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const machine = await agentService.findMachine(id)
+  res.json(response.success(machine))
+})
+
+/**
+ * POST /api/stations/:id/agent-token
+ * Create or replace the token the agent of a station authenticates with
+ */
+export const rotateToken = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const token = await agentService.rotateToken(id)
+  res.json(response.success({ token }))
+})
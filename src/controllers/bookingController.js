@@ -1,51 +1,141 @@
-import * as bookingService from '../services/bookingService.js';
-import { asyncHandler } from '../utils/asyncHandler.js';
-import * as response from '../utils/responseHelper.js';
+import * as bookingService from '../services/bookingService.js'
+import { canActFor, isStaff } from '../middlewares/policy.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
 
 /**
  * GET /api/bookings
- * List all bookings with filters and pagination
+ * List bookings with filters, sorting and pagination (validated query)
+ * Participants only see their own bookings, staff see everyone's
  */
 export const getAll = asyncHandler(async (req, res) => {
-  const result = await bookingService.findAll(req.query);
-  res.json(response.success(result));
-});
+  const userId =
+    req.query.userId ?? (isStaff(req.user) ? undefined : req.user.userId)
+
+  if (userId !== undefined && !canActFor(req.user, userId)) {
+    return res
+      .status(403)
+      .json(
+        response.error(
+          "Seul le staff peut consulter les réservations d'un autre participant"
+        )
+      )
+  }
+
+  const result = await bookingService.findAll({ ...req.query, userId })
+  res.json(response.success(result))
+})
 
 /**
  * GET /api/bookings/:id
- * Get a booking by its ID
+ * Get a booking by its ID (loaded by authorizeOwner)
  */
-export const getById = asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
-  const booking = await bookingService.findById(id);
-  res.json(response.success(booking));
-});
+export const getById = (req, res) => {
+  res.json(response.success(req.resource))
+}
 
 /**
  * POST /api/bookings
- * Create a new booking
+ * Create a new booking owned by the caller (staff may book for others)
  */
 export const create = asyncHandler(async (req, res) => {
-  const booking = await bookingService.create(req.body);
-  res.status(201).json(response.created(booking));
-});
+  const userId = req.body.userId ?? req.user.userId
+
+  if (!canActFor(req.user, userId)) {
+    return res
+      .status(403)
+      .json(
+        response.error('Seul le staff peut réserver pour un autre participant')
+      )
+  }
+
+  const booking = await bookingService.create(
+    { ...req.body, userId },
+    { actor: req.user }
+  )
+  res.status(201).json(response.created(booking))
+})
 
 /**
  * PUT /api/bookings/:id
- * Update a booking
+ * Update a booking (owner or staff, only staff may reassign it)
  */
 export const update = asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
-  const booking = await bookingService.update(id, req.body);
-  res.json(response.success(booking));
-});
+  const id = parseInt(req.params.id)
+  const userId = req.body.userId ?? req.resource.userId
+
+  if (!canActFor(req.user, userId)) {
+    return res
+      .status(403)
+      .json(response.error('Seul le staff peut réattribuer une réservation'))
+  }
+
+  const booking = await bookingService.update(
+    id,
+    { ...req.body, userId },
+    { actor: req.user }
+  )
+  res.json(response.success(booking))
+})
+
+/**
+ * Build a handler applying a lifecycle transition
+ * @param {string} action - Transition name
+ * @returns {Function} Express handler
+ */
+const transitionHandler = action =>
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id)
+    const booking = await bookingService.transition(id, action, req.user)
+    res.json(response.success(booking))
+  })
+
+/**
+ * POST /api/bookings/:id/confirm
+ * Confirm a pending booking
+ */
+export const confirm = transitionHandler('confirm')
+
+/**
+ * POST /api/bookings/:id/check-in
+ * Mark the participant as present at the station
+ */
+export const checkIn = transitionHandler('check_in')
+
+/**
+ * POST /api/bookings/:id/complete
+ * Close a checked-in session
+ */
+export const complete = transitionHandler('complete')
+
+/**
+ * POST /api/bookings/:id/cancel
+ * Cancel a booking and release the slot
+ */
+export const cancel = transitionHandler('cancel')
+
+/**
+ * POST /api/bookings/:id/no-show
+ * Mark a booking as not honoured and release the slot
+ */
+export const noShow = transitionHandler('no_show')
+
+/**
+ * POST /api/bookings/:id/extend
+ * Push back the end of a booking if the station stays free
+ */
+export const extend = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const booking = await bookingService.extend(id, req.body.minutes, req.user)
+  res.json(response.success(booking))
+})
 
 /**
  * DELETE /api/bookings/:id
  * Delete a booking
  */
 export const remove = asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
-  await bookingService.remove(id);
-  res.status(204).send();
-});
\ No newline at end of file
+  const id = parseInt(req.params.id)
+  await bookingService.remove(id)
+  res.status(204).send()
+})
@@ -0,0 +1,64 @@
+import * as bookingGroupService from '../services/bookingGroupService.js'
+import { canActFor } from '../middlewares/policy.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/bookings/groups
+ * List group bookings (own ones, everyone's for staff)
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const groups = await bookingGroupService.findAll(req.user)
+  res.json(response.success({ count: groups.length, groups }))
+})
+
+/**
+ * GET /api/bookings/groups/:id
+ * Get a group booking with its bookings (loaded by authorizeOwner)
+ */
+export const getById = (req, res) => {
+  res.json(response.success(req.resource))
+}
+
+/**
+ * POST /api/bookings/groups
+ * Book several stations for a team, captained by the caller (staff may
+ * book for others)
+ */
+export const create = asyncHandler(async (req, res) => {
+  const captainId = req.body.captainId ?? req.user.userId
+
+  if (!canActFor(req.user, captainId)) {
+    return res
+      .status(403)
+      .json(
+        response.error('Seul le staff peut réserver pour un autre participant')
+      )
+  }
+
+  const group = await bookingGroupService.create(
+    { ...req.body, captainId },
+    { actor: req.user }
+  )
+  res.status(201).json(response.created(group))
+})
+
+/**
+ * POST /api/bookings/groups/:id/extend
+ * Push back the end of every booking of the group
+ */
+export const extend = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const group = await bookingGroupService.extend(id, req.body.endTime, req.user)
+  res.json(response.success(group))
+})
+
+/**
+ * POST /api/bookings/groups/:id/cancel
+ * Cancel every booking of the group
+ */
+export const cancel = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const group = await bookingGroupService.cancel(id, req.user)
+  res.json(response.success(group))
+})
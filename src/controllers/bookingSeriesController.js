@@ -0,0 +1,69 @@
+import * as bookingSeriesService from '../services/bookingSeriesService.js'
+import { canActFor } from '../middlewares/policy.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/bookings/series
+ * List recurring series (own ones, everyone's for staff)
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const series = await bookingSeriesService.findAll(req.user)
+  res.json(response.success({ count: series.length, series }))
+})
+
+/**
+ * GET /api/bookings/series/:id
+ * Get a recurring series with its occurrences (loaded by authorizeOwner)
+ */
+export const getById = (req, res) => {
+  res.json(response.success(req.resource))
+}
+
+/**
+ * POST /api/bookings/series
+ * Book every occurrence of a recurrence rule for the caller (staff may
+ * book for others)
+ */
+export const create = asyncHandler(async (req, res) => {
+  const userId = req.body.userId ?? req.user.userId
+
+  if (!canActFor(req.user, userId)) {
+    return res
+      .status(403)
+      .json(
+        response.error('Seul le staff peut réserver pour un autre participant')
+      )
+  }
+
+  const series = await bookingSeriesService.create(
+    { ...req.body, userId },
+    { actor: req.user }
+  )
+  res.status(201).json(response.created(series))
+})
+
+/**
+ * POST /api/bookings/series/:id/cancel
+ * Cancel every remaining occurrence of the series
+ */
+export const cancel = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const series = await bookingSeriesService.cancel(id, req.user)
+  res.json(response.success(series))
+})
+
+/**
+ * POST /api/bookings/series/:id/occurrences/:bookingId/cancel
+ * Cancel a single occurrence of the series
+ */
+export const cancelOccurrence = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const bookingId = parseInt(req.params.bookingId)
+  const series = await bookingSeriesService.cancelOccurrence(
+    id,
+    bookingId,
+    req.user
+  )
+  res.json(response.success(series))
+})
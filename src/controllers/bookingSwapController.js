@@ -0,0 +1,51 @@
+import * as bookingSwapService from '../services/bookingSwapService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/bookings/swaps
+ * List swap requests proposed or received (everyone's for staff)
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const swaps = await bookingSwapService.findAll(req.user)
+  res.json(response.success({ count: swaps.length, swaps }))
+})
+
+/**
+ * POST /api/bookings/swaps
+ * Propose to exchange one's booking with another participant's booking
+ */
+export const create = asyncHandler(async (req, res) => {
+  const swap = await bookingSwapService.create(req.body, req.user)
+  res.status(201).json(response.created(swap))
+})
+
+/**
+ * POST /api/bookings/swaps/:id/accept
+ * Accept a swap: both bookings change owner
+ */
+export const accept = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const swap = await bookingSwapService.accept(id, req.user)
+  res.json(response.success(swap))
+})
+
+/**
+ * POST /api/bookings/swaps/:id/decline
+ * Decline a swap request
+ */
+export const decline = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const swap = await bookingSwapService.decline(id, req.user)
+  res.json(response.success(swap))
+})
+
+/**
+ * POST /api/bookings/swaps/:id/cancel
+ * Withdraw a swap request
+ */
+export const cancel = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const swap = await bookingSwapService.cancel(id, req.user)
+  res.json(response.success(swap))
+})
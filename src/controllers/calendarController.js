@@ -0,0 +1,73 @@
+import * as calendarService from '../services/calendarService.js'
+import { canActFor } from '../middlewares/policy.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar text
+ * @param {string} filename - Suggested file name
+ */
+const sendCalendar = (res, calendar, filename) => {
+  res
+    .type('text/calendar; charset=utf-8')
+    .set('Content-Disposition', `inline; filename="${filename}"`)
+    .set('Cache-Control', 'private, no-cache')
+    .send(calendar)
+}
+
+/**
+ * Build the subscription URL of a feed from the current request
+ * @param {Object} req - Express request (inside the users or stations router)
+ * @param {number} id - User or station ID
+ * @param {string} token - Feed token
+ * @returns {string}
+ */
+const feedUrl = (req, id, token) =>
+  `${req.protocol}://${req.get('host')}${req.baseUrl}/${id}/bookings.ics?token=${token}`
+
+/**
+ * GET /api/users/:id/bookings.ics
+ * Bookings of a user as an iCalendar feed
+ */
+export const userFeed = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const calendar = await calendarService.userCalendar(id)
+  sendCalendar(res, calendar, `bookings-user-${id}.ics`)
+})
+
+/**
+ * GET /api/stations/:id/bookings.ics
+ * Schedule of a station as an iCalendar feed
+ */
+export const stationFeed = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const calendar = await calendarService.stationCalendar(id)
+  sendCalendar(res, calendar, `bookings-station-${id}.ics`)
+})
+
+/**
+ * POST /api/users/:id/calendar-token
+ * Create or replace the private feed URL of a user (owner or staff)
+ */
+export const rotateUserToken = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+
+  if (!canActFor(req.user, id)) {
+    return res.status(403).json(response.error('Accès interdit'))
+  }
+
+  const token = await calendarService.rotateUserToken(id)
+  res.json(response.success({ token, url: feedUrl(req, id, token) }))
+})
+
+/**
+ * POST /api/stations/:id/calendar-token
+ * Create or replace the private feed URL of a station
+ */
+export const rotateStationToken = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const token = await calendarService.rotateStationToken(id)
+  res.json(response.success({ token, url: feedUrl(req, id, token) }))
+})
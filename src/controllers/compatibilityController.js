@@ -0,0 +1,29 @@
+import * as compatibilityService from '../services/compatibilityService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/games/:id/compatible-stations
+ * List the stations meeting the game's minimum or recommended requirements
+ */
+export const getStationsForGame = asyncHandler(async (req, res) => {
+  const gameId = parseInt(req.params.id)
+  const stations = await compatibilityService.findStationsForGame(
+    gameId,
+    req.query
+  )
+  res.json(response.success({ count: stations.length, stations }))
+})
+
+/**
+ * GET /api/stations/:id/compatible-games
+ * List the games whose minimum or recommended requirements the station meets
+ */
+export const getGamesForStation = asyncHandler(async (req, res) => {
+  const stationId = parseInt(req.params.id)
+  const games = await compatibilityService.findGamesForStation(
+    stationId,
+    req.query
+  )
+  res.json(response.success({ count: games.length, games }))
+})
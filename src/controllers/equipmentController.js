@@ -0,0 +1,87 @@
+import * as equipmentService from '../services/equipmentService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/equipment
+ * List the inventory with where each item is
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const items = await equipmentService.findAll(req.query)
+  res.json(response.success({ count: items.length, items }))
+})
+
+/**
+ * GET /api/equipment/:id
+ * Get an item with its loan history
+ */
+export const getById = asyncHandler(async (req, res) => {
+  const item = await equipmentService.findById(parseInt(req.params.id))
+  res.json(response.success(item))
+})
+
+/**
+ * POST /api/equipment
+ * Add an item to the inventory
+ */
+export const create = asyncHandler(async (req, res) => {
+  const item = await equipmentService.create(req.body)
+  res.status(201).json(response.created(item))
+})
+
+/**
+ * PUT /api/equipment/:id
+ * Update an item
+ */
+export const update = asyncHandler(async (req, res) => {
+  const item = await equipmentService.update(parseInt(req.params.id), req.body)
+  res.json(response.success(item))
+})
+
+/**
+ * DELETE /api/equipment/:id
+ * Remove an item from the inventory
+ */
+export const remove = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  await equipmentService.remove(id)
+  res.status(204).send()
+})
+
+/**
+ * PUT /api/equipment/:id/station
+ * Set an item up on a station, or take it back to the desk
+ */
+export const assignStation = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const item = await equipmentService.assignStation(id, req.body)
+  res.json(response.success(item))
+})
+
+/**
+ * GET /api/equipment/loans
+ * List loans (open, overdue or returned)
+ */
+export const getLoans = asyncHandler(async (req, res) => {
+  const loans = await equipmentService.findLoans(req.query)
+  res.json(response.success({ count: loans.length, loans }))
+})
+
+/**
+ * POST /api/equipment/:id/loans
+ * Lend an item to a participant
+ */
+export const checkOut = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const loan = await equipmentService.checkOut(id, req.body)
+  res.status(201).json(response.created(loan))
+})
+
+/**
+ * POST /api/equipment/loans/:loanId/return
+ * Record the return of a lent item
+ */
+export const checkIn = asyncHandler(async (req, res) => {
+  const loan = await equipmentService.checkIn(parseInt(req.params.loanId))
+  res.json(response.success(loan))
+})
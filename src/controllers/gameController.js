@@ -11,6 +11,15 @@ export const getAll = asyncHandler(async (req, res) => {
   res.json(response.success(result))
 })
 
+/**
+ * GET /api/games/stats
+ * Booking stats per game, most played first
+ */
+export const getStats = asyncHandler(async (_req, res) => {
+  const stats = await gameService.getBookingStats()
+  res.json(response.success(stats))
+})
+
 /**
  * GET /api/games/:id
  * Get a game by its ID
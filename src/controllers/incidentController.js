@@ -0,0 +1,49 @@
+import * as incidentService from '../services/incidentService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/incidents
+ * List incident tickets reported by the caller (everyone's for staff)
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const incidents = await incidentService.findAll(req.user, req.query)
+  res.json(response.success({ count: incidents.length, incidents }))
+})
+
+/**
+ * GET /api/incidents/:id
+ * Get a ticket (loaded by authorizeOwner)
+ */
+export const getById = (req, res) => {
+  res.json(response.success(req.resource))
+}
+
+/**
+ * POST /api/incidents
+ * Report an issue on a station
+ */
+export const create = asyncHandler(async (req, res) => {
+  const incident = await incidentService.create(req.body, req.user)
+  res.status(201).json(response.created(incident))
+})
+
+/**
+ * POST /api/incidents/:id/assign
+ * Assign a ticket to a staff member
+ */
+export const assign = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const incident = await incidentService.assign(id, req.body, req.user)
+  res.json(response.success(incident))
+})
+
+/**
+ * POST /api/incidents/:id/resolve
+ * Resolve a ticket, giving the station back if it was blocking
+ */
+export const resolve = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const incident = await incidentService.resolve(id, req.body)
+  res.json(response.success(incident))
+})
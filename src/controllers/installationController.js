@@ -0,0 +1,51 @@
+import * as installationService from '../services/installationService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/stations/:id/games
+ * List the games installed on a station
+ */
+export const getByStation = asyncHandler(async (req, res) => {
+  const stationId = parseInt(req.params.id)
+  const installations = await installationService.findByStation(stationId)
+  res.json(response.success({ count: installations.length, installations }))
+})
+
+/**
+ * GET /api/games/:id/stations
+ * List the stations a game is installed on
+ */
+export const getByGame = asyncHandler(async (req, res) => {
+  const gameId = parseInt(req.params.id)
+  const installations = await installationService.findByGame(gameId)
+  res.json(response.success({ count: installations.length, installations }))
+})
+
+/**
+ * PUT /api/stations/:id/games/:gameId
+ * PUT /api/games/:gameId/stations/:id
+ * Install a game on a station or update its status and version
+ */
+export const upsert = asyncHandler(async (req, res) => {
+  const stationId = parseInt(req.params.id)
+  const gameId = parseInt(req.params.gameId)
+  const installation = await installationService.upsert(
+    stationId,
+    gameId,
+    req.body
+  )
+  res.json(response.success(installation))
+})
+
+/**
+ * DELETE /api/stations/:id/games/:gameId
+ * DELETE /api/games/:gameId/stations/:id
+ * Uninstall a game from a station
+ */
+export const remove = asyncHandler(async (req, res) => {
+  const stationId = parseInt(req.params.id)
+  const gameId = parseInt(req.params.gameId)
+  await installationService.remove(stationId, gameId)
+  res.status(204).send()
+})
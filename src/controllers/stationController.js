@@ -1,4 +1,5 @@
 import * as stationService from '../services/stationService.js'
+import * as floorPlanService from '../services/floorPlanService.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
 import * as response from '../utils/responseHelper.js'
 
@@ -11,6 +12,34 @@ export const getAll = asyncHandler(async (req, res) => {
   res.json(response.success(result))
 })
 
+/**
+ * GET /api/stations/availability
+ * List stations free for a time window, with free counts per slot
+ */
+export const getAvailability = asyncHandler(async (req, res) => {
+  const result = await stationService.findAvailable(req.query)
+  res.json(response.success(result))
+})
+
+/**
+ * GET /api/stations/map
+ * Floor plan with the live status of every station
+ */
+export const getMap = asyncHandler(async (_req, res) => {
+  const map = await floorPlanService.getSeatMap()
+  res.json(response.success(map))
+})
+
+/**
+ * PUT /api/stations/:id/position
+ * Place a station on the floor plan, or take it off with null coordinates
+ */
+export const place = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const station = await floorPlanService.placeStation(id, req.body)
+  res.json(response.success(station))
+})
+
 /**
  * GET /api/stations/:id
  * Get a station by its ID
@@ -0,0 +1,77 @@
+import * as stationTemplateService from '../services/stationTemplateService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/station-templates
+ * List station templates
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const templates = await stationTemplateService.findAll()
+  res.json(response.success({ count: templates.length, templates }))
+})
+
+/**
+ * GET /api/station-templates/:id
+ * Get a station template
+ */
+export const getById = asyncHandler(async (req, res) => {
+  const template = await stationTemplateService.findById(
+    parseInt(req.params.id)
+  )
+  res.json(response.success(template))
+})
+
+/**
+ * POST /api/station-templates
+ * Create a station template
+ */
+export const create = asyncHandler(async (req, res) => {
+  const template = await stationTemplateService.create(req.body)
+  res.status(201).json(response.created(template))
+})
+
+/**
+ * PUT /api/station-templates/:id
+ * Update a station template
+ */
+export const update = asyncHandler(async (req, res) => {
+  const template = await stationTemplateService.update(
+    parseInt(req.params.id),
+    req.body
+  )
+  res.json(response.success(template))
+})
+
+/**
+ * DELETE /api/station-templates/:id
+ * Delete a station template
+ */
+export const remove = asyncHandler(async (req, res) => {
+  await stationTemplateService.remove(parseInt(req.params.id))
+  res.status(204).send()
+})
+
+/**
+ * POST /api/station-templates/:id/stations
+ * Create numbered stations from a template
+ */
+export const createStations = asyncHandler(async (req, res) => {
+  const stations = await stationTemplateService.createStations(
+    parseInt(req.params.id),
+    req.body
+  )
+  res.status(201).json(response.created({ count: stations.length, stations }))
+})
+
+/**
+ * POST /api/station-templates/:id/apply
+ * Apply a template to existing stations
+ */
+export const applyToStations = asyncHandler(async (req, res) => {
+  const stations = await stationTemplateService.applyToStations(
+    parseInt(req.params.id),
+    req.body
+  )
+  res.json(response.success({ count: stations.length, stations }))
+})
@@ -0,0 +1,36 @@
+import * as importExportService from '../services/importExportService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import { toDateInput } from '../utils/dates.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/games/export, GET /api/stations/export
+ * Download every record as a file that imports back as is
+ * @param {string} entity - games or stations
+ */
+export const exportFile = entity =>
+  asyncHandler(async (req, res) => {
+    const { format } = req.query
+    const file = await importExportService.exportFile(entity, format)
+    const filename = `${entity}-${toDateInput(new Date())}.${format}`
+
+    res
+      .type(format)
+      .set('Content-Disposition', `attachment; filename="${filename}"`)
+      .send(file)
+  })
+
+/**
+ * POST /api/games/import, POST /api/stations/import
+ * Import a CSV (text/csv) or JSON file, or preview it with ?dryRun=true
+ * @param {string} entity - games or stations
+ */
+export const importFile = entity =>
+  asyncHandler(async (req, res) => {
+    const format = req.is('text/csv') ? 'csv' : 'json'
+    const records = importExportService.parseRecords(req.body, format)
+    const report = await importExportService.importRecords(entity, records, {
+      dryRun: req.query.dryRun,
+    })
+    res.json(response.success(report))
+  })
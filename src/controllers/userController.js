@@ -1,4 +1,8 @@
 import prisma from '../config/prisma.js'
+import * as quotaService from '../services/quotaService.js'
+import { defaultQuotas } from '../config/quotas.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
 
 export const getAll = async (req, res) => {
   const users = await prisma.user.findMany({
@@ -45,3 +49,36 @@ export const remove = async (req, res) => {
 
   res.status(204).send()
 }
+
+/**
+ * GET /api/users/:id/quota
+ * Get the booking quotas of a user (override and defaults)
+ */
+export const getQuota = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+  const [override, effective] = await Promise.all([
+    quotaService.findByUserId(id),
+    quotaService.getEffectiveQuota(id),
+  ])
+  res.json(response.success({ defaults: defaultQuotas, override, effective }))
+})
+
+/**
+ * PUT /api/users/:id/quota
+ * Override the booking quotas of a user
+ */
+export const updateQuota = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+  const quota = await quotaService.upsert(id, req.body)
+  res.json(response.success(quota))
+})
+
+/**
+ * DELETE /api/users/:id/quota
+ * Reset the booking quotas of a user to the defaults
+ */
+export const removeQuota = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+  await quotaService.remove(id)
+  res.status(204).send()
+})
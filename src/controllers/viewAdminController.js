@@ -1,4 +1,22 @@
 import prisma from '../config/prisma.js'
+import * as bookingService from '../services/bookingService.js'
+import * as stationService from '../services/stationService.js'
+import { TIMELINE_ZOOMS, buildTimeline } from '../services/timelineService.js'
+import * as floorPlanService from '../services/floorPlanService.js'
+import * as incidentService from '../services/incidentService.js'
+import * as equipmentService from '../services/equipmentService.js'
+import * as importExportService from '../services/importExportService.js'
+import * as stationTemplateService from '../services/stationTemplateService.js'
+import {
+  BOOKING_STATUSES,
+  EDITABLE_BOOKING_STATUSES,
+} from '../config/bookingLifecycle.js'
+import { INCIDENT_STATUSES } from '../config/incidents.js'
+import { TRANSFER_ENTITIES, TRANSFER_FORMATS } from '../schemas/importSchema.js'
+import { sessionActor } from '../middlewares/session.js'
+import { parseDateInput, toDateInput } from '../utils/dates.js'
+import * as response from '../utils/responseHelper.js'
+import { businessMessage, redirectWith } from '../utils/viewMessages.js'
 
 export const showUsersPage = async (req, res) => {
   const users = await prisma.user.findMany({
@@ -38,3 +56,422 @@ export const deleteUser = async (req, res) => {
 
   res.redirect('/admin/users?success=Utilisateur supprime avec succes')
 }
+
+// Admin page actions, mapped to lifecycle transitions
+const BOOKING_ACTIONS = {
+  confirm: 'confirm',
+  'check-in': 'check_in',
+  complete: 'complete',
+  cancel: 'cancel',
+  'no-show': 'no_show',
+}
+
+export const showBookingsPage = async (req, res) => {
+  const day = parseDateInput(req.query.date)
+  const nextDay = day && new Date(day)
+  nextDay?.setDate(nextDay.getDate() + 1)
+
+  const filters = {
+    stationId: parseInt(req.query.stationId) || undefined,
+    userId: parseInt(req.query.userId) || undefined,
+    status: BOOKING_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : undefined,
+    from: day ?? undefined,
+    to: nextDay ?? undefined,
+  }
+
+  const [bookings, stations, users] = await Promise.all([
+    bookingService.findAllSimple(filters),
+    stationService.findAllSimple(),
+    prisma.user.findMany({
+      select: { id: true, username: true },
+      orderBy: { username: 'asc' },
+    }),
+  ])
+
+  res.render('pages/admin/bookings', {
+    bookings,
+    stations,
+    users,
+    statuses: BOOKING_STATUSES,
+    filters: req.query,
+    // Filters only, so that actions come back to the same list
+    filtersQuery: new URLSearchParams(
+      Object.entries(req.query).filter(
+        ([key]) => !['error', 'success'].includes(key)
+      )
+    ).toString(),
+    error: req.query.error,
+    success: req.query.success,
+  })
+}
+
+export const transitionBooking = async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+  const action = BOOKING_ACTIONS[req.params.action]
+  // Back to the list with the same filters
+  const back = req.body.filters
+    ? `/admin/bookings?${new URLSearchParams(req.body.filters)}`
+    : '/admin/bookings'
+
+  if (!action) {
+    return redirectWith(res, back, 'error', 'Action inconnue')
+  }
+
+  try {
+    await bookingService.transition(id, action, sessionActor(req))
+    redirectWith(res, back, 'success', `Réservation #${id} mise à jour`)
+  } catch (error) {
+    redirectWith(res, back, 'error', businessMessage(error))
+  }
+}
+
+export const showTimelinePage = async (req, res) => {
+  const zoom = TIMELINE_ZOOMS[req.query.zoom] ? req.query.zoom : 'day'
+  const start = new Date(req.query.start ?? Date.now())
+  const anchor = isNaN(start) ? new Date() : start
+
+  // Windows start on a round hour, or at midnight for the day zoom
+  anchor.setMinutes(0, 0, 0)
+  if (zoom === 'day') {
+    anchor.setHours(0)
+  }
+
+  const timeline = await buildTimeline({ zoom, anchor })
+
+  res.render('pages/admin/timeline', {
+    timeline,
+    zooms: TIMELINE_ZOOMS,
+    editableStatuses: EDITABLE_BOOKING_STATUSES,
+  })
+}
+
+// Called by the timeline script (drag and drop): answers in JSON
+export const moveBooking = async (req, res) => {
+  if (res.locals.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Données invalides',
+      errors: res.locals.errors,
+    })
+  }
+
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const booking = await bookingService.update(id, {
+      stationId: req.body.stationId,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+    })
+    res.json(response.success(booking))
+  } catch (error) {
+    const message = businessMessage(error)
+    res.status(error.status).json(response.error(message, error.status))
+  }
+}
+
+export const showFloorPlanPage = async (_req, res) => {
+  const map = await floorPlanService.getSeatMap()
+  res.render('pages/admin/floorPlan', { map })
+}
+
+// Called by the floor plan editor (drag and drop): answers in JSON
+export const placeStation = async (req, res) => {
+  if (res.locals.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Données invalides',
+      errors: res.locals.errors,
+    })
+  }
+
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const station = await floorPlanService.placeStation(id, req.body)
+    res.json(response.success(station))
+  } catch (error) {
+    const message = businessMessage(error)
+    res.status(error.status).json(response.error(message, error.status))
+  }
+}
+
+export const showIncidentsPage = async (req, res) => {
+  const status = INCIDENT_STATUSES.includes(req.query.status)
+    ? req.query.status
+    : undefined
+  const incidents = await incidentService.findAll(sessionActor(req), {
+    status,
+  })
+
+  res.render('pages/admin/incidents', {
+    incidents,
+    statuses: INCIDENT_STATUSES,
+    filters: req.query,
+    error: req.query.error,
+    success: req.query.success,
+  })
+}
+
+export const assignIncident = async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const incident = await incidentService.assign(id, {}, sessionActor(req))
+    redirectWith(
+      res,
+      '/admin/incidents',
+      'success',
+      `Incident #${id} pris en charge par ${incident.assignee.username}`
+    )
+  } catch (error) {
+    redirectWith(res, '/admin/incidents', 'error', businessMessage(error))
+  }
+}
+
+export const resolveIncident = async (req, res) => {
+  if (res.locals.errors) {
+    const message = res.locals.errors.map(e => e.message).join(', ')
+    return redirectWith(res, '/admin/incidents', 'error', message)
+  }
+
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    await incidentService.resolve(id, req.body)
+    redirectWith(res, '/admin/incidents', 'success', `Incident #${id} résolu`)
+  } catch (error) {
+    redirectWith(res, '/admin/incidents', 'error', businessMessage(error))
+  }
+}
+
+export const showEquipmentPage = async (req, res) => {
+  const [items, overdueLoans] = await Promise.all([
+    equipmentService.findAll(),
+    equipmentService.findLoans({ state: 'overdue' }),
+  ])
+
+  res.render('pages/admin/equipment', {
+    items,
+    overdueLoans,
+    missingItems: items.filter(item => item.status === 'missing'),
+    error: req.query.error,
+    success: req.query.success,
+  })
+}
+
+export const returnLoan = async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const loan = await equipmentService.checkIn(id)
+    redirectWith(
+      res,
+      '/admin/equipment',
+      'success',
+      `${loan.item.assetTag} rendu par ${loan.user.username}`
+    )
+  } catch (error) {
+    redirectWith(res, '/admin/equipment', 'error', businessMessage(error))
+  }
+}
+
+export const showStationTemplatesPage = async (req, res) => {
+  const [templates, stations] = await Promise.all([
+    stationTemplateService.findAll(),
+    stationService.findAllSimple(),
+  ])
+
+  res.render('pages/admin/stationTemplates', {
+    templates,
+    stations,
+    error: req.query.error,
+    success: req.query.success,
+  })
+}
+
+/**
+ * Redirect to the templates page with the form errors, if any
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the form was refused
+ */
+const refuseTemplateForm = res => {
+  if (!res.locals.errors) {
+    return false
+  }
+
+  const message = res.locals.errors.map(e => e.message).join(', ')
+  redirectWith(res, '/admin/station-templates', 'error', message)
+  return true
+}
+
+export const createStationTemplate = async (req, res) => {
+  if (refuseTemplateForm(res)) {
+    return
+  }
+
+  try {
+    const template = await stationTemplateService.create(req.body)
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'success',
+      `Modèle ${template.name} créé`
+    )
+  } catch (error) {
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'error',
+      businessMessage(error)
+    )
+  }
+}
+
+export const deleteStationTemplate = async (req, res) => {
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    await stationTemplateService.remove(id)
+    redirectWith(res, '/admin/station-templates', 'success', 'Modèle supprimé')
+  } catch (error) {
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'error',
+      businessMessage(error)
+    )
+  }
+}
+
+export const createStationsFromTemplate = async (req, res) => {
+  if (refuseTemplateForm(res)) {
+    return
+  }
+
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const stations = await stationTemplateService.createStations(id, req.body)
+    const range =
+      stations.length > 1
+        ? `${stations[0].name} à ${stations.at(-1).name}`
+        : stations[0].name
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'success',
+      `${stations.length} station(s) créée(s) : ${range}`
+    )
+  } catch (error) {
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'error',
+      businessMessage(error)
+    )
+  }
+}
+
+export const applyStationTemplate = async (req, res) => {
+  if (refuseTemplateForm(res)) {
+    return
+  }
+
+  const id = parseInt(req.params.id, 10)
+
+  try {
+    const stations = await stationTemplateService.applyToStations(id, req.body)
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'success',
+      `Modèle appliqué à ${stations.length} station(s)`
+    )
+  } catch (error) {
+    redirectWith(
+      res,
+      '/admin/station-templates',
+      'error',
+      businessMessage(error)
+    )
+  }
+}
+
+/**
+ * Render the import page, with the report of a preview or refused import
+ * @param {Object} res - Express response
+ * @param {Object} [locals] - formData, report, error, success
+ */
+const renderImportPage = (res, locals = {}) => {
+  res.render('pages/admin/import', {
+    entities: TRANSFER_ENTITIES,
+    formats: TRANSFER_FORMATS,
+    formData: {},
+    report: null,
+    ...locals,
+  })
+}
+
+export const showImportPage = (req, res) => {
+  renderImportPage(res, {
+    error: req.query.error,
+    success: req.query.success,
+  })
+}
+
+export const exportFile = async (req, res) => {
+  const { entity } = req.params
+  const format = TRANSFER_FORMATS.includes(req.query.format)
+    ? req.query.format
+    : 'json'
+
+  if (!TRANSFER_ENTITIES.includes(entity)) {
+    return redirectWith(res, '/admin/import', 'error', 'Export inconnu')
+  }
+
+  const file = await importExportService.exportFile(entity, format)
+  const filename = `${entity}-${toDateInput(new Date())}.${format}`
+  res
+    .type(format)
+    .set('Content-Disposition', `attachment; filename="${filename}"`)
+    .send(file)
+}
+
+export const importFile = async (req, res) => {
+  if (res.locals.errors) {
+    return renderImportPage(res, {
+      formData: req.body,
+      error: res.locals.errors.map(e => e.message).join(', '),
+    })
+  }
+
+  const { entity, format, content, mode } = req.body
+
+  try {
+    const records = importExportService.parseRecords(content, format)
+    const report = await importExportService.importRecords(entity, records, {
+      dryRun: mode === 'preview',
+    })
+
+    if (report.dryRun) {
+      return renderImportPage(res, { formData: req.body, report })
+    }
+
+    const { create, update } = report.summary
+    redirectWith(
+      res,
+      '/admin/import',
+      'success',
+      `Import terminé : ${create} création(s), ${update} mise(s) à jour`
+    )
+  } catch (error) {
+    renderImportPage(res, {
+      formData: req.body,
+      report: error.details ?? null,
+      error: businessMessage(error),
+    })
+  }
+}
@@ -0,0 +1,51 @@
+import * as waitlistService from '../services/waitlistService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import * as response from '../utils/responseHelper.js'
+
+/**
+ * GET /api/bookings/waitlist
+ * List waitlist entries with their queue position
+ */
+export const getAll = asyncHandler(async (req, res) => {
+  const entries = await waitlistService.findAll(req.user, req.query)
+  res.json(response.success({ count: entries.length, entries }))
+})
+
+/**
+ * POST /api/bookings/waitlist
+ * Join the waitlist for a fully booked slot
+ */
+export const join = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.join(req.body, req.user)
+  res.status(201).json(response.created(entry))
+})
+
+/**
+ * POST /api/bookings/waitlist/:id/accept
+ * Accept the slot offered to a waitlist entry
+ */
+export const accept = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const entry = await waitlistService.accept(id, req.user)
+  res.json(response.success(entry))
+})
+
+/**
+ * POST /api/bookings/waitlist/:id/decline
+ * Decline the slot offered to a waitlist entry
+ */
+export const decline = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  const entry = await waitlistService.decline(id, req.user)
+  res.json(response.success(entry))
+})
+
+/**
+ * DELETE /api/bookings/waitlist/:id
+ * Leave the waitlist
+ */
+export const leave = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id)
+  await waitlistService.leave(id, req.user)
+  res.status(204).send()
+})
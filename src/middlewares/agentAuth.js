@@ -0,0 +1,23 @@
+import { findStationByToken } from '../services/agentService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+
+/**
+ * Authenticate a station agent
+ * The agent sends the token of its station as a bearer token (not a JWT):
+ * the station it belongs to is set on req.station
+ */
+export const agentAuth = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization
+
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: "Jeton d'agent manquant" })
+  }
+
+  const station = await findStationByToken(authHeader.split(' ')[1])
+  if (!station) {
+    return res.status(401).json({ error: "Jeton d'agent invalide" })
+  }
+
+  req.station = station
+  next()
+})
@@ -5,13 +5,16 @@
 export const errorHandler = (err, req, res, _next) => {
   console.error('Error:', err.message)
 
-  const statusCode = err.statusCode || 500
+  // Services flag known errors with `status` (404, 409...)
+  const statusCode = err.statusCode || err.status || 500
 
   // API requests get JSON response
   if (req.url.startsWith('/api/')) {
     return res.status(statusCode).json({
       success: false,
       error: err.message || 'Erreur serveur',
+      ...(err.errors && { errors: err.errors }),
+      ...err.details,
     })
   }
 
@@ -0,0 +1,32 @@
+import { authenticate } from './authenticate.js'
+import { isValidToken } from '../services/calendarService.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+
+/**
+ * Middleware factory for private calendar feeds
+ * Calendar apps cannot send a JWT: a valid `?token=` grants access on its
+ * own, otherwise the request must be authenticated and pass `canAccess`
+ * @param {Function} findToken - (id) => Promise<string|null>, throws 404 if missing
+ * @param {Function} canAccess - (user, id) => boolean, for JWT requests
+ * @returns {Function} Express middleware
+ */
+export const feedAccess = (findToken, canAccess) =>
+  asyncHandler(async (req, res, next) => {
+    const id = parseInt(req.params.id)
+
+    if (req.query.token !== undefined) {
+      const expected = await findToken(id)
+
+      if (!isValidToken(req.query.token, expected)) {
+        return res.status(401).json({ error: 'Jeton de calendrier invalide' })
+      }
+      return next()
+    }
+
+    authenticate(req, res, () => {
+      if (!canAccess(req.user, id)) {
+        return res.status(403).json({ error: 'Accès interdit' })
+      }
+      next()
+    })
+  })
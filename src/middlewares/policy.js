@@ -0,0 +1,71 @@
+import { STAFF_ROLES } from '../config/roles.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+
+/**
+ * Ownership-aware access policies
+ * Complements authorize(...roles) when access depends on the resource itself
+ */
+
+/**
+ * Check if the user has a staff role (admin or staff)
+ * @param {{ role: string }} user - Authenticated user (JWT payload)
+ * @returns {boolean}
+ */
+export const isStaff = user => Boolean(user) && STAFF_ROLES.includes(user.role)
+
+/**
+ * Check if the user owns the resource
+ * @param {{ userId: number }} user - Authenticated user (JWT payload)
+ * @param {Object} resource - Resource to check
+ * @param {string} [ownerField] - Field holding the owner ID
+ * @returns {boolean}
+ */
+export const isOwner = (user, resource, ownerField = 'userId') =>
+  Boolean(user) && resource?.[ownerField] === user.userId
+
+/**
+ * Check if the user may manage the resource (owner or staff)
+ * @param {{ userId: number, role: string }} user - Authenticated user
+ * @param {Object} resource - Resource to check
+ * @param {string} [ownerField] - Field holding the owner ID
+ * @returns {boolean}
+ */
+export const canManage = (user, resource, ownerField = 'userId') =>
+  isStaff(user) || isOwner(user, resource, ownerField)
+
+/**
+ * Check if the user may act on behalf of another user
+ * @param {{ userId: number, role: string }} user - Authenticated user
+ * @param {number} targetUserId - User the action is done for
+ * @returns {boolean}
+ */
+export const canActFor = (user, targetUserId) =>
+  isStaff(user) || user?.userId === targetUserId
+
+/**
+ * Middleware factory restricting a route to the resource owner or staff
+ * The loaded resource is exposed as req.resource
+ * @param {Function} loadResource - (id) => Promise<Object>, throws 404 if missing
+ * @param {Object} [options]
+ * @param {string} [options.ownerField] - Field holding the owner ID
+ * @param {string} [options.param] - Route param holding the resource ID
+ * @returns {Function} Express middleware
+ */
+export const authorizeOwner = (
+  loadResource,
+  { ownerField = 'userId', param = 'id' } = {}
+) =>
+  asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Non authentifié' })
+    }
+
+    const resource = await loadResource(parseInt(req.params[param]))
+
+    if (!canManage(req.user, resource, ownerField)) {
+      return res.status(403).json({ error: 'Accès interdit' })
+    }
+
+    req.resource = resource
+    next()
+  })
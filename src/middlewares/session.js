@@ -0,0 +1,24 @@
+/**
+ * Session helpers for the EJS views
+ */
+
+/**
+ * Middleware redirecting anonymous visitors to the login page
+ */
+export const requireLogin = (req, res, next) => {
+  if (!req.session?.user) {
+    return res.redirect('/auth/login')
+  }
+  next()
+}
+
+/**
+ * Build the actor expected by services from the session user
+ * Services use the JWT payload shape ({ userId, role })
+ * @param {Object} req - Express request with a logged-in session
+ * @returns {{ userId: number, role: string }}
+ */
+export const sessionActor = req => ({
+  userId: req.session.user.id,
+  role: req.session.user.role,
+})
@@ -32,3 +32,34 @@ export const validate = schema => {
     next()
   }
 }
+
+/**
+ * Query string validation middleware factory using Zod
+ * @param {import('zod').ZodSchema} schema - Zod schema to validate against
+ * @returns {Function} Express middleware
+ */
+export const validateQuery = schema => {
+  return (req, res, next) => {
+    const result = schema.safeParse(req.query)
+
+    if (!result.success) {
+      const errors = result.error.issues.map(err => ({
+        field: err.path.join('.'),
+        message: err.message,
+      }))
+
+      return res.status(400).json({
+        success: false,
+        errors,
+      })
+    }
+
+    // req.query is a getter in Express 5: shadow it with the parsed data
+    Object.defineProperty(req, 'query', {
+      value: result.data,
+      writable: true,
+      enumerable: true,
+    })
+    next()
+  }
+}
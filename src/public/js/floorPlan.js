@@ -0,0 +1,134 @@
+/**
+ * Floor plan editor (pages/admin/floorPlan)
+ * - Drag a station onto a free cell to place it
+ * - Drag it back to the tray to take it off the plan
+ * Changes are saved through POST /admin/stations/:id/position; refused
+ * moves (cell taken, outside the grid) are reverted and explained inline
+ */
+
+const MESSAGE_STYLES = {
+  error: 'bg-red-100 border-red-400 text-red-700',
+  success: 'bg-green-100 border-green-400 text-green-700',
+}
+
+const message = document.querySelector('[data-floor-plan-message]')
+const tray = document.querySelector('[data-tray]')
+
+let dragged = null
+
+/**
+ * Show a message above the floor plan
+ * @param {string} type - error or success
+ * @param {string} text - Message
+ */
+const showMessage = (type, text) => {
+  message.className = `border px-4 py-3 rounded-lg mb-6 ${MESSAGE_STYLES[type]}`
+  message.textContent = text
+}
+
+/**
+ * Put a tile in the tray, sized like the other tray tiles
+ * @param {HTMLElement} tile - Station tile
+ */
+const toTray = tile => {
+  const slot = document.createElement('div')
+  slot.className = 'w-28 h-12'
+  slot.append(tile)
+  tray.append(slot)
+}
+
+/**
+ * Move a tile to a cell or to the tray
+ * @param {HTMLElement} tile - Station tile
+ * @param {HTMLElement} target - Cell, or the tray
+ */
+const moveTile = (tile, target) => {
+  const previous = tile.parentElement
+  if (target === tray) {
+    toTray(tile)
+  } else {
+    target.append(tile)
+  }
+  // Tray slots only wrap a tile: drop the empty one
+  if (previous.parentElement === tray) {
+    previous.remove()
+  }
+}
+
+/**
+ * Save the new position of a station, or put it back where it was
+ * @param {HTMLElement} tile - Station tile
+ * @param {HTMLElement} target - Cell, or the tray
+ */
+const save = async (tile, target) => {
+  const origin = tile.parentElement.matches('[data-cell]')
+    ? tile.parentElement
+    : tray
+  const id = tile.dataset.station
+  const position =
+    target === tray
+      ? { mapX: null, mapY: null }
+      : { mapX: Number(target.dataset.x), mapY: Number(target.dataset.y) }
+
+  moveTile(tile, target)
+  tile.classList.add('opacity-50')
+  try {
+    const res = await fetch(`/admin/stations/${id}/position`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(position),
+    })
+    const body = await res.json()
+
+    if (!res.ok) {
+      const details = (body.errors ?? []).map(error => error.message)
+      throw new Error([body.error, ...details].join(' : '))
+    }
+
+    showMessage('success', `${tile.title} enregistree`)
+  } catch (error) {
+    moveTile(tile, origin)
+    showMessage('error', `${tile.title} : ${error.message}`)
+  } finally {
+    tile.classList.remove('opacity-50')
+  }
+}
+
+document.addEventListener('dragstart', event => {
+  dragged = event.target.closest('[data-station]')
+  if (dragged) {
+    event.dataTransfer.effectAllowed = 'move'
+  }
+})
+
+document.addEventListener('dragover', event => {
+  const target = event.target.closest('[data-cell], [data-tray]')
+  // Occupied cells refuse the drop, the tray takes any number of stations
+  if (
+    dragged &&
+    target &&
+    (target === tray || !target.querySelector('[data-station]'))
+  ) {
+    event.preventDefault()
+  }
+})
+
+document.addEventListener('drop', event => {
+  const target = event.target.closest('[data-cell], [data-tray]')
+  if (!dragged || !target) {
+    return
+  }
+
+  event.preventDefault()
+  const tile = dragged
+  dragged = null
+
+  if (tile.parentElement === target) {
+    return
+  }
+  save(tile, target)
+})
+
+document.addEventListener('dragend', () => {
+  dragged = null
+})
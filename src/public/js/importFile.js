@@ -0,0 +1,19 @@
+/**
+ * Import form (pages/admin/import)
+ * A chosen file is read into the content field, and its extension picks the
+ * format: the form posts plain text, no upload needed
+ */
+
+const fileInput = document.querySelector('[data-import-file]')
+const content = document.querySelector('[data-import-content]')
+const format = document.querySelector('[data-import-format]')
+
+fileInput.addEventListener('change', async () => {
+  const [file] = fileInput.files
+  if (!file) {
+    return
+  }
+
+  content.value = await file.text()
+  format.value = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json'
+})
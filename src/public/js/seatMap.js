@@ -0,0 +1,48 @@
+/**
+ * Seat map (pages/stations/map)
+ * Refreshes the colour of each seat from GET /api/stations/map, so the page
+ * can stay open on a screen at the venue entrance
+ */
+
+const REFRESH_MS = 30 * 1000
+
+const map = document.querySelector('[data-seat-map]')
+const time = document.querySelector('[data-seat-map-time]')
+const styles = JSON.parse(map.dataset.styles)
+const labels = JSON.parse(map.dataset.labels)
+const allStyles = Object.values(styles)
+
+/**
+ * Recolour every seat with its live status
+ */
+const refresh = async () => {
+  try {
+    const res = await fetch('/api/stations/map')
+    if (!res.ok) {
+      return
+    }
+    const { data } = await res.json()
+
+    data.stations.forEach(station => {
+      const seat = map.querySelector(`[data-seat="${station.id}"]`)
+      if (!seat) {
+        return
+      }
+
+      const rect = seat.querySelector('rect')
+      rect.classList.remove(...allStyles)
+      rect.classList.add(styles[station.liveStatus])
+      seat.querySelector('title').textContent =
+        `${station.name} : ${labels[station.liveStatus]}`
+    })
+
+    time.textContent = new Date(data.at).toLocaleTimeString('fr-FR', {
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+  } catch {
+    // Offline for a moment: keep the last known state
+  }
+}
+
+setInterval(refresh, REFRESH_MS)
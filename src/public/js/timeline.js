@@ -0,0 +1,168 @@
+/**
+ * Admin timeline (pages/admin/timeline)
+ * - Drag a booking to move it in time or to another station
+ * - Drag its right edge to change its end time
+ * Changes are saved through POST /admin/bookings/:id/move; refused moves
+ * (slot taken, schedule rule, quota) are reverted and explained inline
+ */
+
+const MINUTE = 60 * 1000
+
+const MESSAGE_STYLES = {
+  error: 'bg-red-100 border-red-400 text-red-700',
+  success: 'bg-green-100 border-green-400 text-green-700',
+}
+
+const timeline = document.querySelector('[data-timeline]')
+const message = document.querySelector('[data-timeline-message]')
+const tracks = [...document.querySelectorAll('[data-track]')]
+
+const from = Number(timeline.dataset.from)
+const to = Number(timeline.dataset.to)
+const slot = Number(timeline.dataset.slotMinutes) * MINUTE
+
+let drag = null
+
+/**
+ * Round a duration to the booking slot granularity
+ * @param {number} duration - Milliseconds
+ * @returns {number}
+ */
+const snap = duration => Math.round(duration / slot) * slot
+
+/**
+ * Show a message above the timeline
+ * @param {string} type - error or success
+ * @param {string} text - Message
+ */
+const showMessage = (type, text) => {
+  message.className = `border px-4 py-3 rounded-lg mb-6 ${MESSAGE_STYLES[type]}`
+  message.textContent = text
+}
+
+/**
+ * Place a booking block on its track (clipped to the window)
+ * @param {HTMLElement} block - Booking block
+ * @param {number} start - Start timestamp
+ * @param {number} end - End timestamp
+ */
+const place = (block, start, end) => {
+  const left = Math.max(start, from)
+  const right = Math.min(end, to)
+  block.style.left = `${((left - from) / (to - from)) * 100}%`
+  block.style.width = `${((right - left) / (to - from)) * 100}%`
+}
+
+/**
+ * Find the station track at a vertical position
+ * @param {number} y - Client Y coordinate
+ * @returns {HTMLElement|undefined}
+ */
+const trackAt = y =>
+  tracks.find(track => {
+    const rect = track.getBoundingClientRect()
+    return y >= rect.top && y < rect.bottom
+  })
+
+/**
+ * Save the new position of a booking, or put it back where it was
+ * @param {Object} moved - Finished drag
+ */
+const save = async ({ block, origin, start, end }) => {
+  const track = block.parentElement
+  const id = block.dataset.booking
+
+  block.classList.add('opacity-50')
+  try {
+    const res = await fetch(`/admin/bookings/${id}/move`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        stationId: Number(track.dataset.track),
+        startTime: new Date(start).toISOString(),
+        endTime: new Date(end).toISOString(),
+      }),
+    })
+    const body = await res.json()
+
+    if (!res.ok) {
+      const details = (body.errors ?? []).map(error => error.message)
+      throw new Error([body.error, ...details].join(' : '))
+    }
+
+    block.dataset.start = start
+    block.dataset.end = end
+    showMessage('success', `Réservation #${id} mise à jour`)
+  } catch (error) {
+    origin.track.append(block)
+    place(block, origin.start, origin.end)
+    block.classList.add('ring-2', 'ring-red-500')
+    setTimeout(() => block.classList.remove('ring-2', 'ring-red-500'), 3000)
+    showMessage('error', `Réservation #${id} : ${error.message}`)
+  } finally {
+    block.classList.remove('opacity-50')
+  }
+}
+
+timeline.addEventListener('pointerdown', event => {
+  const block = event.target.closest('[data-booking][data-editable]')
+  if (!block || event.button !== 0) {
+    return
+  }
+
+  event.preventDefault()
+  const start = Number(block.dataset.start)
+  const end = Number(block.dataset.end)
+  drag = {
+    block,
+    mode: event.target.closest('[data-resize]') ? 'resize' : 'move',
+    x: event.clientX,
+    origin: { track: block.parentElement, start, end },
+    start,
+    end,
+  }
+})
+
+document.addEventListener('pointermove', event => {
+  if (!drag) {
+    return
+  }
+
+  const { block, origin } = drag
+  const delta = snap(
+    ((event.clientX - drag.x) / origin.track.clientWidth) * (to - from)
+  )
+
+  if (drag.mode === 'resize') {
+    drag.end = Math.max(origin.end + delta, origin.start + slot)
+  } else {
+    drag.start = origin.start + delta
+    drag.end = origin.end + delta
+
+    const track = trackAt(event.clientY)
+    if (track && track !== block.parentElement) {
+      track.append(block)
+    }
+  }
+
+  place(block, drag.start, drag.end)
+})
+
+document.addEventListener('pointerup', () => {
+  if (!drag) {
+    return
+  }
+
+  const moved = drag
+  drag = null
+
+  if (
+    moved.start === moved.origin.start &&
+    moved.end === moved.origin.end &&
+    moved.block.parentElement === moved.origin.track
+  ) {
+    return
+  }
+
+  save(moved)
+})
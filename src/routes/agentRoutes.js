@@ -0,0 +1,144 @@
+import express from 'express'
+import * as agentController from '../controllers/agentController.js'
+import { validate } from '../middlewares/validate.js'
+import { agentAuth } from '../middlewares/agentAuth.js'
+import { heartbeatSchema } from '../schemas/agentSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     agentToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: Agent token of the station (POST /api/stations/{id}/agent-token), not a JWT
+ *   schemas:
+ *     StationHeartbeat:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         online:
+ *           type: boolean
+ *           description: False when the machine is shutting down
+ *         loggedInUser:
+ *           type: string
+ *           nullable: true
+ *           example: player1
+ *         runningGame:
+ *           type: string
+ *           nullable: true
+ *           example: Counter-Strike 2
+ *         cpuTempC:
+ *           type: number
+ *           nullable: true
+ *           example: 64.5
+ *         gpuTempC:
+ *           type: number
+ *           nullable: true
+ *           example: 71
+ *         uptimeSeconds:
+ *           type: integer
+ *           nullable: true
+ *           example: 5400
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         stationId:
+ *           type: integer
+ *     MachineState:
+ *       type: object
+ *       description: Reported fields are only present while online
+ *       properties:
+ *         state:
+ *           type: string
+ *           enum: [online, offline, unknown]
+ *           description: offline once AGENT_MISSED_HEARTBEATS heartbeats are missed, unknown when no agent ever reported
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         loggedInUser:
+ *           type: string
+ *           nullable: true
+ *         runningGame:
+ *           type: string
+ *           nullable: true
+ *         cpuTempC:
+ *           type: number
+ *           nullable: true
+ *         gpuTempC:
+ *           type: number
+ *           nullable: true
+ *         uptimeSeconds:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/agent/heartbeat:
+ *   post:
+ *     summary: Report the machine state of a station
+ *     description: Called by the agent running on the station every nextHeartbeatSeconds (AGENT_HEARTBEAT_SECONDS). The token identifies the station. Send online false when the machine shuts down. Only the latest AGENT_HISTORY_SIZE heartbeats are kept.
+ *     tags: [Agent]
+ *     security:
+ *       - agentToken: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               online:
+ *                 type: boolean
+ *                 default: true
+ *               loggedInUser:
+ *                 type: string
+ *                 example: player1
+ *               runningGame:
+ *                 type: string
+ *                 example: Counter-Strike 2
+ *               cpuTempC:
+ *                 type: number
+ *                 example: 64.5
+ *               gpuTempC:
+ *                 type: number
+ *                 example: 71
+ *               uptimeSeconds:
+ *                 type: integer
+ *                 example: 5400
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/MachineState'
+ *                     - type: object
+ *                       properties:
+ *                         nextHeartbeatSeconds:
+ *                           type: integer
+ *                           example: 30
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or unknown agent token
+ */
+router.post(
+  '/heartbeat',
+  agentAuth,
+  validate(heartbeatSchema),
+  agentController.heartbeat
+)
+
+export default router
@@ -0,0 +1,279 @@
+import express from 'express'
+import * as bookingGroupController from '../controllers/bookingGroupController.js'
+import { validate } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorizeOwner } from '../middlewares/policy.js'
+import * as bookingGroupService from '../services/bookingGroupService.js'
+import {
+  bookingGroupSchema,
+  bookingGroupExtendSchema,
+} from '../schemas/bookingGroupSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingGroup:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: Team Rocket
+ *         placement:
+ *           type: string
+ *           enum: [any, zone, row]
+ *           description: Placement constraint the stations satisfied
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         captainId:
+ *           type: integer
+ *           description: Captain owning every booking of the group
+ *         captain:
+ *           type: object
+ *         bookings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Booking'
+ *     BookingGroupInput:
+ *       type: object
+ *       required:
+ *         - startTime
+ *         - endTime
+ *       description: Give either stationIds or count
+ *       properties:
+ *         captainId:
+ *           type: integer
+ *           description: Captain (staff only, defaults to the authenticated user)
+ *         name:
+ *           type: string
+ *           example: Team Rocket
+ *         stationIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Stations to book (2 to 20)
+ *           example: [1, 2, 3]
+ *         count:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 20
+ *           description: Number of free stations to pick automatically
+ *           example: 5
+ *         placement:
+ *           type: string
+ *           enum: [any, zone, row]
+ *           default: any
+ *           description: zone = same zone, row = adjacent seats of a single row
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T20:00:00Z
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T23:00:00Z
+ *         gameId:
+ *           type: integer
+ *           description: Game the team plays; the number of stations must fit its player range
+ */
+
+/**
+ * @swagger
+ * /api/bookings/groups:
+ *   get:
+ *     summary: List group bookings
+ *     description: Captains see their own groups, staff see everyone's.
+ *     tags: [Booking groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Group bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     groups:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookingGroup'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', authenticate, bookingGroupController.getAll)
+
+/**
+ * @swagger
+ * /api/bookings/groups/{id}:
+ *   get:
+ *     summary: Get a group booking by ID
+ *     description: Captain or staff.
+ *     tags: [Booking groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Group booking with its bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingGroup'
+ *       403:
+ *         description: Neither the captain nor staff
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorizeOwner(bookingGroupService.findById, { ownerField: 'captainId' }),
+  bookingGroupController.getById
+)
+
+/**
+ * @swagger
+ * /api/bookings/groups:
+ *   post:
+ *     summary: Book several stations for a team
+ *     description: Books every station for the same window in a single transaction, all or nothing. The bookings belong to the captain and the group counts as one booking in the captain's quotas.
+ *     tags: [Booking groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookingGroupInput'
+ *     responses:
+ *       201:
+ *         description: Group booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingGroup'
+ *       400:
+ *         description: Validation error, schedule rule or placement not satisfied
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Booking for another captain without staff role
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: A station is not bookable, a slot is taken, or not enough free stations fit the placement
+ *       422:
+ *         description: Booking quota exceeded
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(bookingGroupSchema),
+  bookingGroupController.create
+)
+
+/**
+ * @swagger
+ * /api/bookings/groups/{id}/extend:
+ *   post:
+ *     summary: Extend every booking of a group
+ *     description: Pushes back the end of every active booking of the group, all or nothing (captain or staff).
+ *     tags: [Booking groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endTime
+ *             properties:
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2025-12-06T00:00:00Z
+ *     responses:
+ *       200:
+ *         description: Group extended
+ *       400:
+ *         description: New end not later than the current one, or schedule rule broken
+ *       403:
+ *         description: Neither the captain nor staff
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: No active booking, or a slot is taken
+ *       422:
+ *         description: Booking quota exceeded
+ */
+router.post(
+  '/:id/extend',
+  authenticate,
+  validate(bookingGroupExtendSchema),
+  bookingGroupController.extend
+)
+
+/**
+ * @swagger
+ * /api/bookings/groups/{id}/cancel:
+ *   post:
+ *     summary: Cancel every booking of a group
+ *     description: Cancels the pending and confirmed bookings of the group (captain or staff). Released slots go to the waitlist.
+ *     tags: [Booking groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Group cancelled
+ *       403:
+ *         description: Neither the captain nor staff
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: No booking of the group can be cancelled
+ */
+router.post('/:id/cancel', authenticate, bookingGroupController.cancel)
+
+export default router
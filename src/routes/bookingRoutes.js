@@ -1,11 +1,17 @@
-import express from 'express';
-import * as bookingController from '../controllers/bookingController.js';
-import { validate } from '../middlewares/validate.js';
-import { authorize } from '../middlewares/authorize.js';
-import { authenticate } from '../middlewares/authenticate.js';
-import { bookingSchema } from '../schemas/bookingSchema.js';
+import express from 'express'
+import * as bookingController from '../controllers/bookingController.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorizeOwner } from '../middlewares/policy.js'
+import * as bookingService from '../services/bookingService.js'
+import {
+  bookingExtendSchema,
+  bookingQuerySchema,
+  bookingSchema,
+} from '../schemas/bookingSchema.js'
 
-const router = express.Router();
+const router = express.Router()
 
 /**
  * @swagger
@@ -35,8 +41,41 @@ const router = express.Router();
  *           description: End of booking
  *         status:
  *           type: string
- *           description: Booking status
+ *           enum: [pending, confirmed, checked_in, completed, cancelled, no_show]
+ *           description: Booking status (changed through lifecycle transitions)
  *           example: confirmed
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         noShowAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *           description: Group booking this booking is part of
+ *         seriesId:
+ *           type: integer
+ *           nullable: true
+ *           description: Recurring series this booking is an occurrence of
+ *         gameId:
+ *           type: integer
+ *           nullable: true
+ *           description: Game played during the booking
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -69,7 +108,13 @@ const router = express.Router();
  *           example: 2
  *         userId:
  *           type: integer
+ *           description: Owner of the booking (staff only, defaults to the caller)
  *           example: 3
+ *         gameId:
+ *           type: integer
+ *           nullable: true
+ *           description: Game played, if known (null clears it)
+ *           example: 1
  *     Error:
  *       type: object
  *       properties:
@@ -82,26 +127,122 @@ const router = express.Router();
  * @swagger
  * /api/bookings:
  *   get:
- *     summary: List all bookings
+ *     summary: List bookings with filters, sorting and pagination
+ *     description: Participants get their own bookings, staff get everyone's.
  *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Bookings of this user (another user's for staff only)
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: integer
+ *         description: Bookings of this station
+ *         example: 4
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Bookings ending after this date (overlap with from/to)
+ *         example: 2025-12-05T18:00:00Z
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Bookings starting before this date (overlap with from/to)
+ *         example: 2025-12-06T06:00:00Z
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, confirmed, checked_in, completed, cancelled, no_show]
+ *         description: Statuses, comma-separated or repeated
+ *         example: [pending, confirmed]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startTime, endTime, createdAt, status, id]
+ *           default: startTime
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
  *     responses:
  *       200:
- *         description: List of bookings
+ *         description: Page of bookings
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Booking'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       description: Number of bookings matching the filters
+ *                       example: 12
+ *                     count:
+ *                       type: integer
+ *                       description: Number of bookings in this page
+ *                       example: 10
+ *                     bookings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: userId of another participant, not staff
  */
-router.get('/', bookingController.getAll);
+router.get(
+  '/',
+  authenticate,
+  validateQuery(bookingQuerySchema),
+  bookingController.getAll
+)
 
 /**
  * @swagger
  * /api/bookings/{id}:
  *   get:
  *     summary: Get a booking by ID
+ *     description: Owner or staff.
  *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -116,6 +257,10 @@ router.get('/', bookingController.getAll);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Neither the owner nor staff
  *       404:
  *         description: Booking not found
  *         content:
@@ -123,16 +268,22 @@ router.get('/', bookingController.getAll);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', bookingController.getById);
+router.get(
+  '/:id',
+  authenticate,
+  authorizeOwner(bookingService.findById),
+  bookingController.getById
+)
 
 /**
  * @swagger
  * /api/bookings:
  *   post:
  *     summary: Create a new booking
+ *     description: The booking belongs to the authenticated user. Staff may pass a userId to book on behalf of someone else.
  *     tags: [Bookings]
  *     security:
- *       - BearerAuth: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -158,23 +309,52 @@ router.get('/:id', bookingController.getById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Booking for another user requires a staff role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Station already booked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Booking quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Quota de réservation dépassé
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotaViolation'
  */
-router.post('/', authenticate, validate(bookingSchema), bookingController.create);
+router.post(
+  '/',
+  authenticate,
+  validate(bookingSchema),
+  bookingController.create
+)
 
 /**
  * @swagger
  * /api/bookings/{id}:
  *   put:
  *     summary: Update an existing booking
+ *     description: Restricted to the booking owner and staff.
  *     tags: [Bookings]
  *     security:
- *       - BearerAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -207,6 +387,12 @@ router.post('/', authenticate, validate(bookingSchema), bookingController.create
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not the owner of the booking, or reassigning without a staff role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Booking not found
  *         content:
@@ -214,13 +400,363 @@ router.post('/', authenticate, validate(bookingSchema), bookingController.create
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Station already booked
+ *         description: Station already booked or booking no longer editable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Booking quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Quota de réservation dépassé
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotaViolation'
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorizeOwner(bookingService.findById),
+  validate(bookingSchema),
+  bookingController.update
+)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/confirm:
+ *   post:
+ *     summary: Confirm a pending booking
+ *     description: "Owner or staff. Booking must be pending."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Transition applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to trigger this transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/confirm', authenticate, bookingController.confirm)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/check-in:
+ *   post:
+ *     summary: Check in the participant at the station
+ *     description: "Staff only. Booking must be confirmed."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Transition applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to trigger this transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/check-in', authenticate, bookingController.checkIn)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/complete:
+ *   post:
+ *     summary: Complete a checked-in session
+ *     description: "Owner or staff. Booking must be checked_in."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Transition applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to trigger this transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/complete', authenticate, bookingController.complete)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancel:
+ *   post:
+ *     summary: Cancel a booking and release the slot
+ *     description: "Owner or staff. Booking must be pending or confirmed."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Transition applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to trigger this transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/cancel', authenticate, bookingController.cancel)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/no-show:
+ *   post:
+ *     summary: Mark a booking as no-show and release the slot
+ *     description: "Staff only, once the slot has started. Booking must be confirmed."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Transition applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to trigger this transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/no-show', authenticate, bookingController.noShow)
+
+/**
+ * @swagger
+ * /api/bookings/{id}/extend:
+ *   post:
+ *     summary: Extend a booking
+ *     description: "Owner or staff. Pending, confirmed or checked-in bookings. Approved at once if the station stays free and the schedule rules and quotas allow it; otherwise rejected with the next free slot of the same length."
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minutes
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: Booking extended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Validation error or schedule rule broken
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking over, or station taken right after
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: La station est réservée juste après, prolongation impossible
+ *                 nextFreeSlot:
+ *                   type: object
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                       format: date-time
+ *                     endTime:
+ *                       type: string
+ *                       format: date-time
+ *       422:
+ *         description: Booking quota exceeded
  */
-router.put('/:id', authenticate, validate(bookingSchema), bookingController.update);
+router.post(
+  '/:id/extend',
+  authenticate,
+  validate(bookingExtendSchema),
+  bookingController.extend
+)
 
 /**
  * @swagger
@@ -229,7 +765,7 @@ router.put('/:id', authenticate, validate(bookingSchema), bookingController.upda
  *     summary: Delete a booking
  *     tags: [Bookings]
  *     security:
- *       - BearerAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -259,6 +795,11 @@ router.put('/:id', authenticate, validate(bookingSchema), bookingController.upda
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authenticate, authorize('admin'), bookingController.remove);
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('admin'),
+  bookingController.remove
+)
 
-export default router;
+export default router
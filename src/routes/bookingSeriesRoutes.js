@@ -0,0 +1,293 @@
+import express from 'express'
+import * as bookingSeriesController from '../controllers/bookingSeriesController.js'
+import { validate } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorizeOwner } from '../middlewares/policy.js'
+import * as bookingSeriesService from '../services/bookingSeriesService.js'
+import { bookingSeriesSchema } from '../schemas/bookingSeriesSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         frequency:
+ *           type: string
+ *           enum: [daily, hourly]
+ *         interval:
+ *           type: integer
+ *           description: Days (daily) or hours (hourly) between two occurrences
+ *           example: 1
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: No occurrence starts after this date
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the first occurrence
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           description: End of the first occurrence
+ *         userId:
+ *           type: integer
+ *         stationId:
+ *           type: integer
+ *         user:
+ *           type: object
+ *         station:
+ *           type: object
+ *         bookings:
+ *           type: array
+ *           description: One booking per occurrence
+ *           items:
+ *             $ref: '#/components/schemas/Booking'
+ *     BookingSeriesInput:
+ *       type: object
+ *       required:
+ *         - stationId
+ *         - startTime
+ *         - endTime
+ *         - frequency
+ *         - until
+ *       properties:
+ *         userId:
+ *           type: integer
+ *           description: Owner (staff only, defaults to the authenticated user)
+ *         stationId:
+ *           type: integer
+ *           example: 2
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T19:00:00Z
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T23:00:00Z
+ *         frequency:
+ *           type: string
+ *           enum: [daily, hourly]
+ *           example: daily
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 1
+ *           description: Days or hours between two occurrences (occurrences may not overlap)
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-07T23:59:00Z
+ *         gameId:
+ *           type: integer
+ *           description: Game played at every occurrence
+ */
+
+/**
+ * @swagger
+ * /api/bookings/series:
+ *   get:
+ *     summary: List recurring bookings
+ *     description: Participants see their own series, staff see everyone's.
+ *     tags: [Booking series]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recurring series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookingSeries'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', authenticate, bookingSeriesController.getAll)
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}:
+ *   get:
+ *     summary: Get a recurring series by ID
+ *     description: Owner or staff.
+ *     tags: [Booking series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series with its occurrences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingSeries'
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Series not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorizeOwner(bookingSeriesService.findById),
+  bookingSeriesController.getById
+)
+
+/**
+ * @swagger
+ * /api/bookings/series:
+ *   post:
+ *     summary: Book a station on a recurring schedule
+ *     description: Expands the rule into one booking per occurrence (50 at most) and books them in a single transaction, all or nothing. Every occurrence is checked up front and the taken ones are listed in `conflicts`. A series counts as one booking towards the concurrent bookings quota.
+ *     tags: [Booking series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookingSeriesInput'
+ *     responses:
+ *       201:
+ *         description: Series booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingSeries'
+ *       400:
+ *         description: Validation error, too many occurrences or schedule rule broken (see `occurrence`)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Booking for another participant without staff role
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: Station not bookable, or occurrences already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: 1 occurrence(s) sur 3 déjà réservée(s)
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       startTime:
+ *                         type: string
+ *                         format: date-time
+ *                       endTime:
+ *                         type: string
+ *                         format: date-time
+ *       422:
+ *         description: Booking quota exceeded (see `occurrence`)
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(bookingSeriesSchema),
+  bookingSeriesController.create
+)
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}/cancel:
+ *   post:
+ *     summary: Cancel a whole series
+ *     description: Cancels the pending and confirmed occurrences (owner or staff). Released slots go to the waitlist.
+ *     tags: [Booking series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series cancelled
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Series not found
+ *       409:
+ *         description: No occurrence can be cancelled
+ */
+router.post('/:id/cancel', authenticate, bookingSeriesController.cancel)
+
+/**
+ * @swagger
+ * /api/bookings/series/{id}/occurrences/{bookingId}/cancel:
+ *   post:
+ *     summary: Cancel a single occurrence of a series
+ *     tags: [Booking series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking of the occurrence
+ *     responses:
+ *       200:
+ *         description: Occurrence cancelled
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Series not found, or booking not part of it
+ *       409:
+ *         description: Occurrence can no longer be cancelled
+ */
+router.post(
+  '/:id/occurrences/:bookingId/cancel',
+  authenticate,
+  bookingSeriesController.cancelOccurrence
+)
+
+export default router
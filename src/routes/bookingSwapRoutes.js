@@ -0,0 +1,207 @@
+import express from 'express'
+import * as bookingSwapController from '../controllers/bookingSwapController.js'
+import { validate } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { bookingSwapSchema } from '../schemas/bookingSwapSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SwapRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled]
+ *         bookingId:
+ *           type: integer
+ *           description: Booking of the requester
+ *         targetBookingId:
+ *           type: integer
+ *           description: Booking wanted in exchange
+ *         booking:
+ *           $ref: '#/components/schemas/Booking'
+ *         targetBooking:
+ *           $ref: '#/components/schemas/Booking'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/bookings/swaps:
+ *   get:
+ *     summary: List swap requests
+ *     description: Participants see the requests they proposed or received, staff see everyone's.
+ *     tags: [Booking swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Swap requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     swaps:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SwapRequest'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', authenticate, bookingSwapController.getAll)
+
+/**
+ * @swagger
+ * /api/bookings/swaps:
+ *   post:
+ *     summary: Propose a booking swap
+ *     description: The owner of the target booking must accept. Both bookings must be pending or confirmed and not part of a group or series.
+ *     tags: [Booking swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookingId
+ *               - targetBookingId
+ *             properties:
+ *               bookingId:
+ *                 type: integer
+ *                 description: Your booking
+ *                 example: 4
+ *               targetBookingId:
+ *                 type: integer
+ *                 description: Booking you want in exchange
+ *                 example: 7
+ *     responses:
+ *       201:
+ *         description: Swap proposed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SwapRequest'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not the owner of bookingId
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking not swappable, same owner, or swap already pending
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(bookingSwapSchema),
+  bookingSwapController.create
+)
+
+/**
+ * @swagger
+ * /api/bookings/swaps/{id}/accept:
+ *   post:
+ *     summary: Accept a swap
+ *     description: Owner of the target booking only. Both bookings change owner in a single transaction, after the same status and quota checks as a booking update. Other pending requests on either booking are cancelled.
+ *     tags: [Booking swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap done
+ *       403:
+ *         description: Not the owner of the target booking
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Request closed, or a booking can no longer be swapped
+ *       422:
+ *         description: An owner would exceed a booking quota
+ */
+router.post('/:id/accept', authenticate, bookingSwapController.accept)
+
+/**
+ * @swagger
+ * /api/bookings/swaps/{id}/decline:
+ *   post:
+ *     summary: Decline a swap
+ *     description: Owner of the target booking or staff.
+ *     tags: [Booking swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap declined
+ *       403:
+ *         description: Neither the owner of the target booking nor staff
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Request already closed
+ */
+router.post('/:id/decline', authenticate, bookingSwapController.decline)
+
+/**
+ * @swagger
+ * /api/bookings/swaps/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a swap request
+ *     description: Requester or staff.
+ *     tags: [Booking swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Swap request ID
+ *     responses:
+ *       200:
+ *         description: Swap request withdrawn
+ *       403:
+ *         description: Neither the requester nor staff
+ *       404:
+ *         description: Swap request not found
+ *       409:
+ *         description: Request already closed
+ */
+router.post('/:id/cancel', authenticate, bookingSwapController.cancel)
+
+export default router
@@ -0,0 +1,502 @@
+import express from 'express'
+import * as equipmentController from '../controllers/equipmentController.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import {
+  equipmentQuerySchema,
+  equipmentSchema,
+  equipmentStationSchema,
+  loanQuerySchema,
+  loanSchema,
+} from '../schemas/equipmentSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EquipmentItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         assetTag:
+ *           type: string
+ *           description: Inventory label, unique
+ *           example: HS-001
+ *         serialNumber:
+ *           type: string
+ *           nullable: true
+ *           example: HX-CLD2-88412
+ *         type:
+ *           type: string
+ *           enum: [headset, controller, mouse, keyboard, monitor, other]
+ *         name:
+ *           type: string
+ *           example: HyperX Cloud II
+ *         status:
+ *           type: string
+ *           enum: [available, missing, retired]
+ *           description: Where the item is comes from stationId and currentLoan
+ *         stationId:
+ *           type: integer
+ *           nullable: true
+ *           description: Station the item is set up on, null at the desk or lent
+ *         station:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         currentLoan:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/EquipmentLoan'
+ *     EquipmentLoan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         itemId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             username:
+ *               type: string
+ *         checkedOutAt:
+ *           type: string
+ *           format: date-time
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *         returnedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *           example: Carte étudiante en caution
+ */
+
+/**
+ * @swagger
+ * /api/equipment:
+ *   get:
+ *     summary: List the inventory
+ *     description: Staff only. Each item comes with its station and its current loan.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [headset, controller, mouse, keyboard, monitor, other]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, missing, retired]
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: integer
+ *         description: Items set up on this station
+ *     responses:
+ *       200:
+ *         description: Inventory items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EquipmentItem'
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Staff only
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validateQuery(equipmentQuerySchema),
+  equipmentController.getAll
+)
+
+/**
+ * @swagger
+ * /api/equipment/loans:
+ *   get:
+ *     summary: List loans
+ *     description: Staff only. Newest first.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [open, overdue, returned]
+ *         description: overdue is an open loan past its due time
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loans with their item and borrower
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     loans:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EquipmentLoan'
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Staff only
+ */
+router.get(
+  '/loans',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validateQuery(loanQuerySchema),
+  equipmentController.getLoans
+)
+
+/**
+ * @swagger
+ * /api/equipment/loans/{loanId}/return:
+ *   post:
+ *     summary: Record the return of a lent item
+ *     description: Staff only. An item marked missing while lent goes back to available.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Loan closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EquipmentLoan'
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Item already returned
+ */
+router.post(
+  '/loans/:loanId/return',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  equipmentController.checkIn
+)
+
+/**
+ * @swagger
+ * /api/equipment/{id}:
+ *   get:
+ *     summary: Get an inventory item
+ *     description: Staff only. Comes with its whole loan history.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EquipmentItem'
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Item not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  equipmentController.getById
+)
+
+/**
+ * @swagger
+ * /api/equipment:
+ *   post:
+ *     summary: Add an item to the inventory
+ *     description: Staff only. The item starts at the desk.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assetTag
+ *               - type
+ *               - name
+ *             properties:
+ *               assetTag:
+ *                 type: string
+ *                 description: Letters, digits and dashes, stored upper case
+ *                 example: HS-001
+ *               serialNumber:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [headset, controller, mouse, keyboard, monitor, other]
+ *               name:
+ *                 type: string
+ *                 example: HyperX Cloud II
+ *               status:
+ *                 type: string
+ *                 enum: [available, missing, retired]
+ *                 default: available
+ *     responses:
+ *       201:
+ *         description: Item created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       409:
+ *         description: Asset tag already used
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(equipmentSchema),
+  equipmentController.create
+)
+
+/**
+ * @swagger
+ * /api/equipment/{id}:
+ *   put:
+ *     summary: Update an inventory item
+ *     description: Staff only. Same body as the creation.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Asset tag already used
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(equipmentSchema),
+  equipmentController.update
+)
+
+/**
+ * @swagger
+ * /api/equipment/{id}:
+ *   delete:
+ *     summary: Remove an item from the inventory
+ *     description: Staff only. Its loan history goes with it.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Item deleted
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item currently lent
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  equipmentController.remove
+)
+
+/**
+ * @swagger
+ * /api/equipment/{id}/station:
+ *   put:
+ *     summary: Set an item up on a station
+ *     description: Staff only. A null stationId takes the item back to the desk. Missing, retired or lent items cannot be set up.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stationId
+ *             properties:
+ *               stationId:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Item moved
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Item or station not found
+ *       409:
+ *         description: Item missing, retired or lent
+ */
+router.put(
+  '/:id/station',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(equipmentStationSchema),
+  equipmentController.assignStation
+)
+
+/**
+ * @swagger
+ * /api/equipment/{id}/loans:
+ *   post:
+ *     summary: Lend an item to a participant
+ *     description: Staff only. An item set up on a station leaves it. Only one open loan per item.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - dueAt
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *                 example: 3
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expected return time, in the future
+ *               note:
+ *                 type: string
+ *                 example: Carte étudiante en caution
+ *     responses:
+ *       201:
+ *         description: Loan opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EquipmentLoan'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Item or participant not found
+ *       409:
+ *         description: Item missing, retired or already lent
+ */
+router.post(
+  '/:id/loans',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(loanSchema),
+  equipmentController.checkOut
+)
+
+export default router
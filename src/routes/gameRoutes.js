@@ -1,8 +1,18 @@
 import express from 'express'
 import * as gameController from '../controllers/gameController.js'
-import { gameSchema } from '../schemas/gameSchema.js'
-import { validate } from '../middlewares/validate.js'
+import * as installationController from '../controllers/installationController.js'
+import * as compatibilityController from '../controllers/compatibilityController.js'
+import { compatibilityQuerySchema, gameSchema } from '../schemas/gameSchema.js'
+import { installationSchema } from '../schemas/installationSchema.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
 import { authenticate } from '../middlewares/authenticate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import * as transferController from '../controllers/transferController.js'
+import {
+  exportQuerySchema,
+  importQuerySchema,
+} from '../schemas/importSchema.js'
 
 /**
  * @swagger
@@ -45,6 +55,46 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           type: string
  *           description: Game description
  *           example: Tactical FPS reference game
+ *         minRamGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum RAM in GB
+ *           example: 16
+ *         minVramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum VRAM in GB
+ *           example: 6
+ *         minStorageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum free storage in GB
+ *           example: 85
+ *         minCpuCores:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum CPU cores
+ *           example: 4
+ *         recommendedRamGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended RAM in GB
+ *           example: 32
+ *         recommendedVramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended VRAM in GB
+ *           example: 12
+ *         recommendedStorageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended free storage in GB
+ *           example: 85
+ *         recommendedCpuCores:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended CPU cores
+ *           example: 8
  *     GameInput:
  *       type: object
  *       required:
@@ -77,6 +127,46 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           type: string
  *           description: Game description
  *           example: Tactical FPS reference game
+ *         minRamGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum RAM in GB
+ *           example: 16
+ *         minVramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum VRAM in GB
+ *           example: 6
+ *         minStorageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum free storage in GB
+ *           example: 85
+ *         minCpuCores:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimum CPU cores
+ *           example: 4
+ *         recommendedRamGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended RAM in GB
+ *           example: 32
+ *         recommendedVramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended VRAM in GB
+ *           example: 12
+ *         recommendedStorageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended free storage in GB
+ *           example: 85
+ *         recommendedCpuCores:
+ *           type: integer
+ *           nullable: true
+ *           description: Recommended CPU cores
+ *           example: 8
  *     Error:
  *       type: object
  *       properties:
@@ -153,6 +243,204 @@ const router = express.Router()
  */
 router.get('/', gameController.getAll)
 
+/**
+ * @swagger
+ * /api/games/stats:
+ *   get:
+ *     summary: Booking stats per game
+ *     description: "Staff only. Bookings that named a game (cancelled and no-show left out), most played first. `peakConcurrent` is the largest number of stations playing the game at once: how many stations to pre-install it on."
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stats of every game
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       game:
+ *                         $ref: '#/components/schemas/Game'
+ *                       bookings:
+ *                         type: integer
+ *                         example: 12
+ *                       hours:
+ *                         type: number
+ *                         example: 34.5
+ *                       players:
+ *                         type: integer
+ *                         description: Distinct participants
+ *                         example: 8
+ *                       stations:
+ *                         type: integer
+ *                         description: Distinct stations used
+ *                         example: 6
+ *                       peakConcurrent:
+ *                         type: integer
+ *                         example: 5
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not staff
+ */
+router.get(
+  '/stats',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  gameController.getStats
+)
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             create:
+ *               type: integer
+ *             update:
+ *               type: integer
+ *             invalid:
+ *               type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Record number, 1 for the first one (the line after the CSV header)
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               action:
+ *                 type: string
+ *                 enum: [create, update, invalid]
+ *               id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Record updated by the row
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ */
+
+/**
+ * @swagger
+ * /api/games/export:
+ *   get:
+ *     summary: Export every game as a file (admin only)
+ *     description: One record per row with the fields accepted by the game schema, so the file imports back as is.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: File download (games-YYYY-MM-DD.csv or .json)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin only
+ */
+router.get(
+  '/export',
+  authenticate,
+  authorize('admin'),
+  validateQuery(exportQuerySchema),
+  transferController.exportFile('games')
+)
+
+/**
+ * @swagger
+ * /api/games/import:
+ *   post:
+ *     summary: Import games from CSV or JSON (admin only)
+ *     description: Send CSV as text/csv (comma or semicolon delimited, first line = column names) or a JSON array. Each row is validated like a game form and matched by name (case-insensitive) - existing games are updated, others created. Names repeated in the file are refused. Nothing is written if one row is invalid; use dryRun to preview.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report what the import would do
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Import report (written unless dryRun)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or invalid rows (report in rows, nothing written)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin only
+ */
+router.post(
+  '/import',
+  authenticate,
+  authorize('admin'),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  validateQuery(importQuerySchema),
+  transferController.importFile('games')
+)
+
 /**
  * @swagger
  * /api/games/{id}:
@@ -316,4 +604,206 @@ router.put('/:id', authenticate, validate(gameSchema), gameController.update)
  */
 router.delete('/:id', authenticate, gameController.remove)
 
+/**
+ * @swagger
+ * /api/games/{id}/stations:
+ *   get:
+ *     summary: Stations a game is installed on
+ *     description: Every installation of the game with its status (installed, updating, broken) and version, by station name.
+ *     tags: [Games]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       200:
+ *         description: Installations of the game
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     installations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GameInstallation'
+ *       404:
+ *         description: Game not found
+ */
+router.get('/:id/stations', installationController.getByGame)
+
+/**
+ * @swagger
+ * /api/games/{id}/compatible-stations:
+ *   get:
+ *     summary: Stations able to run a game
+ *     description: Stations whose structured specs meet the game's requirements, best rated first. Requirements the game does not declare are always met; stations with no value for a required spec are left out. For a station rated `min`, `missing` and `unknown` name the specs that keep it below `recommended`.
+ *     tags: [Games]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [min, recommended]
+ *           default: min
+ *         description: Lowest requirement level to meet
+ *     responses:
+ *       200:
+ *         description: Compatible stations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     stations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           station:
+ *                             $ref: '#/components/schemas/Station'
+ *                           rating:
+ *                             type: string
+ *                             enum: [recommended, min]
+ *                           missing:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: [gpuVramGb]
+ *                           unknown:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Invalid level
+ *       404:
+ *         description: Game not found
+ */
+router.get(
+  '/:id/compatible-stations',
+  validateQuery(compatibilityQuerySchema),
+  compatibilityController.getStationsForGame
+)
+
+/**
+ * @swagger
+ * /api/games/{gameId}/stations/{id}:
+ *   put:
+ *     summary: Install a game on a station (staff only)
+ *     description: Same as PUT /api/stations/{id}/games/{gameId}.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GameInstallationInput'
+ *     responses:
+ *       200:
+ *         description: Installation saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/GameInstallation'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station or game not found
+ */
+router.put(
+  '/:gameId/stations/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(installationSchema),
+  installationController.upsert
+)
+
+/**
+ * @swagger
+ * /api/games/{gameId}/stations/{id}:
+ *   delete:
+ *     summary: Uninstall a game from a station (staff only)
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     responses:
+ *       204:
+ *         description: Game uninstalled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Game not installed on the station
+ */
+router.delete(
+  '/:gameId/stations/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  installationController.remove
+)
+
 export default router
@@ -0,0 +1,317 @@
+import express from 'express'
+import * as incidentController from '../controllers/incidentController.js'
+import * as incidentService from '../services/incidentService.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { authorizeOwner } from '../middlewares/policy.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import {
+  incidentAssignSchema,
+  incidentQuerySchema,
+  incidentResolveSchema,
+  incidentSchema,
+} from '../schemas/incidentSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Incident:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         category:
+ *           type: string
+ *           enum: [hardware, software, network, peripheral, other]
+ *         severity:
+ *           type: string
+ *           enum: [minor, major, blocking]
+ *           description: A blocking ticket puts the station in maintenance until resolved
+ *         description:
+ *           type: string
+ *           example: L'écran reste noir au démarrage
+ *         status:
+ *           type: string
+ *           enum: [open, in_progress, resolved]
+ *         resolution:
+ *           type: string
+ *           nullable: true
+ *         stationId:
+ *           type: integer
+ *         reporterId:
+ *           type: integer
+ *         assigneeId:
+ *           type: integer
+ *           nullable: true
+ *         station:
+ *           $ref: '#/components/schemas/Station'
+ *         flaggedBookings:
+ *           type: array
+ *           description: Upcoming bookings no other station could take
+ *           items:
+ *             $ref: '#/components/schemas/Booking'
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/incidents:
+ *   get:
+ *     summary: List incident tickets
+ *     description: Participants see the tickets they reported, staff see everyone's. Unresolved and blocking tickets come first.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, resolved]
+ *       - in: query
+ *         name: stationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [minor, major, blocking]
+ *     responses:
+ *       200:
+ *         description: Incident tickets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     incidents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Incident'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/',
+  authenticate,
+  validateQuery(incidentQuerySchema),
+  incidentController.getAll
+)
+
+/**
+ * @swagger
+ * /api/incidents/{id}:
+ *   get:
+ *     summary: Get an incident ticket
+ *     description: Reporter or staff.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Incident ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Incident'
+ *       403:
+ *         description: Neither the reporter nor staff
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorizeOwner(incidentService.findById, { ownerField: 'reporterId' }),
+  incidentController.getById
+)
+
+/**
+ * @swagger
+ * /api/incidents:
+ *   post:
+ *     summary: Report an issue on a station
+ *     description: Any participant may report, but only staff may file a blocking ticket. A blocking ticket puts the station in maintenance and moves its upcoming bookings (pending or confirmed) to another station, same zone first, after the usual booking checks. Bookings no station can take stay put and are listed in flaggedBookings.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stationId
+ *               - category
+ *               - description
+ *             properties:
+ *               stationId:
+ *                 type: integer
+ *                 example: 2
+ *               category:
+ *                 type: string
+ *                 enum: [hardware, software, network, peripheral, other]
+ *                 example: hardware
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, major, blocking]
+ *                 default: minor
+ *               description:
+ *                 type: string
+ *                 example: L'écran reste noir au démarrage
+ *     responses:
+ *       201:
+ *         description: Ticket created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Incident'
+ *                 - type: object
+ *                   properties:
+ *                     relocatedBookings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           bookingId:
+ *                             type: integer
+ *                           stationId:
+ *                             type: integer
+ *                             description: Station the booking was moved to
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Blocking ticket filed by a participant
+ *       404:
+ *         description: Station not found
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(incidentSchema),
+  incidentController.create
+)
+
+/**
+ * @swagger
+ * /api/incidents/{id}/assign:
+ *   post:
+ *     summary: Assign a ticket
+ *     description: Staff only. The ticket goes in progress.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assigneeId:
+ *                 type: integer
+ *                 description: Staff member, the caller by default
+ *     responses:
+ *       200:
+ *         description: Ticket assigned
+ *       400:
+ *         description: Assignee is not a staff member
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Ticket or assignee not found
+ *       409:
+ *         description: Ticket already resolved
+ */
+router.post(
+  '/:id/assign',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(incidentAssignSchema),
+  incidentController.assign
+)
+
+/**
+ * @swagger
+ * /api/incidents/{id}/resolve:
+ *   post:
+ *     summary: Resolve a ticket
+ *     description: Staff only. Flagged bookings lose their flag. Once the last blocking ticket of the station is resolved, the station gets back the status it had before; a station put in maintenance by hand stays so.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *                 example: Câble DisplayPort remplacé
+ *     responses:
+ *       200:
+ *         description: Ticket resolved
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Ticket not found
+ *       409:
+ *         description: Ticket already resolved
+ */
+router.post(
+  '/:id/resolve',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(incidentResolveSchema),
+  incidentController.resolve
+)
+
+export default router
@@ -4,13 +4,30 @@ import stationRoutes from './stationRoutes.js'
 import authRoutes from './authRoutes.js'
 import userRoutes from './userRoutes.js'
 import bookingRoutes from './bookingRoutes.js'
+import waitlistRoutes from './waitlistRoutes.js'
+import bookingGroupRoutes from './bookingGroupRoutes.js'
+import bookingSeriesRoutes from './bookingSeriesRoutes.js'
+import bookingSwapRoutes from './bookingSwapRoutes.js'
+import incidentRoutes from './incidentRoutes.js'
+import equipmentRoutes from './equipmentRoutes.js'
+import agentRoutes from './agentRoutes.js'
+import stationTemplateRoutes from './stationTemplateRoutes.js'
 
 const router = Router()
 
 router.use('/auth', authRoutes)
 router.use('/games', gameRoutes)
 router.use('/stations', stationRoutes)
+router.use('/station-templates', stationTemplateRoutes)
 router.use('/users', userRoutes)
+router.use('/incidents', incidentRoutes)
+router.use('/equipment', equipmentRoutes)
+router.use('/agent', agentRoutes)
+// Before /bookings so that /bookings/:id does not catch them
+router.use('/bookings/waitlist', waitlistRoutes)
+router.use('/bookings/groups', bookingGroupRoutes)
+router.use('/bookings/series', bookingSeriesRoutes)
+router.use('/bookings/swaps', bookingSwapRoutes)
 router.use('/bookings', bookingRoutes)
 
 export default router
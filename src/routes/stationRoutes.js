@@ -1,8 +1,29 @@
 import express from 'express'
 import * as stationController from '../controllers/stationController.js'
-import { stationSchema } from '../schemas/stationSchema.js'
-import { validate } from '../middlewares/validate.js'
+import {
+  stationPositionSchema,
+  stationQuerySchema,
+  stationSchema,
+} from '../schemas/stationSchema.js'
+import { installationSchema } from '../schemas/installationSchema.js'
+import { availabilityQuerySchema } from '../schemas/availabilitySchema.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
 import { authenticate } from '../middlewares/authenticate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { feedAccess } from '../middlewares/feedAccess.js'
+import { isStaff } from '../middlewares/policy.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import * as transferController from '../controllers/transferController.js'
+import {
+  exportQuerySchema,
+  importQuerySchema,
+} from '../schemas/importSchema.js'
+import * as calendarController from '../controllers/calendarController.js'
+import * as calendarService from '../services/calendarService.js'
+import * as installationController from '../controllers/installationController.js'
+import * as compatibilityController from '../controllers/compatibilityController.js'
+import * as agentController from '../controllers/agentController.js'
+import { compatibilityQuerySchema } from '../schemas/gameSchema.js'
 
 /**
  * @swagger
@@ -47,6 +68,48 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           type: string
  *           description: Storage
  *           example: 2TB NVMe SSD
+ *         ramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: RAM in GB (deduced from ram when omitted)
+ *           example: 32
+ *         storageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Storage in GB, 1 TB = 1000 GB (deduced from storage when omitted)
+ *           example: 2000
+ *         storageType:
+ *           type: string
+ *           nullable: true
+ *           enum: [nvme, ssd, hdd]
+ *         gpuVendor:
+ *           type: string
+ *           nullable: true
+ *           enum: [nvidia, amd, intel]
+ *         gpuModel:
+ *           type: string
+ *           nullable: true
+ *           example: RTX 4090
+ *         gpuVramGb:
+ *           type: integer
+ *           nullable: true
+ *           example: 24
+ *         cpuCores:
+ *           type: integer
+ *           nullable: true
+ *           example: 24
+ *         cpuThreads:
+ *           type: integer
+ *           nullable: true
+ *           example: 32
+ *         monitorRefreshHz:
+ *           type: integer
+ *           nullable: true
+ *           example: 240
+ *         monitorResolution:
+ *           type: string
+ *           nullable: true
+ *           example: 2560x1440
  *         monitor:
  *           type: string
  *           description: Monitor
@@ -68,9 +131,56 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           enum:
  *             - available
  *             - maintenance
- *             - booked
- *           description: Station status
+ *             - retired
+ *           description: Operational state (whether it is occupied comes from occupancy)
  *           example: available
+ *         occupancy:
+ *           type: object
+ *           readOnly: true
+ *           description: Derived from the active bookings at request time
+ *           properties:
+ *             state:
+ *               type: string
+ *               enum: [free, occupied]
+ *             busyUntil:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: End of the running booking
+ *             nextBookingAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: Start of the next booking after the running one
+ *         isPremium:
+ *           type: boolean
+ *           description: Premium station (separate booking quota)
+ *           example: false
+ *         zone:
+ *           type: string
+ *           nullable: true
+ *           description: Venue zone
+ *           example: A
+ *         row:
+ *           type: string
+ *           nullable: true
+ *           description: Row inside the zone
+ *           example: "1"
+ *         seat:
+ *           type: integer
+ *           nullable: true
+ *           description: Seat number in the row (consecutive seats are side by side)
+ *           example: 3
+ *         mapX:
+ *           type: integer
+ *           nullable: true
+ *           description: Floor plan column, from 0 (with mapY)
+ *           example: 4
+ *         mapY:
+ *           type: integer
+ *           nullable: true
+ *           description: Floor plan row, from 0 (with mapX)
+ *           example: 2
  *     StationInput:
  *       type: object
  *       required:
@@ -105,6 +215,48 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           type: string
  *           description: Storage
  *           example: 2TB NVMe SSD
+ *         ramGb:
+ *           type: integer
+ *           nullable: true
+ *           description: RAM in GB (deduced from ram when omitted)
+ *           example: 32
+ *         storageGb:
+ *           type: integer
+ *           nullable: true
+ *           description: Storage in GB, 1 TB = 1000 GB (deduced from storage when omitted)
+ *           example: 2000
+ *         storageType:
+ *           type: string
+ *           nullable: true
+ *           enum: [nvme, ssd, hdd]
+ *         gpuVendor:
+ *           type: string
+ *           nullable: true
+ *           enum: [nvidia, amd, intel]
+ *         gpuModel:
+ *           type: string
+ *           nullable: true
+ *           example: RTX 4090
+ *         gpuVramGb:
+ *           type: integer
+ *           nullable: true
+ *           example: 24
+ *         cpuCores:
+ *           type: integer
+ *           nullable: true
+ *           example: 24
+ *         cpuThreads:
+ *           type: integer
+ *           nullable: true
+ *           example: 32
+ *         monitorRefreshHz:
+ *           type: integer
+ *           nullable: true
+ *           example: 240
+ *         monitorResolution:
+ *           type: string
+ *           nullable: true
+ *           example: 2560x1440
  *         monitor:
  *           type: string
  *           description: Monitor
@@ -126,9 +278,87 @@ import { authenticate } from '../middlewares/authenticate.js'
  *           enum:
  *             - available
  *             - maintenance
- *             - booked
- *           description: Station status
+ *             - retired
+ *           description: Operational state, only available stations can be booked
  *           example: available
+ *         isPremium:
+ *           type: boolean
+ *           description: Premium station (separate booking quota), unchanged when left out of an update
+ *           example: false
+ *         zone:
+ *           type: string
+ *           nullable: true
+ *           description: Venue zone
+ *           example: A
+ *         row:
+ *           type: string
+ *           nullable: true
+ *           description: Row inside the zone
+ *           example: "1"
+ *         seat:
+ *           type: integer
+ *           nullable: true
+ *           description: Seat number in the row (consecutive seats are side by side)
+ *           example: 3
+ *         mapX:
+ *           type: integer
+ *           nullable: true
+ *           description: Floor plan column, from 0 (with mapY)
+ *           example: 4
+ *         mapY:
+ *           type: integer
+ *           nullable: true
+ *           description: Floor plan row, from 0 (with mapX)
+ *           example: 2
+ *     Seat:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Station'
+ *         - type: object
+ *           properties:
+ *             liveStatus:
+ *               type: string
+ *               enum: [available, booked, maintenance, retired]
+ *             busyUntil:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: End of the running booking
+ *     GameInstallation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [installed, updating, broken]
+ *           description: Only installed games can be booked on the station
+ *         version:
+ *           type: string
+ *           nullable: true
+ *           example: "1.0.9.2"
+ *         stationId:
+ *           type: integer
+ *         gameId:
+ *           type: integer
+ *         station:
+ *           $ref: '#/components/schemas/Station'
+ *         game:
+ *           $ref: '#/components/schemas/Game'
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     GameInstallationInput:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [installed, updating, broken]
+ *           default: installed
+ *         version:
+ *           type: string
+ *           nullable: true
+ *           example: "1.0.9.2"
  */
 
 const router = express.Router()
@@ -138,15 +368,90 @@ const router = express.Router()
  * /api/stations:
  *   get:
  *     summary: List all stations
- *     description: Retrieve all gaming stations with optional filters and pagination
+ *     description: Retrieve all gaming stations with optional filters and pagination. Range filters on structured specs leave out stations whose value is unknown.
  *     tags: [Stations]
  *     parameters:
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [available, maintenance, booked]
- *         description: Filter stations by status
+ *           enum: [available, maintenance, retired]
+ *         description: Filter stations by operational status
+ *       - in: query
+ *         name: gameId
+ *         schema:
+ *           type: integer
+ *         description: Only stations where this game is installed (status installed)
+ *       - in: query
+ *         name: storageType
+ *         schema:
+ *           type: string
+ *           enum: [nvme, ssd, hdd]
+ *       - in: query
+ *         name: gpuVendor
+ *         schema:
+ *           type: string
+ *           enum: [nvidia, amd, intel]
+ *       - in: query
+ *         name: minRamGb
+ *         schema:
+ *           type: integer
+ *         description: Minimum RAM in GB
+ *       - in: query
+ *         name: maxRamGb
+ *         schema:
+ *           type: integer
+ *         description: Maximum RAM in GB
+ *       - in: query
+ *         name: minStorageGb
+ *         schema:
+ *           type: integer
+ *         description: Minimum storage in GB
+ *       - in: query
+ *         name: maxStorageGb
+ *         schema:
+ *           type: integer
+ *         description: Maximum storage in GB
+ *       - in: query
+ *         name: minGpuVramGb
+ *         schema:
+ *           type: integer
+ *         description: Minimum VRAM in GB
+ *       - in: query
+ *         name: maxGpuVramGb
+ *         schema:
+ *           type: integer
+ *         description: Maximum VRAM in GB
+ *       - in: query
+ *         name: minCpuCores
+ *         schema:
+ *           type: integer
+ *         description: Minimum CPU cores
+ *       - in: query
+ *         name: maxCpuCores
+ *         schema:
+ *           type: integer
+ *         description: Maximum CPU cores
+ *       - in: query
+ *         name: minCpuThreads
+ *         schema:
+ *           type: integer
+ *         description: Minimum CPU threads
+ *       - in: query
+ *         name: maxCpuThreads
+ *         schema:
+ *           type: integer
+ *         description: Maximum CPU threads
+ *       - in: query
+ *         name: minMonitorRefreshHz
+ *         schema:
+ *           type: integer
+ *         description: Minimum monitor refresh rate in Hz
+ *       - in: query
+ *         name: maxMonitorRefreshHz
+ *         schema:
+ *           type: integer
+ *         description: Maximum monitor refresh rate in Hz
  *       - in: query
  *         name: limit
  *         schema:
@@ -185,8 +490,252 @@ const router = express.Router()
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Station'
+ *       400:
+ *         description: Invalid filter (unknown value, min above max)
+ */
+router.get('/', validateQuery(stationQuerySchema), stationController.getAll)
+
+/**
+ * @swagger
+ * /api/stations/availability:
+ *   get:
+ *     summary: Find free stations for a time window
+ *     description: Returns every station without an active booking overlapping the window (stations in maintenance or retired are excluded), and the number of free stations for each slot of the window. Slot counts only cover the requested window: slots start at `start` and the last one is cut at `end`.
+ *     tags: [Stations]
+ *     parameters:
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window start
+ *         example: 2025-12-05T20:00:00Z
+ *       - in: query
+ *         name: end
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Window end (max 7 days after start)
+ *         example: 2025-12-05T23:00:00Z
+ *       - in: query
+ *         name: slotMinutes
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *           minimum: 15
+ *         description: Slot size used for the per-slot free counts
+ *       - in: query
+ *         name: cpu
+ *         schema:
+ *           type: string
+ *         description: CPU contains
+ *       - in: query
+ *         name: gpu
+ *         schema:
+ *           type: string
+ *         description: GPU contains
+ *         example: RTX
+ *       - in: query
+ *         name: ram
+ *         schema:
+ *           type: string
+ *         description: RAM contains
+ *       - in: query
+ *         name: storage
+ *         schema:
+ *           type: string
+ *         description: Storage contains
+ *     responses:
+ *       200:
+ *         description: Free stations and per-slot counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       format: date-time
+ *                     end:
+ *                       type: string
+ *                       format: date-time
+ *                     slotMinutes:
+ *                       type: integer
+ *                       description: Slot size of the counts
+ *                       example: 60
+ *                     total:
+ *                       type: integer
+ *                       description: Number of stations free for the whole window
+ *                       example: 3
+ *                     stations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Station'
+ *                     slots:
+ *                       type: array
+ *                       description: Free station count per slot, inside the requested window only
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *                           free:
+ *                             type: integer
+ *                             example: 4
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get(
+  '/availability',
+  validateQuery(availabilityQuerySchema),
+  stationController.getAvailability
+)
+
+/**
+ * @swagger
+ * /api/stations/map:
+ *   get:
+ *     summary: Venue floor plan with live station status
+ *     description: Grid size and every station with its cell (mapX, mapY) and live status. A station is `maintenance` or `retired` when its status says so, `booked` while an active booking runs (busyUntil is its end), `available` otherwise. Stations without a position are listed in `unplaced`.
+ *     tags: [Stations]
+ *     responses:
+ *       200:
+ *         description: Floor plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     columns:
+ *                       type: integer
+ *                       example: 24
+ *                     rows:
+ *                       type: integer
+ *                       example: 14
+ *                     at:
+ *                       type: string
+ *                       format: date-time
+ *                     stations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Seat'
+ *                     unplaced:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Seat'
  */
-router.get('/', stationController.getAll)
+router.get('/map', stationController.getMap)
+
+/**
+ * @swagger
+ * /api/stations/export:
+ *   get:
+ *     summary: Export every station as a file (admin only)
+ *     description: One record per row with the fields accepted by the station schema, so the file imports back as is.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: File download (stations-YYYY-MM-DD.csv or .json)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin only
+ */
+router.get(
+  '/export',
+  authenticate,
+  authorize('admin'),
+  validateQuery(exportQuerySchema),
+  transferController.exportFile('stations')
+)
+
+/**
+ * @swagger
+ * /api/stations/import:
+ *   post:
+ *     summary: Import stations from CSV or JSON (admin only)
+ *     description: Send CSV as text/csv (comma or semicolon delimited, first line = column names) or a JSON array. Each row is validated like a station form and matched by name (case-insensitive) - existing stations are updated, others created. Names repeated in the file are refused. Nothing is written if one row is invalid; use dryRun to preview.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report what the import would do
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Import report (written unless dryRun)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or invalid rows (report in rows, nothing written)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin only
+ */
+router.post(
+  '/import',
+  authenticate,
+  authorize('admin'),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  validateQuery(importQuerySchema),
+  transferController.importFile('stations')
+)
 
 /**
  * @swagger
@@ -361,4 +910,451 @@ router.put(
  */
 router.delete('/:id', authenticate, stationController.remove)
 
+/**
+ * @swagger
+ * /api/stations/{id}/bookings.ics:
+ *   get:
+ *     summary: Schedule of a station as an iCalendar feed
+ *     description: RFC 5545 calendar, one event per booking with a stable UID and a SEQUENCE incremented on every change. Cancelled and no-show bookings stay as STATUS:CANCELLED so that subscribed calendars remove them. Pass the private `token` instead of a JWT to subscribe from a calendar app.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Private feed token (see calendar-token)
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing JWT or invalid feed token
+ *       403:
+ *         description: Forbidden - Staff only
+ *       404:
+ *         description: Station not found
+ */
+router.get(
+  '/:id/bookings.ics',
+  feedAccess(calendarService.findStationToken, isStaff),
+  calendarController.stationFeed
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/calendar-token:
+ *   post:
+ *     summary: Create or replace the private feed URL (staff only)
+ *     description: Generates a new feed token; the previous URL stops working.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: New feed token and subscription URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                       example: http://localhost:3000/api/stations/1/bookings.ics?token=3f2a...
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station not found
+ */
+router.post(
+  '/:id/calendar-token',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  calendarController.rotateStationToken
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/agent-token:
+ *   post:
+ *     summary: Create or replace the agent token (staff only)
+ *     description: Generates the token the agent of the station sends with its heartbeats; an agent still using the previous token is refused.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: New agent token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station not found
+ */
+router.post(
+  '/:id/agent-token',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  agentController.rotateToken
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/machine:
+ *   get:
+ *     summary: Machine state reported by the station agent (staff only)
+ *     description: Latest state (online, offline after AGENT_MISSED_HEARTBEATS missed heartbeats, unknown without agent) and the heartbeats kept for the station, newest first.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: Machine state and history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MachineState'
+ *                 - type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StationHeartbeat'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station not found
+ */
+router.get(
+  '/:id/machine',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  agentController.getMachine
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/games:
+ *   get:
+ *     summary: Games installed on a station
+ *     description: Every installation of the station with its status (installed, updating, broken) and version, by game name.
+ *     tags: [Stations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: Installations of the station
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     installations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GameInstallation'
+ *       404:
+ *         description: Station not found
+ */
+/**
+ * @swagger
+ * /api/stations/{id}/position:
+ *   put:
+ *     summary: Place a station on the floor plan (staff only)
+ *     description: Null coordinates take the station off the plan. One station per cell.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mapX:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Column, from 0
+ *                 example: 4
+ *               mapY:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Row, from 0
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Station placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Station'
+ *       400:
+ *         description: Coordinates outside the grid or only one given
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: Another station stands on the cell
+ */
+router.put(
+  '/:id/position',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(stationPositionSchema),
+  stationController.place
+)
+
+router.get('/:id/games', installationController.getByStation)
+
+/**
+ * @swagger
+ * /api/stations/{id}/compatible-games:
+ *   get:
+ *     summary: Games a station can run
+ *     description: Games whose requirements the station's structured specs meet, best rated first. Games requiring a spec the station has no value for are left out.
+ *     tags: [Stations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [min, recommended]
+ *           default: min
+ *         description: Lowest requirement level to meet
+ *     responses:
+ *       200:
+ *         description: Compatible games
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     games:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           game:
+ *                             $ref: '#/components/schemas/Game'
+ *                           rating:
+ *                             type: string
+ *                             enum: [recommended, min]
+ *                           missing:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           unknown:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Invalid level
+ *       404:
+ *         description: Station not found
+ */
+router.get(
+  '/:id/compatible-games',
+  validateQuery(compatibilityQuerySchema),
+  compatibilityController.getGamesForStation
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/games/{gameId}:
+ *   put:
+ *     summary: Install a game on a station (staff only)
+ *     description: Creates the installation or updates its status and version.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GameInstallationInput'
+ *     responses:
+ *       200:
+ *         description: Installation saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/GameInstallation'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Station or game not found
+ */
+router.put(
+  '/:id/games/:gameId',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(installationSchema),
+  installationController.upsert
+)
+
+/**
+ * @swagger
+ * /api/stations/{id}/games/{gameId}:
+ *   delete:
+ *     summary: Uninstall a game from a station (staff only)
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Station ID
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       204:
+ *         description: Game uninstalled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - staff only
+ *       404:
+ *         description: Game not installed on the station
+ */
+router.delete(
+  '/:id/games/:gameId',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  installationController.remove
+)
+
 export default router
@@ -0,0 +1,436 @@
+import express from 'express'
+import * as stationTemplateController from '../controllers/stationTemplateController.js'
+import { validate } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import { authorize } from '../middlewares/authorize.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import {
+  stationBatchSchema,
+  stationTemplateSchema,
+  templateApplySchema,
+} from '../schemas/stationTemplateSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StationTemplate:
+ *       type: object
+ *       description: Hardware and peripherals shared by identical stations
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           description: Unique
+ *           example: Config Standard 2025
+ *         cpu:
+ *           type: string
+ *           example: Intel Core i7-14700K
+ *         gpu:
+ *           type: string
+ *           example: NVIDIA RTX 4070
+ *         ram:
+ *           type: string
+ *           example: 32GB DDR5
+ *         storage:
+ *           type: string
+ *           example: 1TB NVMe SSD
+ *         ramGb:
+ *           type: integer
+ *           nullable: true
+ *         storageGb:
+ *           type: integer
+ *           nullable: true
+ *         storageType:
+ *           type: string
+ *           enum: [nvme, ssd, hdd]
+ *           nullable: true
+ *         gpuVendor:
+ *           type: string
+ *           enum: [nvidia, amd, intel]
+ *           nullable: true
+ *         gpuModel:
+ *           type: string
+ *           nullable: true
+ *         gpuVramGb:
+ *           type: integer
+ *           nullable: true
+ *         cpuCores:
+ *           type: integer
+ *           nullable: true
+ *         cpuThreads:
+ *           type: integer
+ *           nullable: true
+ *         monitorRefreshHz:
+ *           type: integer
+ *           nullable: true
+ *         monitorResolution:
+ *           type: string
+ *           nullable: true
+ *         monitor:
+ *           type: string
+ *         keyboard:
+ *           type: string
+ *         mouse:
+ *           type: string
+ *         headset:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/station-templates:
+ *   get:
+ *     summary: List station templates
+ *     description: Staff only. Sorted by name.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Station templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StationTemplate'
+ *       403:
+ *         description: Staff only
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  stationTemplateController.getAll
+)
+
+/**
+ * @swagger
+ * /api/station-templates/{id}:
+ *   get:
+ *     summary: Get a station template
+ *     description: Staff only.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Station template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StationTemplate'
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Template not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  stationTemplateController.getById
+)
+
+/**
+ * @swagger
+ * /api/station-templates:
+ *   post:
+ *     summary: Create a station template
+ *     description: Staff only. Same hardware and peripheral fields as a station; structured specs left empty are deduced from the text fields.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - cpu
+ *               - gpu
+ *               - ram
+ *               - storage
+ *               - monitor
+ *               - keyboard
+ *               - mouse
+ *               - headset
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Config Standard 2025
+ *               cpu:
+ *                 type: string
+ *                 example: Intel Core i7-14700K
+ *               gpu:
+ *                 type: string
+ *                 example: NVIDIA RTX 4070
+ *               ram:
+ *                 type: string
+ *                 example: 32GB DDR5
+ *               storage:
+ *                 type: string
+ *                 example: 1TB NVMe SSD
+ *               monitor:
+ *                 type: string
+ *                 example: ASUS ROG Swift 27" 165Hz
+ *               keyboard:
+ *                 type: string
+ *                 example: Logitech G Pro X
+ *               mouse:
+ *                 type: string
+ *                 example: Logitech G Pro X Superlight
+ *               headset:
+ *                 type: string
+ *                 example: HyperX Cloud II
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       409:
+ *         description: Name already used
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(stationTemplateSchema),
+  stationTemplateController.create
+)
+
+/**
+ * @swagger
+ * /api/station-templates/{id}:
+ *   put:
+ *     summary: Update a station template
+ *     description: Staff only. Same body as the creation. Stations already made from it do not change until it is applied to them.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Name already used
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(stationTemplateSchema),
+  stationTemplateController.update
+)
+
+/**
+ * @swagger
+ * /api/station-templates/{id}:
+ *   delete:
+ *     summary: Delete a station template
+ *     description: Staff only. Stations made from it are kept.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Template deleted
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Template not found
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  stationTemplateController.remove
+)
+
+/**
+ * @swagger
+ * /api/station-templates/{id}/stations:
+ *   post:
+ *     summary: Create stations from a template
+ *     description: Staff only. Creates count stations named prefix + number, zero-padded to at least 2 digits (PC- from 1, 20 stations gives PC-01 to PC-20). All or nothing.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prefix
+ *               - count
+ *             properties:
+ *               prefix:
+ *                 type: string
+ *                 example: PC-
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 example: 20
+ *               start:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 1
+ *               status:
+ *                 type: string
+ *                 enum: [available, maintenance]
+ *                 default: available
+ *               isPremium:
+ *                 type: boolean
+ *               zone:
+ *                 type: string
+ *                 example: Zone B
+ *               row:
+ *                 type: string
+ *                 example: B2
+ *               firstSeat:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Seat of the first station, the next ones follow
+ *     responses:
+ *       201:
+ *         description: Stations created, in number order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     stations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Station'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: Some names are already used (listed in names)
+ */
+router.post(
+  '/:id/stations',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(stationBatchSchema),
+  stationTemplateController.createStations
+)
+
+/**
+ * @swagger
+ * /api/station-templates/{id}/apply:
+ *   post:
+ *     summary: Apply a template to existing stations
+ *     description: Staff only. Replaces hardware, structured specs and peripherals, e.g. for a whole row after a hardware swap. Name, status and location are kept.
+ *     tags: [Station templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stationIds
+ *             properties:
+ *               stationIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [4, 5, 6]
+ *     responses:
+ *       200:
+ *         description: Stations updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Staff only
+ *       404:
+ *         description: Template or stations not found (listed in stationIds)
+ */
+router.post(
+  '/:id/apply',
+  authenticate,
+  authorize(...STAFF_ROLES),
+  validate(templateApplySchema),
+  stationTemplateController.applyToStations
+)
+
+export default router
@@ -2,6 +2,12 @@ import express from 'express'
 import * as userController from '../controllers/userController.js'
 import { authenticate } from '../middlewares/authenticate.js'
 import { authorize } from '../middlewares/authorize.js'
+import { validate } from '../middlewares/validate.js'
+import { feedAccess } from '../middlewares/feedAccess.js'
+import { canActFor } from '../middlewares/policy.js'
+import * as calendarController from '../controllers/calendarController.js'
+import * as calendarService from '../services/calendarService.js'
+import { quotaSchema } from '../schemas/quotaSchema.js'
 
 /**
  * @swagger
@@ -36,6 +42,49 @@ import { authorize } from '../middlewares/authorize.js'
  *           type: string
  *           format: date-time
  *           description: Last update date
+ *     UserQuota:
+ *       type: object
+ *       description: Per-user override of the booking quotas (null = default)
+ *       properties:
+ *         maxConcurrentBookings:
+ *           type: integer
+ *           nullable: true
+ *           description: Active bookings not yet ended
+ *           example: 3
+ *         maxHoursPerDay:
+ *           type: integer
+ *           nullable: true
+ *           description: Booked hours per calendar day
+ *           example: 10
+ *         maxPremiumHours:
+ *           type: integer
+ *           nullable: true
+ *           description: Booked hours on premium stations over the event
+ *           example: null
+ *         cooldownMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Minimal gap between two sessions on the same station
+ *           example: 0
+ *         exempt:
+ *           type: boolean
+ *           description: Skip every quota check
+ *           example: false
+ *     QuotaViolation:
+ *       type: object
+ *       properties:
+ *         rule:
+ *           type: string
+ *           enum: [maxConcurrentBookings, maxHoursPerDay, maxPremiumHours, cooldownMinutes]
+ *         limit:
+ *           type: number
+ *           example: 8
+ *         actual:
+ *           type: number
+ *           example: 9.5
+ *         message:
+ *           type: string
+ *           example: Vous ne pouvez pas réserver plus de 8 heures le 05/12/2025
  */
 
 const router = express.Router()
@@ -131,4 +180,240 @@ router.get('/', authenticate, authorize('admin'), userController.getAll)
  */
 router.delete('/:id', authenticate, authorize('admin'), userController.remove)
 
+/**
+ * @swagger
+ * /api/users/{id}/quota:
+ *   get:
+ *     summary: Get the booking quotas of a user (admin only)
+ *     description: Returns the default quotas, the user override (or null) and the effective quotas.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Quotas of the user
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:id/quota',
+  authenticate,
+  authorize('admin'),
+  userController.getQuota
+)
+
+/**
+ * @swagger
+ * /api/users/{id}/quota:
+ *   put:
+ *     summary: Override the booking quotas of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserQuota'
+ *     responses:
+ *       200:
+ *         description: Override saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserQuota'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  '/:id/quota',
+  authenticate,
+  authorize('admin'),
+  validate(quotaSchema),
+  userController.updateQuota
+)
+
+/**
+ * @swagger
+ * /api/users/{id}/quota:
+ *   delete:
+ *     summary: Reset the booking quotas of a user to the defaults (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       204:
+ *         description: Override removed
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  '/:id/quota',
+  authenticate,
+  authorize('admin'),
+  userController.removeQuota
+)
+
+/**
+ * @swagger
+ * /api/users/{id}/bookings.ics:
+ *   get:
+ *     summary: Bookings of a user as an iCalendar feed
+ *     description: RFC 5545 calendar, one event per booking with a stable UID and a SEQUENCE incremented on every change. Cancelled and no-show bookings stay as STATUS:CANCELLED so that subscribed calendars remove them. Pass the private `token` instead of a JWT to subscribe from a calendar app.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Private feed token (see calendar-token)
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing JWT or invalid feed token
+ *       403:
+ *         description: Forbidden - Owner or staff only
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/:id/bookings.ics',
+  feedAccess(calendarService.findUserToken, canActFor),
+  calendarController.userFeed
+)
+
+/**
+ * @swagger
+ * /api/users/{id}/calendar-token:
+ *   post:
+ *     summary: Create or replace the private feed URL (owner or staff)
+ *     description: Generates a new feed token; the previous URL stops working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: New feed token and subscription URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                       example: http://localhost:3000/api/users/1/bookings.ics?token=3f2a...
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - owner or staff
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/calendar-token',
+  authenticate,
+  calendarController.rotateUserToken
+)
+
 export default router
@@ -1,5 +1,15 @@
 import express from 'express'
 import * as viewAdminController from '../controllers/viewAdminController.js'
+import { validate } from '../middlewares/validate.js'
+import { bookingSchema } from '../schemas/bookingSchema.js'
+import { stationPositionSchema } from '../schemas/stationSchema.js'
+import { incidentResolveSchema } from '../schemas/incidentSchema.js'
+import { importFormSchema } from '../schemas/importSchema.js'
+import {
+  stationBatchSchema,
+  stationTemplateSchema,
+  templateApplySchema,
+} from '../schemas/stationTemplateSchema.js'
 
 const router = express.Router()
 
@@ -21,5 +31,56 @@ router.use(requireAdmin)
 
 router.get('/users', viewAdminController.showUsersPage)
 router.post('/users/:id/delete', viewAdminController.deleteUser)
+router.get('/bookings', viewAdminController.showBookingsPage)
+// Before /:action, which would swallow "move"
+router.post(
+  '/bookings/:id/move',
+  validate(bookingSchema),
+  viewAdminController.moveBooking
+)
+router.post('/bookings/:id/:action', viewAdminController.transitionBooking)
+router.get('/timeline', viewAdminController.showTimelinePage)
+router.get('/floor-plan', viewAdminController.showFloorPlanPage)
+router.post(
+  '/stations/:id/position',
+  validate(stationPositionSchema),
+  viewAdminController.placeStation
+)
+router.get('/incidents', viewAdminController.showIncidentsPage)
+router.post('/incidents/:id/assign', viewAdminController.assignIncident)
+router.post(
+  '/incidents/:id/resolve',
+  validate(incidentResolveSchema),
+  viewAdminController.resolveIncident
+)
+router.get('/equipment', viewAdminController.showEquipmentPage)
+router.post('/equipment/loans/:id/return', viewAdminController.returnLoan)
+router.get('/station-templates', viewAdminController.showStationTemplatesPage)
+router.post(
+  '/station-templates',
+  validate(stationTemplateSchema),
+  viewAdminController.createStationTemplate
+)
+router.post(
+  '/station-templates/:id/delete',
+  viewAdminController.deleteStationTemplate
+)
+router.post(
+  '/station-templates/:id/stations',
+  validate(stationBatchSchema),
+  viewAdminController.createStationsFromTemplate
+)
+router.post(
+  '/station-templates/:id/apply',
+  validate(templateApplySchema),
+  viewAdminController.applyStationTemplate
+)
+router.get('/import', viewAdminController.showImportPage)
+router.post(
+  '/import',
+  validate(importFormSchema),
+  viewAdminController.importFile
+)
+router.get('/export/:entity', viewAdminController.exportFile)
 
 export default router
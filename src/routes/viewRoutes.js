@@ -1,10 +1,24 @@
 import { Router } from 'express'
 import * as gameService from '../services/gameService.js'
 import * as stationService from '../services/stationService.js'
+import * as bookingService from '../services/bookingService.js'
+import * as waitlistService from '../services/waitlistService.js'
+import * as installationService from '../services/installationService.js'
+import * as compatibilityService from '../services/compatibilityService.js'
+import * as floorPlanService from '../services/floorPlanService.js'
+import * as incidentService from '../services/incidentService.js'
+import * as agentService from '../services/agentService.js'
 import { gameSchema } from '../schemas/gameSchema.js'
 import { stationSchema } from '../schemas/stationSchema.js'
+import { bookingSchema } from '../schemas/bookingSchema.js'
+import { waitlistSchema } from '../schemas/waitlistSchema.js'
+import { incidentSchema } from '../schemas/incidentSchema.js'
 import { validate } from '../middlewares/validate.js'
+import { requireLogin, sessionActor } from '../middlewares/session.js'
+import { canManage, isStaff } from '../middlewares/policy.js'
 import { asyncHandler } from '../utils/asyncHandler.js'
+import { parseDateInput, toDateInput, toDateTimeInput } from '../utils/dates.js'
+import { businessMessage, redirectWith } from '../utils/viewMessages.js'
 
 const router = Router()
 
@@ -73,7 +87,11 @@ router.get(
 
     try {
       const game = await gameService.findById(id)
-      res.render('pages/games/detail', { game })
+      const [installations, compatible] = await Promise.all([
+        installationService.findByGame(id),
+        compatibilityService.findStationsForGame(id),
+      ])
+      res.render('pages/games/detail', { game, installations, compatible })
     } catch (error) {
       if (error.status === 404) {
         return res.status(404).render('pages/error', {
@@ -160,6 +178,15 @@ router.get(
   })
 )
 
+// Seat map: floor plan with the live status of each station
+router.get(
+  '/stations/map',
+  asyncHandler(async (_req, res) => {
+    const map = await floorPlanService.getSeatMap()
+    res.render('pages/stations/map', { map })
+  })
+)
+
 // New station form
 router.get('/stations/new', (req, res) => {
   res.render('pages/stations/form', { station: null })
@@ -198,7 +225,35 @@ router.get(
 
     try {
       const station = await stationService.findById(id)
-      res.render('pages/stations/detail', { station })
+      const day =
+        parseDateInput(req.query.date) ??
+        parseDateInput(toDateInput(new Date()))
+      const [slots, games, installations, compatible, incidents, machine] =
+        await Promise.all([
+          bookingService.findStationSlots(id, day),
+          gameService.findAllSimple(),
+          installationService.findByStation(id),
+          compatibilityService.findGamesForStation(id),
+          incidentService.findOpenByStation(id),
+          agentService.findMachine(id, 10),
+        ])
+
+      res.render('pages/stations/detail', {
+        station,
+        day,
+        slots,
+        games,
+        installations,
+        compatible,
+        incidents,
+        machine,
+        // Who is logged in on the machine is for staff eyes only
+        showSessionUser: isStaff(req.session?.user),
+        // Blocking tickets move other participants' bookings: staff only
+        canReportBlocking: isStaff(req.session?.user),
+        error: req.query.error,
+        success: req.query.success,
+      })
     } catch (error) {
       if (error.status === 404) {
         return res.status(404).render('pages/error', {
@@ -274,4 +329,301 @@ router.post(
   })
 )
 
+// ================== BOOKINGS ROUTES ==================
+
+// My bookings
+router.get(
+  '/bookings',
+  requireLogin,
+  asyncHandler(async (req, res) => {
+    const bookings = await bookingService.findAllSimple({
+      userId: req.session.user.id,
+    })
+    res.render('pages/bookings/list', {
+      bookings,
+      error: req.query.error,
+      success: req.query.success,
+    })
+  })
+)
+
+// Create booking (forms on the station detail page)
+router.post(
+  '/bookings/new',
+  requireLogin,
+  validate(bookingSchema),
+  asyncHandler(async (req, res) => {
+    const stationUrl = `/stations/${parseInt(req.body.stationId)}`
+
+    if (res.locals.errors) {
+      const message = res.locals.errors.map(e => e.message).join(', ')
+      return redirectWith(res, stationUrl, 'error', message)
+    }
+
+    try {
+      await bookingService.create(
+        {
+          stationId: req.body.stationId,
+          startTime: req.body.startTime,
+          endTime: req.body.endTime,
+          gameId: req.body.gameId,
+          userId: req.session.user.id,
+        },
+        { actor: sessionActor(req) }
+      )
+      redirectWith(res, '/bookings', 'success', 'Réservation enregistrée')
+    } catch (error) {
+      redirectWith(res, stationUrl, 'error', businessMessage(error))
+    }
+  })
+)
+
+/**
+ * Load a booking the session user may manage, or render an error page
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Booking, or null if a page was rendered
+ */
+const loadManagedBooking = async (req, res) => {
+  const id = parseInt(req.params.id)
+
+  try {
+    const booking = await bookingService.findById(id)
+
+    if (!canManage(sessionActor(req), booking)) {
+      res.status(403).render('pages/error', {
+        title: 'Acces interdit',
+        message: 'Cette reservation ne vous appartient pas.',
+      })
+      return null
+    }
+
+    return booking
+  } catch (error) {
+    if (error.status === 404) {
+      res.status(404).render('pages/error', {
+        title: 'Reservation non trouvee',
+        message: `La reservation avec l'ID ${id} n'existe pas.`,
+      })
+      return null
+    }
+    throw error
+  }
+}
+
+// Edit booking form
+router.get(
+  '/bookings/:id/edit',
+  requireLogin,
+  asyncHandler(async (req, res) => {
+    const booking = await loadManagedBooking(req, res)
+    if (!booking) {
+      return
+    }
+
+    const [stations, games] = await Promise.all([
+      stationService.findAllSimple(),
+      gameService.findAllSimple(),
+    ])
+    res.render('pages/bookings/form', { booking, stations, games })
+  })
+)
+
+// Update booking (time and station)
+router.post(
+  '/bookings/:id/edit',
+  requireLogin,
+  validate(bookingSchema),
+  asyncHandler(async (req, res) => {
+    const booking = await loadManagedBooking(req, res)
+    if (!booking) {
+      return
+    }
+
+    const [stations, games] = await Promise.all([
+      stationService.findAllSimple(),
+      gameService.findAllSimple(),
+    ])
+
+    if (res.locals.errors) {
+      return res.render('pages/bookings/form', {
+        booking,
+        stations,
+        games,
+        errors: res.locals.errors,
+        formData: res.locals.formData,
+      })
+    }
+
+    try {
+      await bookingService.update(
+        booking.id,
+        {
+          stationId: req.body.stationId,
+          startTime: req.body.startTime,
+          endTime: req.body.endTime,
+          gameId: req.body.gameId,
+        },
+        { actor: sessionActor(req) }
+      )
+      redirectWith(res, '/bookings', 'success', 'Réservation modifiée')
+    } catch (error) {
+      res.render('pages/bookings/form', {
+        booking,
+        stations,
+        games,
+        errors: [{ message: businessMessage(error) }],
+        formData: {
+          stationId: req.body.stationId,
+          gameId: req.body.gameId,
+          startTime: toDateTimeInput(req.body.startTime),
+          endTime: toDateTimeInput(req.body.endTime),
+        },
+      })
+    }
+  })
+)
+
+/**
+ * Build a handler applying a lifecycle transition, then back to my bookings
+ * @param {string} action - Transition name
+ * @param {string} message - Success message
+ * @returns {Function} Express handler
+ */
+const bookingActionHandler = (action, message) =>
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      await bookingService.transition(id, action, sessionActor(req))
+      redirectWith(res, '/bookings', 'success', message)
+    } catch (error) {
+      redirectWith(res, '/bookings', 'error', businessMessage(error))
+    }
+  })
+
+router.post(
+  '/bookings/:id/confirm',
+  requireLogin,
+  bookingActionHandler('confirm', 'Réservation confirmée')
+)
+
+router.post(
+  '/bookings/:id/cancel',
+  requireLogin,
+  bookingActionHandler('cancel', 'Réservation annulée')
+)
+
+// ================== WAITLIST ROUTES ==================
+
+// Waitlist entries of the logged-in user, with queue positions
+router.get(
+  '/waitlist',
+  requireLogin,
+  asyncHandler(async (req, res) => {
+    const entries = await waitlistService.findAll(sessionActor(req))
+    res.render('pages/waitlist/list', {
+      entries,
+      error: req.query.error,
+      success: req.query.success,
+    })
+  })
+)
+
+// Join the waitlist (form on the station detail page)
+router.post(
+  '/waitlist',
+  requireLogin,
+  validate(waitlistSchema),
+  asyncHandler(async (req, res) => {
+    if (res.locals.errors) {
+      const message = res.locals.errors.map(e => e.message).join(', ')
+      return redirectWith(res, '/waitlist', 'error', message)
+    }
+
+    try {
+      const entry = await waitlistService.join(req.body, sessionActor(req))
+      redirectWith(
+        res,
+        '/waitlist',
+        'success',
+        `Inscrit en liste d'attente (position ${entry.position})`
+      )
+    } catch (error) {
+      redirectWith(res, '/waitlist', 'error', businessMessage(error))
+    }
+  })
+)
+
+/**
+ * Build a handler applying a waitlist action, then back to the list
+ * @param {Function} action - Service function (id, actor)
+ * @param {string} message - Success message
+ * @returns {Function} Express handler
+ */
+const waitlistActionHandler = (action, message) =>
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id)
+
+    try {
+      await action(id, sessionActor(req))
+      redirectWith(res, '/waitlist', 'success', message)
+    } catch (error) {
+      redirectWith(res, '/waitlist', 'error', businessMessage(error))
+    }
+  })
+
+router.post(
+  '/waitlist/:id/accept',
+  requireLogin,
+  waitlistActionHandler(waitlistService.accept, 'Réservation confirmée')
+)
+
+router.post(
+  '/waitlist/:id/decline',
+  requireLogin,
+  waitlistActionHandler(waitlistService.decline, 'Offre déclinée')
+)
+
+router.post(
+  '/waitlist/:id/leave',
+  requireLogin,
+  waitlistActionHandler(
+    waitlistService.leave,
+    "Vous avez quitté la liste d'attente"
+  )
+)
+
+// ================== INCIDENT ROUTES ==================
+
+// Report an issue (form on the station detail page)
+router.post(
+  '/incidents',
+  requireLogin,
+  validate(incidentSchema),
+  asyncHandler(async (req, res) => {
+    const stationUrl = `/stations/${parseInt(req.body.stationId)}`
+
+    if (res.locals.errors) {
+      const message = res.locals.errors.map(e => e.message).join(', ')
+      return redirectWith(res, stationUrl, 'error', message)
+    }
+
+    try {
+      const incident = await incidentService.create(req.body, sessionActor(req))
+      const moved = incident.relocatedBookings.length
+      redirectWith(
+        res,
+        stationUrl,
+        'success',
+        moved > 0
+          ? `Incident signalé, ${moved} réservation(s) déplacée(s)`
+          : 'Incident signalé, merci'
+      )
+    } catch (error) {
+      redirectWith(res, stationUrl, 'error', businessMessage(error))
+    }
+  })
+)
+
 export default router
@@ -0,0 +1,260 @@
+import express from 'express'
+import * as waitlistController from '../controllers/waitlistController.js'
+import { validate, validateQuery } from '../middlewares/validate.js'
+import { authenticate } from '../middlewares/authenticate.js'
+import {
+  waitlistQuerySchema,
+  waitlistSchema,
+} from '../schemas/waitlistSchema.js'
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         stationId:
+ *           type: integer
+ *           nullable: true
+ *           description: Targeted station (null = any station matching criteria)
+ *         criteria:
+ *           type: object
+ *           description: Hardware criteria for entries without station
+ *           example: { gpu: RTX }
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, accepted, declined, expired, cancelled]
+ *           example: waiting
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Position in the queue (waiting entries only)
+ *           example: 2
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deadline to accept the offered booking
+ *         bookingId:
+ *           type: integer
+ *           nullable: true
+ *           description: Pending booking offered to the participant
+ *     WaitlistInput:
+ *       type: object
+ *       required:
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         stationId:
+ *           type: integer
+ *           description: Station to queue for (omit to accept any matching station)
+ *           example: 2
+ *         criteria:
+ *           type: object
+ *           properties:
+ *             cpu:
+ *               type: string
+ *             gpu:
+ *               type: string
+ *               example: RTX
+ *             ram:
+ *               type: string
+ *             storage:
+ *               type: string
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T20:00:00Z
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-12-05T23:00:00Z
+ */
+
+/**
+ * @swagger
+ * /api/bookings/waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: Participants see their own entries, staff see everyone's. Offers past their deadline are expired first.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, accepted, declined, expired, cancelled]
+ *         description: Filter by status
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Filter by user (staff only)
+ *     responses:
+ *       200:
+ *         description: Waitlist entries with queue positions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/',
+  authenticate,
+  validateQuery(waitlistQuerySchema),
+  waitlistController.getAll
+)
+
+/**
+ * @swagger
+ * /api/bookings/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a fully booked slot
+ *     description: When a matching booking is cancelled or released as no-show, the first eligible waiter is offered a pending booking to accept before a deadline.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaitlistInput'
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: A matching station is free, or already queued for this slot
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(waitlistSchema),
+  waitlistController.join
+)
+
+/**
+ * @swagger
+ * /api/bookings/waitlist/{id}/accept:
+ *   post:
+ *     summary: Accept the offered slot
+ *     description: Confirms the pending booking offered to the entry (owner only, before the deadline).
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Offer accepted, booking confirmed
+ *       403:
+ *         description: Not the owner of the entry
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: No pending offer (or offer expired)
+ */
+router.post('/:id/accept', authenticate, waitlistController.accept)
+
+/**
+ * @swagger
+ * /api/bookings/waitlist/{id}/decline:
+ *   post:
+ *     summary: Decline the offered slot
+ *     description: Cancels the pending booking, which is offered to the next waiter.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: No pending offer
+ */
+router.post('/:id/decline', authenticate, waitlistController.decline)
+
+/**
+ * @swagger
+ * /api/bookings/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Waitlist entry ID
+ *     responses:
+ *       204:
+ *         description: Entry cancelled
+ *       403:
+ *         description: Neither the owner nor staff
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: Entry already closed
+ */
+router.delete('/:id', authenticate, waitlistController.leave)
+
+export default router
@@ -0,0 +1,42 @@
+import { z } from 'zod'
+
+// Optional text reported by the agent (empty string → null)
+const optionalText = max =>
+  z.preprocess(
+    val => (val === '' || val === undefined ? null : val),
+    z
+      .string()
+      .trim()
+      .max(max, `Ce champ ne peut pas dépasser ${max} caractères`)
+      .nullable()
+  )
+
+// Temperatures in °C, null when the agent cannot read the sensor
+const temperature = label =>
+  z.preprocess(
+    val => (val === undefined ? null : val),
+    z
+      .number({ message: `La température ${label} doit être un nombre` })
+      .min(-20, `La température ${label} est hors plage`)
+      .max(150, `La température ${label} est hors plage`)
+      .nullable()
+  )
+
+// Every field is optional: an empty heartbeat still tells the machine is up
+export const heartbeatSchema = z
+  .object({
+    online: z.boolean({ message: 'online doit être un booléen' }).default(true),
+    loggedInUser: optionalText(100),
+    runningGame: optionalText(100),
+    cpuTempC: temperature('CPU'),
+    gpuTempC: temperature('GPU'),
+    uptimeSeconds: z.preprocess(
+      val => (val === undefined ? null : val),
+      z
+        .number({ message: "L'uptime doit être un nombre de secondes" })
+        .int("L'uptime doit être un nombre entier de secondes")
+        .min(0, "L'uptime ne peut pas être négatif")
+        .nullable()
+    ),
+  })
+  .prefault({})
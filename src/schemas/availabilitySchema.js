@@ -0,0 +1,34 @@
+import { z } from 'zod'
+
+// Maximum searchable window (one week)
+const MAX_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+
+// Helper for optional text filters (empty string → undefined)
+const optionalText = z.preprocess(
+  val => (val === '' ? undefined : val),
+  z.string().trim().max(100).optional()
+)
+
+export const availabilityQuerySchema = z
+  .object({
+    start: z.coerce.date({ message: "L'heure de début est invalide" }),
+    end: z.coerce.date({ message: "L'heure de fin est invalide" }),
+    slotMinutes: z.coerce
+      .number()
+      .int('La durée de créneau doit être un entier')
+      .min(15, 'La durée de créneau doit être au moins de 15 minutes')
+      .max(1440, 'La durée de créneau ne peut pas dépasser 24 heures')
+      .default(60),
+    cpu: optionalText,
+    gpu: optionalText,
+    ram: optionalText,
+    storage: optionalText,
+  })
+  .refine(data => data.start < data.end, {
+    message: "L'heure de début doit être avant l'heure de fin",
+    path: ['start'],
+  })
+  .refine(data => data.end - data.start <= MAX_WINDOW_MS, {
+    message: 'La fenêtre de recherche ne peut pas dépasser 7 jours',
+    path: ['end'],
+  })
@@ -0,0 +1,63 @@
+import { z } from 'zod'
+import { optionalGameId } from './bookingSchema.js'
+
+const MAX_GROUP_SIZE = 20
+
+// Either explicit stationIds, or a count of stations picked automatically
+// captainId is optional: groups default to the authenticated user
+export const bookingGroupSchema = z
+  .object({
+    captainId: z.coerce
+      .number()
+      .int("L'ID du capitaine doit être un entier")
+      .optional(),
+    name: z
+      .string()
+      .trim()
+      .max(100, 'Le nom ne peut pas dépasser 100 caractères')
+      .optional(),
+    stationIds: z
+      .array(z.coerce.number().int("L'ID de la station doit être un entier"))
+      .min(2, 'Un groupe compte au moins 2 stations')
+      .max(
+        MAX_GROUP_SIZE,
+        `Un groupe compte au plus ${MAX_GROUP_SIZE} stations`
+      )
+      .refine(ids => new Set(ids).size === ids.length, {
+        message: 'Une station ne peut pas figurer deux fois dans le groupe',
+      })
+      .optional(),
+    count: z.coerce
+      .number()
+      .int('Le nombre de stations doit être un entier')
+      .min(2, 'Un groupe compte au moins 2 stations')
+      .max(
+        MAX_GROUP_SIZE,
+        `Un groupe compte au plus ${MAX_GROUP_SIZE} stations`
+      )
+      .optional(),
+    placement: z
+      .enum(['any', 'zone', 'row'], {
+        message: 'Le placement doit être: any, zone ou row',
+      })
+      .default('any'),
+    startTime: z.coerce.date({
+      required_error: "L'heure de début est requise",
+    }),
+    endTime: z.coerce.date({ required_error: "L'heure de fin est requise" }),
+    gameId: optionalGameId,
+  })
+  .refine(
+    data => (data.stationIds === undefined) !== (data.count === undefined),
+    {
+      message: 'Indiquez soit stationIds, soit count',
+      path: ['stationIds'],
+    }
+  )
+  .refine(data => data.startTime < data.endTime, {
+    message: "L'heure de début doit être avant l'heure de fin",
+  })
+
+export const bookingGroupExtendSchema = z.object({
+  endTime: z.coerce.date({ required_error: "L'heure de fin est requise" }),
+})
@@ -1,11 +1,110 @@
-import { z } from 'zod';
+import { z } from 'zod'
+import { BOOKING_STATUSES } from '../config/bookingLifecycle.js'
 
-export const bookingSchema = z.object({
-    userId: z.coerce.number({ required_error: "L'ID utilisateur est requis" }).int("L'ID utilisateur doit être un entier"),
-    stationId: z.coerce.number({ required_error: "L'ID de la station est requis" }).int("L'ID de la station doit être un entier"),
-    startTime: z.coerce.date({ required_error: "L'heure de début est requise" }),
+// Game played, if known: null (or an empty form field) clears it
+export const optionalGameId = z.preprocess(
+  val => (val === '' ? null : val),
+  z.coerce.number().int("L'ID du jeu doit être un entier").nullable().optional()
+)
+
+// Status is not writable here: it changes through lifecycle transitions
+// userId is optional: bookings default to the authenticated user
+export const bookingSchema = z
+  .object({
+    userId: z.coerce
+      .number()
+      .int("L'ID utilisateur doit être un entier")
+      .optional(),
+    stationId: z.coerce
+      .number({ required_error: "L'ID de la station est requis" })
+      .int("L'ID de la station doit être un entier"),
+    startTime: z.coerce.date({
+      required_error: "L'heure de début est requise",
+    }),
     endTime: z.coerce.date({ required_error: "L'heure de fin est requise" }),
-    status: z.enum(['pending', 'confirmed', 'cancelled'], { required_error: "Le statut est requis" }),
-}).refine(data => data.startTime < data.endTime, {
+    gameId: optionalGameId,
+  })
+  .refine(data => data.startTime < data.endTime, {
     message: "L'heure de début doit être avant l'heure de fin",
-});
+  })
+
+// Fields the booking list can be sorted on
+export const BOOKING_SORT_FIELDS = [
+  'startTime',
+  'endTime',
+  'createdAt',
+  'status',
+  'id',
+]
+
+// Helper for optional query parameters (empty string → undefined)
+const emptyToUndefined = val => (val === '' ? undefined : val)
+
+const optionalId = message =>
+  z.preprocess(
+    emptyToUndefined,
+    z.coerce.number().int(message).positive(message).optional()
+  )
+
+// Comma-separated (?status=a,b) or repeated (?status=a&status=b) statuses
+const statusList = z.preprocess(
+  val =>
+    [val]
+      .flat()
+      .flatMap(item => (typeof item === 'string' ? item.split(',') : item))
+      .filter(Boolean),
+  z
+    .array(
+      z.enum(BOOKING_STATUSES, {
+        message: `Statut invalide (attendu : ${BOOKING_STATUSES.join(', ')})`,
+      })
+    )
+    .optional()
+)
+
+// from/to select bookings overlapping the range (either bound may be omitted)
+export const bookingQuerySchema = z
+  .object({
+    userId: optionalId("L'ID utilisateur doit être un entier positif"),
+    stationId: optionalId("L'ID de la station doit être un entier positif"),
+    from: z.preprocess(
+      emptyToUndefined,
+      z.coerce.date({ message: 'La date de début est invalide' }).optional()
+    ),
+    to: z.preprocess(
+      emptyToUndefined,
+      z.coerce.date({ message: 'La date de fin est invalide' }).optional()
+    ),
+    status: statusList,
+    sort: z
+      .enum(BOOKING_SORT_FIELDS, {
+        message: `Tri invalide (attendu : ${BOOKING_SORT_FIELDS.join(', ')})`,
+      })
+      .default('startTime'),
+    order: z
+      .enum(['asc', 'desc'], { message: 'Ordre invalide (asc ou desc)' })
+      .default('desc'),
+    limit: z.coerce
+      .number()
+      .int('La limite doit être un entier')
+      .min(1, 'La limite doit être au moins 1')
+      .max(100, 'La limite ne peut pas dépasser 100')
+      .default(10),
+    offset: z.coerce
+      .number()
+      .int("L'offset doit être un entier")
+      .min(0, "L'offset ne peut pas être négatif")
+      .default(0),
+  })
+  .refine(data => !data.from || !data.to || data.from < data.to, {
+    message: 'La date de début doit être avant la date de fin',
+    path: ['from'],
+  })
+
+export const bookingExtendSchema = z.object({
+  minutes: z.coerce
+    .number({ required_error: 'La durée de prolongation est requise' })
+    .int('La durée de prolongation doit être un entier')
+    .min(1, 'La durée de prolongation doit être positive')
+    .max(24 * 60, 'La prolongation ne peut pas dépasser 24 heures'),
+})
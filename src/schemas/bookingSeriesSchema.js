@@ -0,0 +1,53 @@
+import { z } from 'zod'
+import { optionalGameId } from './bookingSchema.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Hours between two occurrences of each frequency, per interval unit
+const FREQUENCY_HOURS = { daily: 24, hourly: 1 }
+
+// The first occurrence is startTime/endTime, repeated until `until`
+// userId is optional: series default to the authenticated user
+export const bookingSeriesSchema = z
+  .object({
+    userId: z.coerce
+      .number()
+      .int("L'ID utilisateur doit être un entier")
+      .optional(),
+    stationId: z.coerce
+      .number({ required_error: "L'ID de la station est requis" })
+      .int("L'ID de la station doit être un entier"),
+    startTime: z.coerce.date({
+      required_error: "L'heure de début est requise",
+    }),
+    endTime: z.coerce.date({ required_error: "L'heure de fin est requise" }),
+    frequency: z.enum(['daily', 'hourly'], {
+      message: 'La fréquence doit être: daily ou hourly',
+    }),
+    interval: z.coerce
+      .number()
+      .int("L'intervalle doit être un entier")
+      .min(1, "L'intervalle doit être au moins 1")
+      .max(30, "L'intervalle ne peut pas dépasser 30")
+      .default(1),
+    gameId: optionalGameId,
+    until: z.coerce.date({
+      required_error: 'La date de fin de série est requise',
+    }),
+  })
+  .refine(data => data.startTime < data.endTime, {
+    message: "L'heure de début doit être avant l'heure de fin",
+  })
+  .refine(data => data.until >= data.startTime, {
+    message: 'La fin de la série doit être après la première occurrence',
+    path: ['until'],
+  })
+  .refine(
+    data =>
+      data.endTime - data.startTime <=
+      FREQUENCY_HOURS[data.frequency] * data.interval * HOUR_MS,
+    {
+      message: 'Les occurrences ne peuvent pas se chevaucher',
+      path: ['interval'],
+    }
+  )
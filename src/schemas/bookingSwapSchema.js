@@ -0,0 +1,15 @@
+import { z } from 'zod'
+
+export const bookingSwapSchema = z
+  .object({
+    bookingId: z.coerce
+      .number({ required_error: "L'ID de votre réservation est requis" })
+      .int("L'ID de la réservation doit être un entier"),
+    targetBookingId: z.coerce
+      .number({ required_error: "L'ID de la réservation visée est requis" })
+      .int("L'ID de la réservation doit être un entier"),
+  })
+  .refine(data => data.bookingId !== data.targetBookingId, {
+    message: 'Une réservation ne peut pas être échangée avec elle-même',
+    path: ['targetBookingId'],
+  })
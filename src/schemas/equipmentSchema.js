@@ -0,0 +1,119 @@
+import { z } from 'zod'
+
+export const EQUIPMENT_TYPES = [
+  'headset',
+  'controller',
+  'mouse',
+  'keyboard',
+  'monitor',
+  'other',
+]
+
+// Stored states; where an item is comes from its station and open loan
+export const EQUIPMENT_STATUSES = ['available', 'missing', 'retired']
+
+// Open: not returned yet, overdue: open and past its due time
+export const LOAN_STATES = ['open', 'overdue', 'returned']
+
+// Helper for optional query parameters (empty string → undefined)
+const emptyToUndefined = val => (val === '' ? undefined : val)
+
+const optionalText = max =>
+  z.preprocess(
+    val => (val === '' ? null : val),
+    z
+      .string()
+      .trim()
+      .max(max, `Ce champ ne peut pas dépasser ${max} caractères`)
+      .nullable()
+      .optional()
+  )
+
+export const equipmentSchema = z.object({
+  assetTag: z
+    .string({ message: "L'étiquette d'inventaire est requise" })
+    .trim()
+    .toUpperCase()
+    .regex(
+      /^[A-Z0-9-]{2,20}$/,
+      "L'étiquette d'inventaire ne contient que des lettres, chiffres et tirets (2 à 20)"
+    ),
+  serialNumber: optionalText(100),
+  type: z.enum(EQUIPMENT_TYPES, {
+    message: `Le type doit être: ${EQUIPMENT_TYPES.join(', ')}`,
+  }),
+  name: z
+    .string({ message: 'Le nom est requis' })
+    .trim()
+    .min(2, 'Le nom doit contenir au moins 2 caractères')
+    .max(100, 'Le nom ne peut pas dépasser 100 caractères'),
+  status: z
+    .enum(EQUIPMENT_STATUSES, {
+      message: `Le statut doit être: ${EQUIPMENT_STATUSES.join(', ')}`,
+    })
+    .default('available'),
+})
+
+// null takes the item off its station (back to the desk)
+export const equipmentStationSchema = z.object({
+  stationId: z.preprocess(
+    val => (val === '' ? null : val),
+    z.coerce
+      .number({
+        message: "L'ID de la station est requis (null pour la retirer)",
+      })
+      .int("L'ID de la station doit être un entier")
+      .nullable()
+  ),
+})
+
+export const loanSchema = z.object({
+  userId: z.coerce
+    .number({ message: "L'ID du participant est requis" })
+    .int("L'ID du participant doit être un entier"),
+  dueAt: z.coerce
+    .date({ message: "L'heure de retour prévue est invalide" })
+    .refine(
+      date => date > new Date(),
+      "L'heure de retour prévue doit être dans le futur"
+    ),
+  note: optionalText(500),
+})
+
+export const equipmentQuerySchema = z.object({
+  type: z.preprocess(
+    emptyToUndefined,
+    z
+      .enum(EQUIPMENT_TYPES, {
+        message: `Le type doit être: ${EQUIPMENT_TYPES.join(', ')}`,
+      })
+      .optional()
+  ),
+  status: z.preprocess(
+    emptyToUndefined,
+    z
+      .enum(EQUIPMENT_STATUSES, {
+        message: `Le statut doit être: ${EQUIPMENT_STATUSES.join(', ')}`,
+      })
+      .optional()
+  ),
+  stationId: z.preprocess(
+    emptyToUndefined,
+    z.coerce.number().int("L'ID de la station doit être un entier").optional()
+  ),
+})
+
+export const loanQuerySchema = z.object({
+  state: z.preprocess(
+    emptyToUndefined,
+    z
+      .enum(LOAN_STATES, {
+        message: `L'état doit être: ${LOAN_STATES.join(', ')}`,
+      })
+      .optional()
+  ),
+  userId: z.preprocess(
+    emptyToUndefined,
+    z.coerce.number().int("L'ID du participant doit être un entier").optional()
+  ),
+})
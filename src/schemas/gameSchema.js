@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { REQUIREMENTS, REQUIREMENT_FIELDS } from '../utils/gameRequirements.js'
 
 // Helper for optional numeric fields from forms (empty string → null)
 const optionalNumber = z.preprocess(
@@ -6,6 +7,11 @@ const optionalNumber = z.preprocess(
   z.number().int().nullable()
 )
 
+// Hardware requirements are optional positive integers
+const requirement = optionalNumber.refine(val => val === null || val >= 1, {
+  message: 'Une exigence matérielle doit être au moins 1',
+})
+
 export const gameSchema = z
   .object({
     name: z
@@ -37,8 +43,32 @@ export const gameSchema = z
       .optional()
       .nullable()
       .transform(val => (val === '' ? null : val)),
+    ...Object.fromEntries(
+      REQUIREMENT_FIELDS.map(field => [field, requirement])
+    ),
   })
   .refine(data => data.minPlayers <= data.maxPlayers, {
     message: 'Le minimum de joueurs ne peut pas dépasser le maximum',
     path: ['minPlayers'],
   })
+  .superRefine((data, ctx) => {
+    REQUIREMENTS.forEach(({ name, label }) => {
+      const minimum = data[`min${name}`]
+      const recommended = data[`recommended${name}`]
+      if (minimum !== null && recommended !== null && recommended < minimum) {
+        ctx.addIssue({
+          code: 'custom',
+          message: `${label} : la configuration recommandée ne peut pas être inférieure au minimum`,
+          path: [`recommended${name}`],
+        })
+      }
+    })
+  })
+
+export const compatibilityQuerySchema = z.object({
+  level: z
+    .enum(['min', 'recommended'], {
+      message: 'Le niveau doit être: min ou recommended',
+    })
+    .default('min'),
+})
@@ -0,0 +1,43 @@
+import { z } from 'zod'
+
+// Data that can be imported and exported as files
+export const TRANSFER_ENTITIES = ['games', 'stations']
+export const TRANSFER_FORMATS = ['csv', 'json']
+
+// Query flags arrive as strings: only "true" and "1" turn them on
+const flag = z.preprocess(
+  val => val === true || val === 'true' || val === '1',
+  z.boolean()
+)
+
+export const exportQuerySchema = z.object({
+  format: z.preprocess(
+    val => (val === '' ? undefined : val),
+    z
+      .enum(TRANSFER_FORMATS, {
+        message: `Le format doit être: ${TRANSFER_FORMATS.join(', ')}`,
+      })
+      .default('json')
+  ),
+})
+
+export const importQuerySchema = z.object({
+  dryRun: flag,
+})
+
+// Admin page: pasted (or loaded) file content, previewed or imported
+export const importFormSchema = z.object({
+  entity: z.enum(TRANSFER_ENTITIES, {
+    message: `Les données doivent être: ${TRANSFER_ENTITIES.join(', ')}`,
+  }),
+  format: z.enum(TRANSFER_FORMATS, {
+    message: `Le format doit être: ${TRANSFER_FORMATS.join(', ')}`,
+  }),
+  content: z
+    .string({ message: 'Le contenu est requis' })
+    .trim()
+    .min(1, 'Le contenu est requis'),
+  mode: z
+    .enum(['preview', 'import'], { message: 'Action inconnue' })
+    .default('preview'),
+})
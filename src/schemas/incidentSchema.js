@@ -0,0 +1,67 @@
+import { z } from 'zod'
+import {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+} from '../config/incidents.js'
+
+// Helper for optional query filters (empty string → undefined)
+const optionalFilter = schema =>
+  z.preprocess(val => (val === '' ? undefined : val), schema.optional())
+
+export const incidentSchema = z.object({
+  stationId: z.coerce
+    .number({ message: "L'ID de la station est requis" })
+    .int("L'ID de la station doit être un entier"),
+  category: z.enum(INCIDENT_CATEGORIES, {
+    message: `La catégorie doit être: ${INCIDENT_CATEGORIES.join(', ')}`,
+  }),
+  severity: z
+    .enum(INCIDENT_SEVERITIES, {
+      message: `La gravité doit être: ${INCIDENT_SEVERITIES.join(', ')}`,
+    })
+    .default('minor'),
+  description: z
+    .string()
+    .trim()
+    .min(5, 'La description doit contenir au moins 5 caractères')
+    .max(1000, 'La description ne peut pas dépasser 1000 caractères'),
+})
+
+// Without assigneeId, the ticket is assigned to the caller
+// Both action bodies are optional: prefault parses a missing body as {}
+export const incidentAssignSchema = z
+  .object({
+    assigneeId: z.preprocess(
+      val => (val === '' || val === null ? undefined : val),
+      z.coerce.number().int("L'ID de l'assigné doit être un entier").optional()
+    ),
+  })
+  .prefault({})
+
+export const incidentResolveSchema = z
+  .object({
+    resolution: z
+      .string()
+      .trim()
+      .max(1000, 'La résolution ne peut pas dépasser 1000 caractères')
+      .optional()
+      .transform(val => val || null),
+  })
+  .prefault({})
+
+export const incidentQuerySchema = z.object({
+  status: optionalFilter(
+    z.enum(INCIDENT_STATUSES, {
+      message: `Le statut doit être: ${INCIDENT_STATUSES.join(', ')}`,
+    })
+  ),
+  stationId: optionalFilter(
+    z.coerce.number().int("L'ID de la station doit être un entier")
+  ),
+  severity: optionalFilter(
+    z.enum(INCIDENT_SEVERITIES, {
+      message: `La gravité doit être: ${INCIDENT_SEVERITIES.join(', ')}`,
+    })
+  ),
+})
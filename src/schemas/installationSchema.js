@@ -0,0 +1,18 @@
+import { z } from 'zod'
+
+// Install states of a game on a station; only installed ones can be played
+export const INSTALL_STATUSES = ['installed', 'updating', 'broken']
+
+export const installationSchema = z.object({
+  status: z
+    .enum(INSTALL_STATUSES, {
+      message: `Le statut doit être: ${INSTALL_STATUSES.join(', ')}`,
+    })
+    .default('installed'),
+  version: z
+    .string()
+    .max(50, 'La version ne peut pas dépasser 50 caractères')
+    .optional()
+    .nullable()
+    .transform(val => (val === '' ? null : val)),
+})
@@ -0,0 +1,22 @@
+import { z } from 'zod'
+
+// Optional limit: null or missing = use the default quota
+const optionalLimit = z.preprocess(
+  val => (val === '' || val === undefined ? null : val),
+  z.coerce
+    .number()
+    .int('La limite doit être un entier')
+    .min(0, 'La limite ne peut pas être négative')
+    .nullable()
+)
+
+export const quotaSchema = z.object({
+  maxConcurrentBookings: optionalLimit,
+  maxHoursPerDay: optionalLimit,
+  maxPremiumHours: optionalLimit,
+  cooldownMinutes: optionalLimit,
+  exempt: z.preprocess(
+    val => val === true || val === 'true' || val === 'on',
+    z.boolean()
+  ),
+})
@@ -1,44 +1,287 @@
 import { z } from 'zod'
+import { FLOOR_PLAN } from '../config/floorPlan.js'
+import {
+  GPU_VENDORS,
+  SPEC_RANGE_FIELDS,
+  STORAGE_TYPES,
+  rangeParams,
+} from '../utils/hardwareSpecs.js'
 
-export const stationSchema = z.object({
-  name: z
-    .string({ required_error: 'Le nom est requis' })
-    .min(1, 'Le nom est requis')
-    .max(100, 'Le nom ne peut pas dépasser 100 caractères'),
-  cpu: z
-    .string({ required_error: 'Le CPU est requis' })
-    .min(1, 'Le CPU est requis')
-    .max(100, 'Le CPU ne peut pas dépasser 100 caractères'),
-  gpu: z
-    .string({ required_error: 'Le GPU est requis' })
-    .min(1, 'Le GPU est requis')
-    .max(100, 'Le GPU ne peut pas dépasser 100 caractères'),
-  ram: z
-    .string({ required_error: 'La RAM est requise' })
-    .min(1, 'La RAM est requise')
-    .max(50, 'La RAM ne peut pas dépasser 50 caractères'),
-  storage: z
-    .string({ required_error: 'Le stockage est requis' })
-    .min(1, 'Le stockage est requis')
-    .max(100, 'Le stockage ne peut pas dépasser 100 caractères'),
-  monitor: z
-    .string({ required_error: "L'écran est requis" })
-    .min(1, "L'écran est requis")
-    .max(100, "L'écran ne peut pas dépasser 100 caractères"),
-  keyboard: z
-    .string({ required_error: 'Le clavier est requis' })
-    .min(1, 'Le clavier est requis')
-    .max(100, 'Le clavier ne peut pas dépasser 100 caractères'),
-  mouse: z
-    .string({ required_error: 'La souris est requise' })
-    .min(1, 'La souris est requise')
-    .max(100, 'La souris ne peut pas dépasser 100 caractères'),
-  headset: z
-    .string({ required_error: 'Le casque est requis' })
-    .min(1, 'Le casque est requis')
-    .max(100, 'Le casque ne peut pas dépasser 100 caractères'),
-  status: z.enum(['available', 'maintenance', 'booked'], {
-    required_error: 'Le statut est requis',
-    invalid_type_error: 'Le statut doit être: available, maintenance ou booked',
-  }),
-})
+// Stored operational states; whether a station is occupied is derived from
+// its bookings (see stationService occupancy)
+export const STATION_STATUSES = ['available', 'maintenance', 'retired']
+
+// Empty form fields clear the value, missing API fields leave it unchanged
+const emptyToNull = val => (val === '' ? null : val)
+
+/**
+ * Optional structured spec, deduced from the text fields when left empty
+ * @param {string} label - Field label for messages
+ * @param {number} min - Lowest accepted value
+ * @param {number} max - Highest accepted value
+ */
+const optionalSpec = (label, min, max) =>
+  z.preprocess(
+    emptyToNull,
+    z.coerce
+      .number()
+      .int(`${label} doit être un entier`)
+      .min(min, `${label} doit être au moins ${min}`)
+      .max(max, `${label} ne peut pas dépasser ${max}`)
+      .nullable()
+      .optional()
+  )
+
+/**
+ * Optional floor plan coordinate inside the grid
+ * @param {string} label - Axis label for messages
+ * @param {number} size - Number of cells on the axis
+ */
+const mapCoordinate = (label, size) =>
+  z.preprocess(
+    emptyToNull,
+    z.coerce
+      .number()
+      .int(`${label} doit être un entier`)
+      .min(0, `${label} doit être positive`)
+      .max(size - 1, `${label} doit être inférieure à ${size}`)
+      .nullable()
+      .optional()
+  )
+
+const mapX = mapCoordinate('La colonne', FLOOR_PLAN.columns)
+const mapY = mapCoordinate('La ligne', FLOOR_PLAN.rows)
+
+// Both coordinates, or none to take the station off the plan
+const bothOrNone = data =>
+  ((data.mapX ?? null) === null) === ((data.mapY ?? null) === null)
+
+// CPU check shared with station templates (refine arguments)
+export const threadsNotBelowCores = [
+  data =>
+    !data.cpuCores || !data.cpuThreads || data.cpuThreads >= data.cpuCores,
+  {
+    message:
+      'Le nombre de threads ne peut pas être inférieur au nombre de cœurs',
+    path: ['cpuThreads'],
+  },
+]
+
+export const stationSchema = z
+  .object({
+    name: z
+      .string({ required_error: 'Le nom est requis' })
+      .min(1, 'Le nom est requis')
+      .max(100, 'Le nom ne peut pas dépasser 100 caractères'),
+    cpu: z
+      .string({ required_error: 'Le CPU est requis' })
+      .min(1, 'Le CPU est requis')
+      .max(100, 'Le CPU ne peut pas dépasser 100 caractères'),
+    gpu: z
+      .string({ required_error: 'Le GPU est requis' })
+      .min(1, 'Le GPU est requis')
+      .max(100, 'Le GPU ne peut pas dépasser 100 caractères'),
+    ram: z
+      .string({ required_error: 'La RAM est requise' })
+      .min(1, 'La RAM est requise')
+      .max(50, 'La RAM ne peut pas dépasser 50 caractères'),
+    storage: z
+      .string({ required_error: 'Le stockage est requis' })
+      .min(1, 'Le stockage est requis')
+      .max(100, 'Le stockage ne peut pas dépasser 100 caractères'),
+    ramGb: optionalSpec('La RAM (Go)', 1, 1024),
+    storageGb: optionalSpec('Le stockage (Go)', 1, 100000),
+    storageType: z.preprocess(
+      emptyToNull,
+      z
+        .enum(STORAGE_TYPES, {
+          message: `Le type de stockage doit être: ${STORAGE_TYPES.join(', ')}`,
+        })
+        .nullable()
+        .optional()
+    ),
+    gpuVendor: z.preprocess(
+      emptyToNull,
+      z
+        .enum(GPU_VENDORS, {
+          message: `Le fabricant du GPU doit être: ${GPU_VENDORS.join(', ')}`,
+        })
+        .nullable()
+        .optional()
+    ),
+    gpuModel: z.preprocess(
+      emptyToNull,
+      z
+        .string()
+        .trim()
+        .max(100, 'Le modèle de GPU ne peut pas dépasser 100 caractères')
+        .nullable()
+        .optional()
+    ),
+    gpuVramGb: optionalSpec('La VRAM (Go)', 1, 128),
+    cpuCores: optionalSpec('Le nombre de cœurs', 1, 256),
+    cpuThreads: optionalSpec('Le nombre de threads', 1, 512),
+    monitor: z
+      .string({ required_error: "L'écran est requis" })
+      .min(1, "L'écran est requis")
+      .max(100, "L'écran ne peut pas dépasser 100 caractères"),
+    keyboard: z
+      .string({ required_error: 'Le clavier est requis' })
+      .min(1, 'Le clavier est requis')
+      .max(100, 'Le clavier ne peut pas dépasser 100 caractères'),
+    mouse: z
+      .string({ required_error: 'La souris est requise' })
+      .min(1, 'La souris est requise')
+      .max(100, 'La souris ne peut pas dépasser 100 caractères'),
+    headset: z
+      .string({ required_error: 'Le casque est requis' })
+      .min(1, 'Le casque est requis')
+      .max(100, 'Le casque ne peut pas dépasser 100 caractères'),
+    monitorRefreshHz: optionalSpec('La fréquence (Hz)', 24, 1000),
+    monitorResolution: z.preprocess(
+      emptyToNull,
+      z
+        .string()
+        .trim()
+        .regex(
+          /^\d{3,5}x\d{3,5}$/,
+          'La résolution doit être au format 2560x1440'
+        )
+        .nullable()
+        .optional()
+    ),
+    status: z.enum(STATION_STATUSES, {
+      message: `Le statut doit être: ${STATION_STATUSES.join(', ')}`,
+    }),
+    // Checkbox in forms (a hidden 'false' then 'on' when checked), boolean
+    // in the API; left out, an update keeps the stored value
+    isPremium: z.preprocess(val => {
+      const last = Array.isArray(val) ? val.at(-1) : val
+      return last === undefined
+        ? undefined
+        : last === true || last === 'true' || last === 'on'
+    }, z.boolean().optional()),
+    // Location in the venue, used to book adjacent stations for a team
+    zone: z.preprocess(
+      emptyToNull,
+      z
+        .string()
+        .trim()
+        .max(50, 'La zone ne peut pas dépasser 50 caractères')
+        .nullable()
+        .optional()
+    ),
+    row: z.preprocess(
+      emptyToNull,
+      z
+        .string()
+        .trim()
+        .max(50, 'La rangée ne peut pas dépasser 50 caractères')
+        .nullable()
+        .optional()
+    ),
+    seat: z.preprocess(
+      emptyToNull,
+      z.coerce
+        .number()
+        .int('Le siège doit être un entier')
+        .min(1, 'Le siège doit être supérieur à 0')
+        .nullable()
+        .optional()
+    ),
+    mapX,
+    mapY,
+  })
+  .refine(bothOrNone, {
+    message: 'La position doit avoir une colonne et une ligne',
+    path: ['mapX'],
+  })
+  .refine(...threadsNotBelowCores)
+
+const emptyToUndefined = val => (val === '' ? undefined : val)
+
+const optionalFilter = message =>
+  z.preprocess(
+    emptyToUndefined,
+    z.coerce.number().int(message).min(0, message).optional()
+  )
+
+// minX/maxX pair of every numeric spec
+const rangeFilters = Object.fromEntries(
+  SPEC_RANGE_FIELDS.flatMap(field => {
+    const { min, max } = rangeParams(field)
+    return [
+      [min, optionalFilter(`${min} doit être un entier positif`)],
+      [max, optionalFilter(`${max} doit être un entier positif`)],
+    ]
+  })
+)
+
+// Cell of a station on the floor plan editor, null to take it off the plan
+export const stationPositionSchema = z
+  .object({ mapX, mapY })
+  .refine(data => data.mapX !== undefined && data.mapY !== undefined, {
+    message: 'La position est requise (null pour retirer la station du plan)',
+    path: ['mapX'],
+  })
+  .refine(bothOrNone, {
+    message: 'La position doit avoir une colonne et une ligne',
+    path: ['mapX'],
+  })
+
+export const stationQuerySchema = z
+  .object({
+    status: z.preprocess(
+      emptyToUndefined,
+      z
+        .enum(STATION_STATUSES, {
+          message: `Le statut doit être: ${STATION_STATUSES.join(', ')}`,
+        })
+        .optional()
+    ),
+    gameId: optionalFilter("L'ID du jeu doit être un entier positif"),
+    storageType: z.preprocess(
+      emptyToUndefined,
+      z
+        .enum(STORAGE_TYPES, {
+          message: `Le type de stockage doit être: ${STORAGE_TYPES.join(', ')}`,
+        })
+        .optional()
+    ),
+    gpuVendor: z.preprocess(
+      emptyToUndefined,
+      z
+        .enum(GPU_VENDORS, {
+          message: `Le fabricant du GPU doit être: ${GPU_VENDORS.join(', ')}`,
+        })
+        .optional()
+    ),
+    ...rangeFilters,
+    limit: z.coerce
+      .number()
+      .int('La limite doit être un entier')
+      .min(1, 'La limite doit être au moins 1')
+      .max(100, 'La limite ne peut pas dépasser 100')
+      .default(10),
+    offset: z.coerce
+      .number()
+      .int("L'offset doit être un entier")
+      .min(0, "L'offset ne peut pas être négatif")
+      .default(0),
+  })
+  .superRefine((data, ctx) => {
+    SPEC_RANGE_FIELDS.forEach(field => {
+      const { min, max } = rangeParams(field)
+      if (
+        data[min] !== undefined &&
+        data[max] !== undefined &&
+        data[min] > data[max]
+      ) {
+        ctx.addIssue({
+          code: 'custom',
+          message: `${min} ne peut pas dépasser ${max}`,
+          path: [min],
+        })
+      }
+    })
+  })
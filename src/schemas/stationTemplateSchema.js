@@ -0,0 +1,86 @@
+import { z } from 'zod'
+import { stationSchema, threadsNotBelowCores } from './stationSchema.js'
+import { SPEC_FIELDS } from '../utils/hardwareSpecs.js'
+
+// Station fields a template sets: hardware and peripherals, not the status
+// or the location of each machine
+export const TEMPLATE_FIELDS = [
+  'cpu',
+  'gpu',
+  'ram',
+  'storage',
+  ...SPEC_FIELDS,
+  'monitor',
+  'keyboard',
+  'mouse',
+  'headset',
+]
+
+// Same rules as the station form, field by field
+const templateFields = Object.fromEntries(
+  TEMPLATE_FIELDS.map(field => [field, stationSchema.shape[field]])
+)
+
+export const stationTemplateSchema = z
+  .object({
+    name: z
+      .string({ message: 'Le nom du modèle est requis' })
+      .trim()
+      .min(1, 'Le nom du modèle est requis')
+      .max(100, 'Le nom du modèle ne peut pas dépasser 100 caractères'),
+    ...templateFields,
+  })
+  .refine(...threadsNotBelowCores)
+
+const emptyToNull = val => (val === '' ? null : val)
+
+// Stations named prefix + number: PC- from 1, 20 stations → PC-01..PC-20
+export const stationBatchSchema = z.object({
+  prefix: z
+    .string({ message: 'Le préfixe est requis' })
+    .trim()
+    .min(1, 'Le préfixe est requis')
+    .max(90, 'Le préfixe ne peut pas dépasser 90 caractères'),
+  count: z.coerce
+    .number({ message: 'Le nombre de stations est requis' })
+    .int('Le nombre de stations doit être un entier')
+    .min(1, 'Il faut créer au moins 1 station')
+    .max(100, 'Pas plus de 100 stations à la fois'),
+  start: z.preprocess(
+    val => (val === '' || val === undefined ? 1 : val),
+    z.coerce
+      .number()
+      .int('Le premier numéro doit être un entier')
+      .min(0, 'Le premier numéro ne peut pas être négatif')
+  ),
+  status: stationSchema.shape.status.default('available'),
+  isPremium: stationSchema.shape.isPremium,
+  zone: stationSchema.shape.zone,
+  row: stationSchema.shape.row,
+  // Seats numbered from here, one per station, when given
+  firstSeat: z.preprocess(
+    emptyToNull,
+    z.coerce
+      .number()
+      .int('Le premier siège doit être un entier')
+      .min(1, 'Le premier siège doit être supérieur à 0')
+      .nullable()
+      .optional()
+  ),
+})
+
+// Checkboxes send nothing, one value or a list
+export const templateApplySchema = z.object({
+  stationIds: z.preprocess(
+    val =>
+      (Array.isArray(val) ? val : [val]).filter(
+        id => id !== undefined && id !== ''
+      ),
+    z
+      .array(z.coerce.number().int("L'ID de la station doit être un entier"), {
+        message: 'La liste des stations est invalide',
+      })
+      .min(1, 'Sélectionnez au moins une station')
+      .max(200, 'Pas plus de 200 stations à la fois')
+  ),
+})
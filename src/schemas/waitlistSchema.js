@@ -0,0 +1,56 @@
+import { z } from 'zod'
+
+export const WAITLIST_STATUSES = [
+  'waiting',
+  'offered',
+  'accepted',
+  'declined',
+  'expired',
+  'cancelled',
+]
+
+// Helper for optional text filters (empty string → undefined)
+const optionalText = z.preprocess(
+  val => (val === '' ? undefined : val),
+  z.string().trim().max(100).optional()
+)
+
+// Helper for optional query filters (empty string → undefined)
+const optionalFilter = schema =>
+  z.preprocess(val => (val === '' ? undefined : val), schema.optional())
+
+// Without stationId, the entry targets any station matching the criteria
+export const waitlistSchema = z
+  .object({
+    stationId: z.preprocess(
+      val => (val === '' || val === null ? undefined : val),
+      z.coerce.number().int("L'ID de la station doit être un entier").optional()
+    ),
+    criteria: z
+      .object({
+        cpu: optionalText,
+        gpu: optionalText,
+        ram: optionalText,
+        storage: optionalText,
+      })
+      .optional(),
+    startTime: z.coerce.date({ message: "L'heure de début est invalide" }),
+    endTime: z.coerce.date({ message: "L'heure de fin est invalide" }),
+  })
+  .refine(data => data.startTime < data.endTime, {
+    message: "L'heure de début doit être avant l'heure de fin",
+  })
+
+export const waitlistQuerySchema = z.object({
+  status: optionalFilter(
+    z.enum(WAITLIST_STATUSES, {
+      message: `Le statut doit être: ${WAITLIST_STATUSES.join(', ')}`,
+    })
+  ),
+  // Only applied for staff, participants always see their own entries
+  userId: optionalFilter(
+    z.coerce
+      .number({ message: "L'ID de l'utilisateur doit être un entier" })
+      .int("L'ID de l'utilisateur doit être un entier")
+  ),
+})
@@ -6,12 +6,15 @@ import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { env } from './config/env.js'
 import prisma from './config/prisma.js'
+import * as waitlistService from './services/waitlistService.js'
 import apiRoutes from './routes/index.js'
 import viewRoutes from './routes/viewRoutes.js'
 import viewAuthRoutes from './routes/viewAuthRoutes.js'
 import viewAdminRoutes from './routes/viewAdminRoutes.js'
 import { swaggerSpec } from './config/swagger.js'
 import { icon } from './utils/icons.js'
+import { toDateInput, toDateTimeInput } from './utils/dates.js'
+import { REQUIREMENTS } from './utils/gameRequirements.js'
 import { logger } from './middlewares/logger.js'
 import { notFound } from './middlewares/notFound.js'
 import { errorHandler } from './middlewares/errorHandler.js'
@@ -25,8 +28,12 @@ const app = express()
 app.set('view engine', 'ejs')
 app.set('views', join(__dirname, 'views'))
 
-// Make icon helper available in all templates
+// Make icon and date helpers available in all templates
 app.locals.icon = icon
+app.locals.toDateInput = toDateInput
+app.locals.toDateTimeInput = toDateTimeInput
+// Game hardware requirements, for the game form and compatibility lists
+app.locals.requirements = REQUIREMENTS
 
 // Serve static files
 app.use(express.static(join(__dirname, 'public')))
@@ -97,3 +104,10 @@ app.listen(env.PORT, async () => {
   console.log(chalk.cyan(`\nMode: ${env.NODE_ENV}`))
   console.log(chalk.cyan(`Server started on http://localhost:${env.PORT}\n`))
 })
+
+// Expire waitlist offers past their deadline (passes the slot to the next waiter)
+setInterval(() => {
+  waitlistService.expireStaleOffers().catch(error => {
+    console.error(chalk.red('Waitlist expiry failed:'), error.message)
+  })
+}, 60 * 1000).unref()
@@ -0,0 +1,116 @@
+import crypto from 'crypto'
+import prisma from '../config/prisma.js'
+import { env } from '../config/env.js'
+import * as stationService from './stationService.js'
+
+// A machine is offline once this long without a heartbeat
+const OFFLINE_AFTER_MS =
+  env.AGENT_HEARTBEAT_SECONDS * env.AGENT_MISSED_HEARTBEATS * 1000
+
+/**
+ * Find the station an agent token belongs to
+ * @param {string} token - Token sent by the agent
+ * @returns {Promise<Object|null>} Station, or null for an unknown token
+ */
+export const findStationByToken = token => {
+  if (typeof token !== 'string' || token === '') {
+    return Promise.resolve(null)
+  }
+  return prisma.station.findUnique({ where: { agentToken: token } })
+}
+
+/**
+ * Create or replace the agent token of a station
+ * The agent running with the previous token is refused from now on
+ * @param {number} id - Station ID
+ * @returns {Promise<string>} New token
+ * @throws {Error} If station not found (status 404)
+ */
+export const rotateToken = async id => {
+  await stationService.findById(id)
+
+  const agentToken = crypto.randomBytes(24).toString('hex')
+  await prisma.station.update({ where: { id }, data: { agentToken } })
+  return agentToken
+}
+
+/**
+ * Describe the machine state from its latest heartbeat
+ * - online: heartbeat received recently and the machine is not shutting down
+ * - offline: shut down, or AGENT_MISSED_HEARTBEATS heartbeats missed
+ * - unknown: no agent ever reported for this station
+ * @param {Object|null} heartbeat - Latest heartbeat
+ * @param {Date} [at] - Reference time
+ * @returns {Object} state and lastSeenAt, plus the reported fields while online
+ */
+export const machineState = (heartbeat, at = new Date()) => {
+  if (!heartbeat) {
+    return { state: 'unknown', lastSeenAt: null }
+  }
+
+  const missed = at - heartbeat.receivedAt > OFFLINE_AFTER_MS
+  if (!heartbeat.online || missed) {
+    return { state: 'offline', lastSeenAt: heartbeat.receivedAt }
+  }
+
+  return {
+    state: 'online',
+    lastSeenAt: heartbeat.receivedAt,
+    loggedInUser: heartbeat.loggedInUser,
+    runningGame: heartbeat.runningGame,
+    cpuTempC: heartbeat.cpuTempC,
+    gpuTempC: heartbeat.gpuTempC,
+    uptimeSeconds: heartbeat.uptimeSeconds,
+  }
+}
+
+/**
+ * Store a heartbeat and drop the ones beyond AGENT_HISTORY_SIZE
+ * @param {number} stationId - Station of the agent
+ * @param {Object} data - Validated heartbeat (see heartbeatSchema)
+ * @returns {Promise<Object>} Machine state, with the interval to send the
+ * next heartbeat at (nextHeartbeatSeconds)
+ */
+export const recordHeartbeat = async (stationId, data) => {
+  const heartbeat = await prisma.stationHeartbeat.create({
+    data: { ...data, stationId },
+  })
+
+  const [oldestKept] = await prisma.stationHeartbeat.findMany({
+    where: { stationId },
+    orderBy: { id: 'desc' },
+    skip: env.AGENT_HISTORY_SIZE - 1,
+    take: 1,
+    select: { id: true },
+  })
+
+  if (oldestKept) {
+    await prisma.stationHeartbeat.deleteMany({
+      where: { stationId, id: { lt: oldestKept.id } },
+    })
+  }
+
+  return {
+    ...machineState(heartbeat),
+    nextHeartbeatSeconds: env.AGENT_HEARTBEAT_SECONDS,
+  }
+}
+
+/**
+ * Get the machine state of a station and its latest heartbeats
+ * @param {number} id - Station ID
+ * @param {number} [limit] - Heartbeats to return, newest first
+ * @returns {Promise<Object>} Machine state with history
+ * @throws {Error} If station not found (status 404)
+ */
+export const findMachine = async (id, limit = env.AGENT_HISTORY_SIZE) => {
+  await stationService.findById(id)
+
+  const history = await prisma.stationHeartbeat.findMany({
+    where: { stationId: id },
+    orderBy: { id: 'desc' },
+    take: limit,
+  })
+
+  return { ...machineState(history[0] ?? null), history }
+}
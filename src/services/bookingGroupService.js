@@ -0,0 +1,383 @@
+import prisma from '../config/prisma.js'
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+} from '../config/bookingLifecycle.js'
+import { canManage, isStaff } from '../middlewares/policy.js'
+import * as bookingService from './bookingService.js'
+import { assertPlayable } from './gameService.js'
+
+const groupInclude = {
+  captain: { select: { id: true, username: true } },
+  bookings: {
+    include: { station: true },
+    orderBy: { stationId: 'asc' },
+  },
+}
+
+/**
+ * Order stations the way they sit in the venue (zone, row, seat)
+ * @param {Object} a - Station
+ * @param {Object} b - Station
+ * @returns {number}
+ */
+const byLocation = (a, b) =>
+  String(a.zone ?? '').localeCompare(String(b.zone ?? '')) ||
+  String(a.row ?? '').localeCompare(String(b.row ?? '')) ||
+  (a.seat ?? 0) - (b.seat ?? 0) ||
+  a.id - b.id
+
+/**
+ * Check if stations are on consecutive seats of a single row
+ * @param {Array} stations - Stations sorted by seat
+ * @returns {boolean}
+ */
+const areAdjacent = stations =>
+  stations.every(
+    (station, index) =>
+      station.seat !== null &&
+      (index === 0 || station.seat === stations[index - 1].seat + 1)
+  )
+
+/**
+ * Check if a set of stations satisfies a placement constraint
+ * @param {Array} stations - Stations sorted by location
+ * @param {string} placement - any, zone or row
+ * @returns {boolean}
+ */
+const satisfiesPlacement = (stations, placement) => {
+  if (placement === 'any') {
+    return true
+  }
+
+  const [first] = stations
+  const sameZone = stations.every(
+    station => station.zone !== null && station.zone === first.zone
+  )
+  if (placement === 'zone') {
+    return sameZone
+  }
+
+  return (
+    sameZone &&
+    stations.every(
+      station => station.row !== null && station.row === first.row
+    ) &&
+    areAdjacent(stations)
+  )
+}
+
+/**
+ * Pick the first set of free stations satisfying a placement constraint
+ * @param {Array} free - Free stations sorted by location
+ * @param {number} count - Number of stations wanted
+ * @param {string} placement - any, zone or row
+ * @returns {Array|null} Stations, or null if no set fits
+ */
+const pickStations = (free, count, placement) => {
+  for (let index = 0; index + count <= free.length; index++) {
+    const candidate = free.slice(index, index + count)
+    if (satisfiesPlacement(candidate, placement)) {
+      return candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Get all groups, the captain's own ones or everyone's for staff
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Array>}
+ */
+export const findAll = actor => {
+  return prisma.bookingGroup.findMany({
+    where: isStaff(actor) ? {} : { captainId: actor.userId },
+    orderBy: { startTime: 'asc' },
+    include: groupInclude,
+  })
+}
+
+/**
+ * Get a group booking by its ID
+ * @param {number} id - Group ID
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>}
+ * @throws {Error} If group not found (status 404)
+ */
+export const findById = async (id, client = prisma) => {
+  const group = await client.bookingGroup.findUnique({
+    where: { id },
+    include: groupInclude,
+  })
+
+  if (!group) {
+    const error = new Error('Réservation de groupe introuvable')
+    error.status = 404
+    throw error
+  }
+
+  return group
+}
+
+/**
+ * Resolve the stations of a new group inside the transaction
+ * Explicit stations must satisfy the placement, otherwise the first fitting
+ * set of free stations is picked
+ * @param {Object} tx - Transaction client
+ * @param {Object} data - Validated group data
+ * @returns {Promise<Array>} Stations
+ * @throws {Error} If explicit stations break the placement (status 400)
+ * @throws {Error} If a station is not found (status 404)
+ * @throws {Error} If not enough free stations fit the placement (status 409)
+ */
+const resolveStations = async (tx, data) => {
+  const { stationIds, count, placement, startTime, endTime } = data
+
+  if (stationIds) {
+    const stations = await tx.station.findMany({
+      where: { id: { in: stationIds } },
+    })
+
+    if (stations.length !== stationIds.length) {
+      const error = new Error('Station not found')
+      error.status = 404
+      throw error
+    }
+
+    stations.sort(byLocation)
+    if (!satisfiesPlacement(stations, placement)) {
+      const error = new Error(
+        placement === 'row'
+          ? 'Les stations doivent être côte à côte dans la même rangée'
+          : 'Les stations doivent être dans la même zone'
+      )
+      error.status = 400
+      throw error
+    }
+
+    return stations
+  }
+
+  const [stations, taken] = await Promise.all([
+    tx.station.findMany({ where: { status: 'available' } }),
+    tx.booking.findMany({
+      where: {
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        AND: [{ startTime: { lt: endTime } }, { endTime: { gt: startTime } }],
+      },
+      select: { stationId: true },
+    }),
+  ])
+
+  const takenIds = new Set(taken.map(booking => booking.stationId))
+  const free = stations
+    .filter(station => !takenIds.has(station.id))
+    .sort(byLocation)
+  const picked = pickStations(free, count, placement)
+
+  if (!picked) {
+    const error = new Error(
+      `Pas de groupe de ${count} stations libres sur ce créneau (placement : ${placement})`
+    )
+    error.status = 409
+    throw error
+  }
+
+  return picked
+}
+
+/**
+ * Book several stations for the same window, all or nothing
+ * Every booking is owned by the captain; the group counts once in quotas
+ * @param {Object} data - Validated group data (stationIds or count)
+ * @param {number} data.captainId - Captain owning the bookings
+ * @param {Object} [options]
+ * @param {{ role: string }} [options.actor] - User booking, participants
+ * cannot start in the past
+ * @returns {Promise<Object>} Created group with its bookings
+ * @throws {Error} If the window breaks a schedule rule or the placement, or the
+ * group size does not fit the game (status 400)
+ * @throws {Error} If a station or the game is not found (status 404)
+ * @throws {Error} If a station is not bookable or a slot is taken (status 409)
+ * @throws {Error} If the captain exceeds a booking quota (status 422)
+ */
+export const create = async (data, { actor } = {}) => {
+  const { captainId, name, placement, startTime, endTime, gameId } = data
+
+  const groupId = await bookingService.runExclusive(async tx => {
+    const stations = await resolveStations(tx, data)
+
+    if (gameId) {
+      await assertPlayable(tx, gameId, { players: stations.length })
+    }
+
+    const group = await tx.bookingGroup.create({
+      data: { captainId, name, placement, startTime, endTime },
+    })
+
+    for (const station of stations) {
+      const booking = {
+        userId: captainId,
+        stationId: station.id,
+        startTime,
+        endTime,
+        gameId,
+      }
+
+      // Sequential on purpose: each check must see the bookings created before
+      // eslint-disable-next-line no-await-in-loop
+      await bookingService.assertCanReserve(tx, {
+        ...booking,
+        groupId: group.id,
+        actor,
+      })
+      // eslint-disable-next-line no-await-in-loop
+      await tx.booking.create({
+        data: {
+          ...booking,
+          groupId: group.id,
+          status: 'confirmed',
+          confirmedAt: new Date(),
+        },
+      })
+    }
+
+    return group.id
+  })
+
+  return findById(groupId)
+}
+
+/**
+ * Load a group and check the actor may manage it (captain or staff)
+ * @param {number} id - Group ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>}
+ * @throws {Error} If group not found (status 404)
+ * @throws {Error} If actor is neither the captain nor staff (status 403)
+ */
+const findManageable = async (id, actor) => {
+  const group = await findById(id)
+
+  if (!canManage(actor, group, 'captainId')) {
+    const error = new Error('Seul le capitaine peut gérer ce groupe')
+    error.status = 403
+    throw error
+  }
+
+  return group
+}
+
+/**
+ * Push back the end of every active booking of a group, all or nothing
+ * @param {number} id - Group ID
+ * @param {Date} endTime - New end time
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated group
+ * @throws {Error} If the new end is not later or breaks a schedule rule (status 400)
+ * @throws {Error} If group not found (status 404)
+ * @throws {Error} If actor is neither the captain nor staff (status 403)
+ * @throws {Error} If the group has no active booking or a slot is taken (status 409)
+ * @throws {Error} If the captain exceeds a booking quota (status 422)
+ */
+export const extend = async (id, endTime, actor) => {
+  await findManageable(id, actor)
+
+  await bookingService.runExclusive(async tx => {
+    // Read in the transaction: a booking cancelled since must not be extended
+    const group = await findById(id, tx)
+
+    if (endTime <= group.endTime) {
+      const error = new Error(
+        "La nouvelle heure de fin doit être après l'heure de fin actuelle"
+      )
+      error.status = 400
+      throw error
+    }
+
+    const active = group.bookings.filter(booking =>
+      ACTIVE_BOOKING_STATUSES.includes(booking.status)
+    )
+
+    if (active.length === 0) {
+      const error = new Error("Ce groupe n'a plus de réservation active")
+      error.status = 409
+      throw error
+    }
+
+    for (const booking of active) {
+      // eslint-disable-next-line no-await-in-loop
+      await bookingService.assertCanReserve(tx, {
+        userId: booking.userId,
+        stationId: booking.stationId,
+        startTime: booking.startTime,
+        endTime,
+        excludeBookingId: booking.id,
+        groupId: id,
+      })
+      // eslint-disable-next-line no-await-in-loop
+      await tx.booking.update({
+        where: { id: booking.id },
+        data: { endTime, sequence: { increment: 1 } },
+      })
+    }
+
+    await tx.bookingGroup.update({ where: { id }, data: { endTime } })
+  })
+
+  return findById(id)
+}
+
+/**
+ * Cancel every booking of a group that can still be cancelled
+ * Released slots are offered to the waitlist like single cancellations
+ * @param {number} id - Group ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated group
+ * @throws {Error} If group not found (status 404)
+ * @throws {Error} If actor is neither the captain nor staff (status 403)
+ * @throws {Error} If no booking of the group can be cancelled (status 409)
+ */
+export const cancel = async (id, actor) => {
+  await findManageable(id, actor)
+  const rule = BOOKING_TRANSITIONS.cancel
+  const now = new Date()
+
+  // Read in the same transaction as the write, so that a seat checked in
+  // or completed in the meantime is not cancelled
+  const cancelled = await bookingService.runExclusive(async tx => {
+    const cancellable = await tx.booking.findMany({
+      where: { groupId: id, status: { in: rule.from } },
+      select: { id: true },
+    })
+
+    if (cancellable.length === 0) {
+      const error = new Error("Aucune réservation de ce groupe n'est annulable")
+      error.status = 409
+      throw error
+    }
+
+    const ids = cancellable.map(booking => booking.id)
+    await tx.booking.updateMany({
+      where: { id: { in: ids } },
+      data: {
+        status: rule.to,
+        [rule.timestamp]: now,
+        sequence: { increment: 1 },
+      },
+    })
+
+    return tx.booking.findMany({
+      where: { id: { in: ids } },
+      orderBy: { id: 'asc' },
+    })
+  })
+
+  // Sequential: listeners may hand each slot to the next waiter in line
+  for (const booking of cancelled) {
+    // eslint-disable-next-line no-await-in-loop
+    await bookingService.notifySlotReleased(booking)
+  }
+
+  return findById(id)
+}
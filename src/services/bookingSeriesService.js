@@ -0,0 +1,285 @@
+import prisma from '../config/prisma.js'
+import { BOOKING_TRANSITIONS } from '../config/bookingLifecycle.js'
+import { canManage, isStaff } from '../middlewares/policy.js'
+import * as bookingService from './bookingService.js'
+
+const HOUR = 60 * 60 * 1000
+
+// Upper bound of occurrences in a single series
+const MAX_OCCURRENCES = 50
+
+const seriesInclude = {
+  user: { select: { id: true, username: true } },
+  station: true,
+  bookings: { orderBy: { startTime: 'asc' } },
+}
+
+/**
+ * Expand a recurrence rule into occurrence windows
+ * Daily occurrences keep the same local time across DST changes
+ * @param {Object} rule - Validated series data
+ * @param {string} rule.frequency - daily or hourly
+ * @param {number} rule.interval - Days or hours between two occurrences
+ * @param {Date} rule.until - No occurrence starts after this date
+ * @param {Date} rule.startTime - Start of the first occurrence
+ * @param {Date} rule.endTime - End of the first occurrence
+ * @returns {Array<{ startTime: Date, endTime: Date }>} Up to MAX_OCCURRENCES + 1
+ */
+const expandOccurrences = rule => {
+  const duration = rule.endTime - rule.startTime
+  const start = new Date(rule.startTime)
+  const occurrences = []
+
+  while (start <= rule.until && occurrences.length <= MAX_OCCURRENCES) {
+    occurrences.push({
+      startTime: new Date(start),
+      endTime: new Date(start.getTime() + duration),
+    })
+
+    if (rule.frequency === 'daily') {
+      start.setDate(start.getDate() + rule.interval)
+    } else {
+      start.setTime(start.getTime() + rule.interval * HOUR)
+    }
+  }
+
+  return occurrences
+}
+
+/**
+ * Get all series, the owner's own ones or everyone's for staff
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Array>}
+ */
+export const findAll = actor => {
+  return prisma.bookingSeries.findMany({
+    where: isStaff(actor) ? {} : { userId: actor.userId },
+    orderBy: { startTime: 'asc' },
+    include: seriesInclude,
+  })
+}
+
+/**
+ * Get a recurring series by its ID
+ * @param {number} id - Series ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If series not found (status 404)
+ */
+export const findById = async id => {
+  const series = await prisma.bookingSeries.findUnique({
+    where: { id },
+    include: seriesInclude,
+  })
+
+  if (!series) {
+    const error = new Error('Série de réservations introuvable')
+    error.status = 404
+    throw error
+  }
+
+  return series
+}
+
+/**
+ * Book every occurrence of a recurrence rule, all or nothing
+ * Every occurrence is checked for availability up front so that all the
+ * conflicting ones are reported at once
+ * @param {Object} data - Validated series data
+ * @param {number} data.userId - Owner of the bookings
+ * @param {Object} [options]
+ * @param {{ role: string }} [options.actor] - User booking, participants
+ * cannot start in the past
+ * @returns {Promise<Object>} Created series with its bookings
+ * @throws {Error} If the rule yields too many occurrences or one breaks a schedule rule (status 400)
+ * @throws {Error} If station or game not found (status 404)
+ * @throws {Error} If the station is not bookable or occurrences are taken (status 409, details.conflicts)
+ * @throws {Error} If the owner exceeds a booking quota (status 422)
+ */
+export const create = async (data, { actor } = {}) => {
+  const {
+    userId,
+    stationId,
+    gameId,
+    frequency,
+    interval,
+    until,
+    startTime,
+    endTime,
+  } = data
+  const occurrences = expandOccurrences(data)
+
+  if (occurrences.length > MAX_OCCURRENCES) {
+    const error = new Error(
+      `Une série compte au plus ${MAX_OCCURRENCES} occurrences`
+    )
+    error.status = 400
+    throw error
+  }
+
+  const seriesId = await bookingService.runExclusive(async tx => {
+    const availability = await Promise.all(
+      occurrences.map(occurrence =>
+        bookingService.isStationAvailable(
+          stationId,
+          occurrence.startTime,
+          occurrence.endTime,
+          null,
+          tx
+        )
+      )
+    )
+    const conflicts = occurrences.filter((_, index) => !availability[index])
+
+    if (conflicts.length > 0) {
+      const error = new Error(
+        `${conflicts.length} occurrence(s) sur ${occurrences.length} déjà réservée(s)`
+      )
+      error.status = 409
+      error.details = { conflicts }
+      throw error
+    }
+
+    const series = await tx.bookingSeries.create({
+      data: {
+        userId,
+        stationId,
+        frequency,
+        interval,
+        until,
+        startTime,
+        endTime,
+      },
+    })
+
+    for (const occurrence of occurrences) {
+      const booking = { userId, stationId, gameId, ...occurrence }
+
+      try {
+        // Sequential on purpose: quotas must see the occurrences created before
+        // eslint-disable-next-line no-await-in-loop
+        await bookingService.assertCanReserve(tx, {
+          ...booking,
+          seriesId: series.id,
+          actor,
+        })
+      } catch (error) {
+        error.details = { ...error.details, occurrence }
+        throw error
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await tx.booking.create({
+        data: {
+          ...booking,
+          seriesId: series.id,
+          status: 'confirmed',
+          confirmedAt: new Date(),
+        },
+      })
+    }
+
+    return series.id
+  })
+
+  return findById(seriesId)
+}
+
+/**
+ * Load a series and check the actor may manage it (owner or staff)
+ * @param {number} id - Series ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>}
+ * @throws {Error} If series not found (status 404)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ */
+const findManageable = async (id, actor) => {
+  const series = await findById(id)
+
+  if (!canManage(actor, series)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  return series
+}
+
+/**
+ * Cancel every occurrence of a series that can still be cancelled
+ * Occurrences already played or in progress are kept
+ * @param {number} id - Series ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated series
+ * @throws {Error} If series not found (status 404)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ * @throws {Error} If no occurrence can be cancelled (status 409)
+ */
+export const cancel = async (id, actor) => {
+  await findManageable(id, actor)
+  const rule = BOOKING_TRANSITIONS.cancel
+  const now = new Date()
+
+  // Read in the same transaction as the write, so that an occurrence checked
+  // in or completed in the meantime is not cancelled
+  const cancelled = await bookingService.runExclusive(async tx => {
+    const cancellable = await tx.booking.findMany({
+      where: { seriesId: id, status: { in: rule.from } },
+      select: { id: true },
+    })
+
+    if (cancellable.length === 0) {
+      const error = new Error(
+        "Aucune occurrence de cette série n'est annulable"
+      )
+      error.status = 409
+      throw error
+    }
+
+    const ids = cancellable.map(booking => booking.id)
+    await tx.booking.updateMany({
+      where: { id: { in: ids } },
+      data: {
+        status: rule.to,
+        [rule.timestamp]: now,
+        sequence: { increment: 1 },
+      },
+    })
+
+    return tx.booking.findMany({
+      where: { id: { in: ids } },
+      orderBy: { id: 'asc' },
+    })
+  })
+
+  // Sequential: listeners may hand each slot to the next waiter in line
+  for (const booking of cancelled) {
+    // eslint-disable-next-line no-await-in-loop
+    await bookingService.notifySlotReleased(booking)
+  }
+
+  return findById(id)
+}
+
+/**
+ * Cancel a single occurrence of a series
+ * @param {number} id - Series ID
+ * @param {number} bookingId - Booking of the occurrence
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated series
+ * @throws {Error} If series not found or the booking is not part of it (status 404)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ * @throws {Error} If the occurrence can no longer be cancelled (status 409)
+ */
+export const cancelOccurrence = async (id, bookingId, actor) => {
+  const series = await findManageable(id, actor)
+
+  if (!series.bookings.some(booking => booking.id === bookingId)) {
+    const error = new Error("Cette réservation n'appartient pas à la série")
+    error.status = 404
+    throw error
+  }
+
+  await bookingService.transition(bookingId, 'cancel', actor)
+
+  return findById(id)
+}
@@ -1,30 +1,79 @@
-import { treeifyError } from "zod";
-import prisma from "../config/prisma.js";
+import prisma from '../config/prisma.js'
+import { canManage, isOwner, isStaff } from '../middlewares/policy.js'
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  EDITABLE_BOOKING_STATUSES,
+  RELEASED_BOOKING_STATUSES,
+} from '../config/bookingLifecycle.js'
+import { validateBookingWindow } from './scheduleService.js'
+import { assertWithinQuotas } from './quotaService.js'
+import { assertPlayable } from './gameService.js'
+
+const MINUTE = 60 * 1000
+
+// Relations returned with bookings (never expose user credentials)
+const bookingInclude = {
+  user: { select: { id: true, username: true } },
+  station: true,
+  game: { select: { id: true, name: true } },
+}
 
 /**
  * Count total bookings
  * @returns {Promise<number>}
  */
 export const count = () => {
-  return prisma.booking.count();
-};
+  return prisma.booking.count()
+}
+
+/**
+ * Build the Prisma filter of a booking list
+ * @param {Object} filters - Filters
+ * @param {number} [filters.userId] - Filter by owner
+ * @param {number} [filters.stationId] - Filter by station
+ * @param {string|Array<string>} [filters.status] - Filter by status(es)
+ * @param {Date} [filters.from] - Bookings ending after this date
+ * @param {Date} [filters.to] - Bookings starting before this date
+ * @returns {Object}
+ */
+const bookingWhere = filters => {
+  const where = {}
+  if (filters.userId) {
+    where.userId = filters.userId
+  }
+  if (filters.stationId) {
+    where.stationId = filters.stationId
+  }
+  if (filters.status?.length) {
+    where.status = { in: [filters.status].flat() }
+  }
+  if (filters.to) {
+    where.startTime = { lt: filters.to }
+  }
+  if (filters.from) {
+    where.endTime = { gt: filters.from }
+  }
+  return where
+}
 
 /**
- * Get all bookings with filters and pagination
- * @param {Object} filters - Optional filters
- * @param {string} [filters.status] - Filter by status
+ * Get all bookings with filters, sorting and pagination
+ * @param {Object} [filters] - Validated query (see bookingQuerySchema)
+ * @param {number} [filters.userId] - Filter by owner
+ * @param {number} [filters.stationId] - Filter by station
+ * @param {Array<string>} [filters.status] - Filter by statuses
+ * @param {Date} [filters.from] - Bookings ending after this date
+ * @param {Date} [filters.to] - Bookings starting before this date
+ * @param {string} [filters.sort] - Sort field
+ * @param {string} [filters.order] - Sort direction (asc, desc)
  * @param {number} [filters.limit] - Max number of results
  * @param {number} [filters.offset] - Pagination offset
  * @returns {Promise<{ total: number, count: number, bookings: Array }>}
  */
 export const findAll = async (filters = {}) => {
-  const limit = parseInt(filters.limit) || 10;
-  const offset = parseInt(filters.offset) || 0;
-
-  const where = {};
-  if (filters.status) {
-    where.status = { equals: filters.status, mode: "insensitive" };
-  }
+  const { sort = 'startTime', order = 'desc', limit = 10, offset = 0 } = filters
+  const where = bookingWhere(filters)
 
   const [total, bookings] = await Promise.all([
     prisma.booking.count({ where }),
@@ -32,128 +81,550 @@ export const findAll = async (filters = {}) => {
       where,
       skip: offset,
       take: limit,
-      orderBy: { startTime: "desc" },
-      include: {
-        user: true,
-        station: true,
-      },
+      // ID as tie-breaker keeps pages stable
+      orderBy: [{ [sort]: order }, { id: order }],
+      include: bookingInclude,
     }),
-  ]);
+  ])
 
-  return { total, count: bookings.length, bookings };
-};
+  return { total, count: bookings.length, bookings }
+}
 
 /**
- * Get all games without pagination (for views)
+ * Get all bookings without pagination (for views)
+ * @param {Object} [filters] - Optional filters (see bookingWhere)
  * @returns {Promise<Array>}
  */
-export const findAllSimple = () => {
+export const findAllSimple = (filters = {}) => {
   return prisma.booking.findMany({
+    where: bookingWhere(filters),
     orderBy: { startTime: 'asc' },
-    include: {
-      user: true,
-      station: true,
-    },
-  });
-};
+    include: bookingInclude,
+  })
+}
 
 /**
  * Get a booking by its ID
  * @param {number} id - Booking ID
+ * @param {Object} [client] - Prisma client or transaction client
  * @returns {Promise<Object>}
  * @throws {Error} If booking not found (status 404)
  */
-export const findById = async (id) => {
-  const booking = await prisma.booking.findUnique({
+export const findById = async (id, client = prisma) => {
+  const booking = await client.booking.findUnique({
     where: { id },
-    include: {
-      user: true,
-      station: true,
-    },
-  });
+    include: bookingInclude,
+  })
 
   if (!booking) {
-    const error = new Error("Booking not found");
-    error.status = 404;
-    throw error;
+    const error = new Error('Booking not found')
+    error.status = 404
+    throw error
   }
 
-  return booking;
+  return booking
 }
 
 /**
  * Verify that a station is available
+ * Only active bookings (pending, confirmed, checked in) hold the slot
  * @param {number} stationId - Station ID
  * @param {Date} startTime - Desired start time
  * @param {Date} endTime - Desired end time
+ * @param {number} [excludeBookingId] - Booking to ignore (when moving it)
+ * @param {Object} [client] - Prisma client or transaction client
  * @returns {Promise<boolean>}
  */
-export const isStationAvailable = async (stationId, startTime, endTime, excludeBookingId = null) => {
-  const overlappingBookings = await prisma.booking.findMany({
+export const isStationAvailable = async (
+  stationId,
+  startTime,
+  endTime,
+  excludeBookingId = null,
+  client = prisma
+) => {
+  const overlappingBookings = await client.booking.findMany({
     where: {
       stationId,
-      AND: [
-        { startTime: { lt: endTime } },
-        { endTime: { gt: startTime } },
-      ],
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      AND: [{ startTime: { lt: endTime } }, { endTime: { gt: startTime } }],
       ...(excludeBookingId && { NOT: { id: excludeBookingId } }),
     },
-  });
-  return overlappingBookings.length === 0;
-};
+  })
+  return overlappingBookings.length === 0
+}
+
+/**
+ * Split a day into slots of a station, for the booking form
+ * - free: bookable now
+ * - taken: held by an active booking
+ * - closed: in the past or outside the schedule rules
+ * @param {number} stationId - Station ID
+ * @param {Date} day - Day to split (local midnight)
+ * @param {number} [slotMinutes] - Slot size
+ * @returns {Promise<Array<{ start: Date, end: Date, state: string }>>}
+ */
+export const findStationSlots = async (stationId, day, slotMinutes = 60) => {
+  const dayEnd = new Date(day)
+  dayEnd.setDate(dayEnd.getDate() + 1)
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      stationId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      AND: [{ startTime: { lt: dayEnd } }, { endTime: { gt: day } }],
+    },
+    select: { startTime: true, endTime: true },
+  })
+
+  const now = new Date()
+  const slots = []
+  for (
+    let start = new Date(day);
+    start < dayEnd;
+    start = new Date(start.getTime() + slotMinutes * MINUTE)
+  ) {
+    const end = new Date(start.getTime() + slotMinutes * MINUTE)
+    const taken = bookings.some(
+      booking => booking.startTime < end && booking.endTime > start
+    )
+    const closed = start < now || validateBookingWindow(start, end).length > 0
+
+    let state = 'free'
+    if (taken) {
+      state = 'taken'
+    } else if (closed) {
+      state = 'closed'
+    }
+
+    slots.push({ start, end, state })
+  }
+
+  return slots
+}
+
+/**
+ * Build the error returned when a slot is already taken
+ * @returns {Error} Error with status 409
+ */
+const slotConflictError = () => {
+  const error = new Error('Station non disponible pour ce créneau')
+  error.status = 409
+  return error
+}
+
+/**
+ * Translate the database overlap guard (see the Booking triggers migration)
+ * into a 409, other errors are returned unchanged
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {Error}
+ */
+const toSlotConflict = error => {
+  const overlap = String(error?.message).includes('BOOKING_OVERLAP')
+  return overlap ? slotConflictError() : error
+}
+
+/**
+ * Check the booking window against the event schedule and the station state
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} stationId - Station ID
+ * @param {Date} startTime - Booking start
+ * @param {Date} endTime - Booking end
+ * @param {{ role: string }} [actor] - User booking (see validateBookingWindow)
+ * @returns {Promise<void>}
+ * @throws {Error} If the window breaks a schedule rule (status 400)
+ * @throws {Error} If station not found (status 404)
+ * @throws {Error} If the station is not available for booking (status 409)
+ */
+const assertBookable = async (client, stationId, startTime, endTime, actor) => {
+  const errors = validateBookingWindow(startTime, endTime, actor)
+  if (errors.length > 0) {
+    const error = new Error('Créneau de réservation invalide')
+    error.status = 400
+    error.errors = errors
+    throw error
+  }
+
+  const station = await client.station.findUnique({ where: { id: stationId } })
+
+  if (!station) {
+    const error = new Error('Station not found')
+    error.status = 404
+    throw error
+  }
+
+  if (station.status !== 'available') {
+    const error = new Error(
+      `La station "${station.name}" n'est pas réservable (statut : ${station.status})`
+    )
+    error.status = 409
+    throw error
+  }
+}
+
+/**
+ * Run a check-and-write booking operation atomically
+ * Transactions are serialized on the SQLite connection, and the database
+ * triggers reject any overlap that would still slip through
+ * @param {Function} operation - (tx) => Promise<any>
+ * @returns {Promise<any>}
+ */
+export const runExclusive = async operation => {
+  try {
+    return await prisma.$transaction(operation)
+  } catch (error) {
+    throw toSlotConflict(error)
+  }
+}
+
+// Listeners notified when a booking releases its slot (cancel, no-show)
+const slotReleasedListeners = []
+
+/**
+ * Register a listener called when a booking releases its slot
+ * Listener errors are logged and never fail the transition itself
+ * @param {Function} listener - (booking) => Promise<void>
+ */
+export const onSlotReleased = listener => {
+  slotReleasedListeners.push(listener)
+}
+
+/**
+ * Notify the slot released listeners about a booking
+ * @param {Object} booking - Booking that was cancelled, marked no-show or
+ * completed before its end
+ * @returns {Promise<void>}
+ */
+export const notifySlotReleased = async booking => {
+  await Promise.all(
+    slotReleasedListeners.map(listener =>
+      Promise.resolve(listener(booking)).catch(error =>
+        console.error('Slot released listener failed:', error.message)
+      )
+    )
+  )
+}
+
+/**
+ * Check that a booking request can take its slot: schedule rules, station
+ * state, game, overlapping bookings and the owner's quotas
+ * Must run inside runExclusive for the check to hold until the write
+ * @param {Object} client - Transaction client
+ * @param {Object} request - See quotaService.checkQuotas
+ * @param {number} [request.gameId] - Game played during the booking
+ * @param {{ role: string }} [request.actor] - User booking, participants
+ * cannot start in the past
+ * @returns {Promise<void>}
+ * @throws {Error} If the window breaks a schedule rule (status 400)
+ * @throws {Error} If station or game not found (status 404)
+ * @throws {Error} If the station is not bookable, the game is not playable on
+ * it or the slot is taken (status 409)
+ * @throws {Error} If the owner exceeds a booking quota (status 422)
+ */
+export const assertCanReserve = async (client, request) => {
+  const { stationId, startTime, endTime, excludeBookingId = null } = request
+
+  await assertBookable(client, stationId, startTime, endTime, request.actor)
+
+  if (request.gameId) {
+    await assertPlayable(client, request.gameId, { stationId })
+  }
+
+  const available = await isStationAvailable(
+    stationId,
+    startTime,
+    endTime,
+    excludeBookingId,
+    client
+  )
+  if (!available) {
+    throw slotConflictError()
+  }
+
+  await assertWithinQuotas(request, client)
+}
 
 /**
  * Create a new booking
+ * The availability check and the insert happen in the same transaction
  * @param {Object} data - Booking data
+ * @param {Object} [options]
+ * @param {string} [options.status] - Initial status (confirmed or pending)
+ * @param {{ role: string }} [options.actor] - User booking, participants
+ * cannot start in the past
  * @returns {Promise<Object>} Created booking
+ * @throws {Error} If the window breaks a schedule rule (status 400)
+ * @throws {Error} If the station is not bookable or the slot is taken (status 409)
+ * @throws {Error} If the owner exceeds a booking quota (status 422)
  */
-export const create = async (data) => {
-  const available = await isStationAvailable(data.stationId, data.startTime, data.endTime);
-  if (!available) {
-    const error = new Error('Station non disponible pour ce créneau');
-    error.status = 409;
-    throw error;
-  }
-  return prisma.booking.create({ data });
-};
+export const create = (data, { status = 'confirmed', actor } = {}) => {
+  return runExclusive(async tx => {
+    await assertCanReserve(tx, { ...data, actor })
 
-/** 
- * Update a booking
+    return tx.booking.create({
+      data: {
+        ...data,
+        status,
+        confirmedAt: status === 'confirmed' ? new Date() : null,
+      },
+    })
+  })
+}
+
+/**
+ * Update a booking (time and station only, status goes through transitions)
+ * The availability check and the update happen in the same transaction
  * @param {number} id - Booking ID
  * @param {Object} data - New data
+ * @param {Object} [options]
+ * @param {{ role: string }} [options.actor] - User moving it, participants
+ * cannot move it into the past
  * @returns {Promise<Object>} Updated booking
+ * @throws {Error} If the window breaks a schedule rule (status 400)
  * @throws {Error} If booking not found (status 404)
+ * @throws {Error} If booking can no longer be edited or the slot is taken (status 409)
+ * @throws {Error} If the owner exceeds a booking quota (status 422)
  */
-export const update = async (id, data) => {
-  const booking = await findById(id);
+export const update = (id, data, { actor } = {}) => {
+  return runExclusive(async tx => {
+    const booking = await findById(id, tx)
 
-  const available = await isStationAvailable(
-    data.stationId ?? booking.stationId,
-    data.startTime ?? booking.startTime,
-    data.endTime ?? booking.endTime,
-    id
-  );
+    if (!EDITABLE_BOOKING_STATUSES.includes(booking.status)) {
+      const error = new Error(
+        `Une réservation au statut "${booking.status}" ne peut plus être modifiée`
+      )
+      error.status = 409
+      throw error
+    }
 
-  if (!available) {
-    const error = new Error('Station non disponible pour ce créneau');
-    error.status = 409;
-    throw error;
+    const stationId = data.stationId ?? booking.stationId
+    const startTime = data.startTime ?? booking.startTime
+    const endTime = data.endTime ?? booking.endTime
+
+    await assertCanReserve(tx, {
+      userId: data.userId ?? booking.userId,
+      stationId,
+      startTime,
+      endTime,
+      excludeBookingId: id,
+      groupId: booking.groupId,
+      seriesId: booking.seriesId,
+      gameId: data.gameId ?? booking.gameId,
+      actor,
+    })
+
+    return tx.booking.update({
+      where: { id },
+      data: { ...data, sequence: { increment: 1 } },
+    })
+  })
+}
+
+/**
+ * Find the first window of a given length left free on a station
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} stationId - Station ID
+ * @param {Date} after - Earliest start
+ * @param {number} minutes - Window length
+ * @param {number} excludeBookingId - Booking to ignore (the one being extended)
+ * @returns {Promise<{ startTime: Date, endTime: Date }>}
+ */
+const findNextFreeSlot = async (
+  client,
+  stationId,
+  after,
+  minutes,
+  excludeBookingId
+) => {
+  const bookings = await client.booking.findMany({
+    where: {
+      stationId,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      endTime: { gt: after },
+      NOT: { id: excludeBookingId },
+    },
+    orderBy: { startTime: 'asc' },
+  })
+
+  let start = after
+  for (const booking of bookings) {
+    if (booking.startTime.getTime() >= start.getTime() + minutes * MINUTE) {
+      break
+    }
+    if (booking.endTime > start) {
+      start = booking.endTime
+    }
   }
 
-  return prisma.booking.update({
-    where: { id },
-    data,
-  });
-};
+  return {
+    startTime: start,
+    endTime: new Date(start.getTime() + minutes * MINUTE),
+  }
+}
+
+/**
+ * Push back the end of a booking, approved at once if the station stays free
+ * Unlike update, sessions in progress (checked in) can be extended
+ * @param {number} id - Booking ID
+ * @param {number} minutes - Minutes to add
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Extended booking
+ * @throws {Error} If the new end breaks a schedule rule (status 400)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ * @throws {Error} If booking not found (status 404)
+ * @throws {Error} If the booking is over, or the station is taken right after (status 409, details.nextFreeSlot)
+ * @throws {Error} If the owner exceeds a booking quota (status 422)
+ */
+export const extend = (id, minutes, actor) => {
+  return runExclusive(async tx => {
+    // Read in the transaction: a concurrent cancel must not be extended
+    const booking = await findById(id, tx)
+
+    if (!canManage(actor, booking)) {
+      const error = new Error('Accès interdit')
+      error.status = 403
+      throw error
+    }
+
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      const error = new Error(
+        `Une réservation au statut "${booking.status}" ne peut pas être prolongée`
+      )
+      error.status = 409
+      throw error
+    }
+
+    const endTime = new Date(booking.endTime.getTime() + minutes * MINUTE)
+    const free = await isStationAvailable(
+      booking.stationId,
+      booking.endTime,
+      endTime,
+      id,
+      tx
+    )
+
+    if (!free) {
+      const error = new Error(
+        'La station est réservée juste après, prolongation impossible'
+      )
+      error.status = 409
+      error.details = {
+        nextFreeSlot: await findNextFreeSlot(
+          tx,
+          booking.stationId,
+          booking.endTime,
+          minutes,
+          id
+        ),
+      }
+      throw error
+    }
+
+    await assertCanReserve(tx, {
+      userId: booking.userId,
+      stationId: booking.stationId,
+      startTime: booking.startTime,
+      endTime,
+      excludeBookingId: id,
+      groupId: booking.groupId,
+      seriesId: booking.seriesId,
+    })
+
+    return tx.booking.update({
+      where: { id },
+      data: { endTime, sequence: { increment: 1 } },
+      include: bookingInclude,
+    })
+  })
+}
+
+/**
+ * Apply a lifecycle transition to a booking
+ * @param {number} id - Booking ID
+ * @param {string} action - Transition name (confirm, check_in, complete, cancel, no_show)
+ * @param {{ userId: number, role: string }} actor - User triggering the transition
+ * @returns {Promise<Object>} Updated booking
+ * @throws {Error} If booking not found (status 404)
+ * @throws {Error} If actor is not allowed to trigger it (status 403)
+ * @throws {Error} If the booking is not in a valid status for it (status 409)
+ */
+export const transition = async (id, action, actor) => {
+  const rule = BOOKING_TRANSITIONS[action]
+  const now = new Date()
+
+  // Read and checked in the same transaction as the write, so that two
+  // concurrent transitions (check-in and cancel...) cannot both pass
+  const updated = await runExclusive(async tx => {
+    const current = await findById(id, tx)
+
+    const allowed = rule.actors.some(
+      who =>
+        (who === 'owner' && isOwner(actor, current)) ||
+        (who === 'staff' && isStaff(actor))
+    )
+
+    if (!allowed) {
+      const error = new Error('Action non autorisée sur cette réservation')
+      error.status = 403
+      throw error
+    }
+
+    if (!rule.from.includes(current.status)) {
+      const error = new Error(
+        `Transition "${action}" impossible depuis le statut "${current.status}"`
+      )
+      error.status = 409
+      throw error
+    }
+
+    if (action === 'check_in' && now >= current.endTime) {
+      const error = new Error('Le créneau de cette réservation est terminé')
+      error.status = 409
+      throw error
+    }
+
+    if (action === 'no_show' && now < current.startTime) {
+      const error = new Error(
+        "Le créneau de cette réservation n'a pas commencé"
+      )
+      error.status = 409
+      throw error
+    }
+
+    return tx.booking.update({
+      where: { id },
+      data: {
+        status: rule.to,
+        [rule.timestamp]: now,
+        sequence: { increment: 1 },
+      },
+      include: bookingInclude,
+    })
+  })
+
+  // Checking out early frees the rest of the window too
+  const checkedOutEarly = action === 'complete' && now < updated.endTime
+
+  // Listeners book in their own transactions: notified once this one is over
+  if (RELEASED_BOOKING_STATUSES.includes(rule.to) || checkedOutEarly) {
+    await notifySlotReleased(updated)
+  }
+
+  return updated
+}
 
 /**
  * Delete a booking
+ * The slot of an active booking is offered to the waitlist like a cancel
  * @param {number} id - Booking ID
  * @returns {Promise<void>}
  * @throws {Error} If booking not found (status 404)
  */
-export const remove = async (id) => {
-  await findById(id);
+export const remove = async id => {
+  const booking = await findById(id)
+
+  await prisma.booking.delete({ where: { id } })
 
-  await prisma.booking.delete({ where: { id } });
-};
\ No newline at end of file
+  if (ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    await notifySlotReleased(booking)
+  }
+}
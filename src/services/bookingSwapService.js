@@ -0,0 +1,308 @@
+import prisma from '../config/prisma.js'
+import { EDITABLE_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+import { canManage, isOwner, isStaff } from '../middlewares/policy.js'
+import * as bookingService from './bookingService.js'
+import { assertWithinQuotas } from './quotaService.js'
+
+const bookingInclude = {
+  user: { select: { id: true, username: true } },
+  station: true,
+}
+
+const swapInclude = {
+  booking: { include: bookingInclude },
+  targetBooking: { include: bookingInclude },
+}
+
+/**
+ * Check that a booking can change hands
+ * Group and series occurrences stay with their captain or owner
+ * @param {Object} booking - Booking
+ * @throws {Error} If the booking can no longer be swapped (status 409)
+ */
+const assertSwappable = booking => {
+  if (!EDITABLE_BOOKING_STATUSES.includes(booking.status)) {
+    const error = new Error(
+      `La réservation #${booking.id} au statut "${booking.status}" ne peut plus être échangée`
+    )
+    error.status = 409
+    throw error
+  }
+
+  if (booking.groupId || booking.seriesId) {
+    const error = new Error(
+      `La réservation #${booking.id} fait partie d'un groupe ou d'une série et ne peut pas être échangée`
+    )
+    error.status = 409
+    throw error
+  }
+}
+
+/**
+ * Get the swap requests of a user (proposed or received), everyone's for staff
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Array>}
+ */
+export const findAll = actor => {
+  return prisma.swapRequest.findMany({
+    where: isStaff(actor)
+      ? {}
+      : {
+          OR: [
+            { booking: { userId: actor.userId } },
+            { targetBooking: { userId: actor.userId } },
+          ],
+        },
+    orderBy: { createdAt: 'desc' },
+    include: swapInclude,
+  })
+}
+
+/**
+ * Get a swap request by its ID
+ * @param {number} id - Swap request ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>}
+ * @throws {Error} If swap request not found (status 404)
+ */
+export const findById = async (id, client = prisma) => {
+  const swap = await client.swapRequest.findUnique({
+    where: { id },
+    include: swapInclude,
+  })
+
+  if (!swap) {
+    const error = new Error("Demande d'échange introuvable")
+    error.status = 404
+    throw error
+  }
+
+  return swap
+}
+
+/**
+ * Propose to exchange one's booking with another participant's booking
+ * @param {Object} data - Validated data
+ * @param {number} data.bookingId - Booking of the requester
+ * @param {number} data.targetBookingId - Booking wanted in exchange
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Created swap request
+ * @throws {Error} If actor is neither the owner of bookingId nor staff (status 403)
+ * @throws {Error} If a booking is not found (status 404)
+ * @throws {Error} If a booking cannot be swapped, both have the same owner, or the same swap is pending (status 409)
+ */
+export const create = async ({ bookingId, targetBookingId }, actor) => {
+  const [booking, targetBooking] = await Promise.all([
+    bookingService.findById(bookingId),
+    bookingService.findById(targetBookingId),
+  ])
+
+  if (!canManage(actor, booking)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  if (booking.userId === targetBooking.userId) {
+    const error = new Error(
+      'Ces deux réservations appartiennent au même participant'
+    )
+    error.status = 409
+    throw error
+  }
+
+  assertSwappable(booking)
+  assertSwappable(targetBooking)
+
+  const duplicate = await prisma.swapRequest.findFirst({
+    where: { bookingId, targetBookingId, status: 'pending' },
+  })
+
+  if (duplicate) {
+    const error = new Error('Cet échange est déjà proposé')
+    error.status = 409
+    throw error
+  }
+
+  return prisma.swapRequest.create({
+    data: { bookingId, targetBookingId },
+    include: swapInclude,
+  })
+}
+
+/**
+ * Error for a swap request that is no longer pending
+ * @returns {Error} Error with status 409
+ */
+const closedError = () => {
+  const error = new Error("Cette demande d'échange est déjà clôturée")
+  error.status = 409
+  return error
+}
+
+/**
+ * Load a pending swap request
+ * @param {number} id - Swap request ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>}
+ * @throws {Error} If swap request not found (status 404)
+ * @throws {Error} If the request is no longer pending (status 409)
+ */
+const findPending = async (id, client = prisma) => {
+  const swap = await findById(id, client)
+
+  if (swap.status !== 'pending') {
+    throw closedError()
+  }
+
+  return swap
+}
+
+/**
+ * Close a swap request, only if it is still pending
+ * A request closed in the meantime (accepted, declined, cancelled) is left
+ * as is
+ * @param {number} id - Swap request ID
+ * @param {string} status - accepted, declined or cancelled
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<void>}
+ * @throws {Error} If the request is no longer pending (status 409)
+ */
+const close = async (id, status, client = prisma) => {
+  const { count } = await client.swapRequest.updateMany({
+    where: { id, status: 'pending' },
+    data: { status },
+  })
+
+  if (count === 0) {
+    throw closedError()
+  }
+}
+
+/**
+ * Accept a swap: both bookings change owner in a single transaction
+ * Stations and times stay put, so only the status and quota checks of an
+ * update apply (each owner is checked with the booking they receive)
+ * Other pending requests on either booking are cancelled
+ * @param {number} id - Swap request ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Accepted swap request
+ * @throws {Error} If actor does not own the target booking (status 403)
+ * @throws {Error} If swap request not found (status 404)
+ * @throws {Error} If the request is closed or a booking can no longer be swapped (status 409)
+ * @throws {Error} If an owner would exceed a booking quota (status 422)
+ */
+export const accept = async (id, actor) => {
+  const swap = await findPending(id)
+
+  if (!isOwner(actor, swap.targetBooking)) {
+    const error = new Error("Seul le destinataire peut accepter l'échange")
+    error.status = 403
+    throw error
+  }
+
+  // Read again in the transaction: the request may have been declined or
+  // cancelled since
+  await bookingService.runExclusive(async tx => {
+    await findPending(id, tx)
+
+    const [booking, targetBooking] = await Promise.all([
+      bookingService.findById(swap.bookingId, tx),
+      bookingService.findById(swap.targetBookingId, tx),
+    ])
+
+    assertSwappable(booking)
+    assertSwappable(targetBooking)
+
+    // Each owner receives the other booking in place of their own
+    await assertWithinQuotas(
+      {
+        userId: booking.userId,
+        stationId: targetBooking.stationId,
+        startTime: targetBooking.startTime,
+        endTime: targetBooking.endTime,
+        excludeBookingId: booking.id,
+      },
+      tx
+    )
+    await assertWithinQuotas(
+      {
+        userId: targetBooking.userId,
+        stationId: booking.stationId,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        excludeBookingId: targetBooking.id,
+      },
+      tx
+    )
+
+    await tx.booking.update({
+      where: { id: booking.id },
+      data: { userId: targetBooking.userId, sequence: { increment: 1 } },
+    })
+    await tx.booking.update({
+      where: { id: targetBooking.id },
+      data: { userId: booking.userId, sequence: { increment: 1 } },
+    })
+
+    await close(id, 'accepted', tx)
+
+    const bookingIds = [booking.id, targetBooking.id]
+    await tx.swapRequest.updateMany({
+      where: {
+        status: 'pending',
+        OR: [
+          { bookingId: { in: bookingIds } },
+          { targetBookingId: { in: bookingIds } },
+        ],
+      },
+      data: { status: 'cancelled' },
+    })
+  })
+
+  return findById(id)
+}
+
+/**
+ * Decline a swap request
+ * @param {number} id - Swap request ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Declined swap request
+ * @throws {Error} If actor is neither the owner of the target booking nor staff (status 403)
+ * @throws {Error} If swap request not found (status 404)
+ * @throws {Error} If the request is no longer pending (status 409)
+ */
+export const decline = async (id, actor) => {
+  const swap = await findPending(id)
+
+  if (!canManage(actor, swap.targetBooking)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  await close(id, 'declined')
+  return findById(id)
+}
+
+/**
+ * Withdraw a swap request
+ * @param {number} id - Swap request ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Cancelled swap request
+ * @throws {Error} If actor is neither the requester nor staff (status 403)
+ * @throws {Error} If swap request not found (status 404)
+ * @throws {Error} If the request is no longer pending (status 409)
+ */
+export const cancel = async (id, actor) => {
+  const swap = await findPending(id)
+
+  if (!canManage(actor, swap.booking)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  await close(id, 'cancelled')
+  return findById(id)
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto'
+import prisma from '../config/prisma.js'
+import { buildCalendar } from '../utils/icalendar.js'
+
+// Domain part of event UIDs: must never change, or calendar apps duplicate events
+const UID_DOMAIN = 'lan-party-manager'
+
+// iCalendar STATUS of each booking status
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  checked_in: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED',
+}
+
+/**
+ * Generate a random feed token
+ * @returns {string}
+ */
+const generateToken = () => crypto.randomBytes(24).toString('hex')
+
+/**
+ * Compare a feed token in constant time
+ * @param {string} given - Token from the request
+ * @param {string|null} expected - Stored token
+ * @returns {boolean}
+ */
+export const isValidToken = (given, expected) => {
+  if (!expected || typeof given !== 'string') {
+    return false
+  }
+  const a = Buffer.from(given)
+  const b = Buffer.from(expected)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Describe where a station is in the venue
+ * @param {Object} station - Station
+ * @returns {string}
+ */
+const stationLocation = station =>
+  [
+    station.name,
+    station.zone && `Zone ${station.zone}`,
+    station.row && `Rangée ${station.row}`,
+    station.seat && `Siège ${station.seat}`,
+  ]
+    .filter(Boolean)
+    .join(' · ')
+
+/**
+ * Turn a booking into a calendar event
+ * The UID only depends on the booking ID so updates replace the event
+ * @param {Object} booking - Booking with user and station
+ * @param {string} summary - Event title
+ * @returns {Object} Event (see utils/icalendar)
+ */
+const toEvent = (booking, summary) => ({
+  uid: `booking-${booking.id}@${UID_DOMAIN}`,
+  sequence: booking.sequence,
+  stamp: booking.updatedAt,
+  start: booking.startTime,
+  end: booking.endTime,
+  summary,
+  description: `Réservation #${booking.id} (${booking.status})`,
+  location: stationLocation(booking.station),
+  status: EVENT_STATUSES[booking.status],
+})
+
+/**
+ * Get the feed token of a user
+ * @param {number} id - User ID
+ * @returns {Promise<string|null>} Token, or null if no feed was created
+ * @throws {Error} If user not found (status 404)
+ */
+export const findUserToken = async id => {
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: { calendarToken: true },
+  })
+
+  if (!user) {
+    const error = new Error('Utilisateur non trouvé')
+    error.status = 404
+    throw error
+  }
+
+  return user.calendarToken
+}
+
+/**
+ * Get the feed token of a station
+ * @param {number} id - Station ID
+ * @returns {Promise<string|null>} Token, or null if no feed was created
+ * @throws {Error} If station not found (status 404)
+ */
+export const findStationToken = async id => {
+  const station = await prisma.station.findUnique({
+    where: { id },
+    select: { calendarToken: true },
+  })
+
+  if (!station) {
+    const error = new Error('Station not found')
+    error.status = 404
+    throw error
+  }
+
+  return station.calendarToken
+}
+
+/**
+ * Create or replace the feed token of a user (the previous URL stops working)
+ * @param {number} id - User ID
+ * @returns {Promise<string>} New token
+ * @throws {Error} If user not found (status 404)
+ */
+export const rotateUserToken = async id => {
+  await findUserToken(id)
+
+  const calendarToken = generateToken()
+  await prisma.user.update({ where: { id }, data: { calendarToken } })
+  return calendarToken
+}
+
+/**
+ * Create or replace the feed token of a station (the previous URL stops working)
+ * @param {number} id - Station ID
+ * @returns {Promise<string>} New token
+ * @throws {Error} If station not found (status 404)
+ */
+export const rotateStationToken = async id => {
+  await findStationToken(id)
+
+  const calendarToken = generateToken()
+  await prisma.station.update({ where: { id }, data: { calendarToken } })
+  return calendarToken
+}
+
+/**
+ * Build the calendar of a user's bookings
+ * Cancelled bookings stay in the feed so that clients remove the event
+ * @param {number} id - User ID
+ * @returns {Promise<string>} iCalendar text
+ * @throws {Error} If user not found (status 404)
+ */
+export const userCalendar = async id => {
+  const user = await prisma.user.findUnique({
+    where: { id },
+    include: {
+      bookings: { include: { station: true }, orderBy: { startTime: 'asc' } },
+    },
+  })
+
+  if (!user) {
+    const error = new Error('Utilisateur non trouvé')
+    error.status = 404
+    throw error
+  }
+
+  return buildCalendar({
+    name: `LAN Party - ${user.username}`,
+    events: user.bookings.map(booking =>
+      toEvent(booking, `LAN Party - ${booking.station.name}`)
+    ),
+  })
+}
+
+/**
+ * Build the schedule of a station
+ * @param {number} id - Station ID
+ * @returns {Promise<string>} iCalendar text
+ * @throws {Error} If station not found (status 404)
+ */
+export const stationCalendar = async id => {
+  const station = await prisma.station.findUnique({
+    where: { id },
+    include: {
+      bookings: {
+        include: { user: { select: { id: true, username: true } } },
+        orderBy: { startTime: 'asc' },
+      },
+    },
+  })
+
+  if (!station) {
+    const error = new Error('Station not found')
+    error.status = 404
+    throw error
+  }
+
+  return buildCalendar({
+    name: `LAN Party - ${station.name}`,
+    events: station.bookings.map(booking =>
+      toEvent(
+        { ...booking, station },
+        `${station.name} - ${booking.user.username}`
+      )
+    ),
+  })
+}
@@ -0,0 +1,75 @@
+import prisma from '../config/prisma.js'
+import { rateStation } from '../utils/gameRequirements.js'
+import * as gameService from './gameService.js'
+import * as stationService from './stationService.js'
+
+// Ratings accepted for each requested level, best first
+const ACCEPTED_RATINGS = {
+  min: ['recommended', 'min'],
+  recommended: ['recommended'],
+}
+
+/**
+ * Sort matches best rating first, then by name
+ * @param {Array<{ rating: string, name: string }>} matches - Rated matches
+ * @returns {Array}
+ */
+const byRating = matches =>
+  matches.sort(
+    (a, b) =>
+      ACCEPTED_RATINGS.min.indexOf(a.rating) -
+        ACCEPTED_RATINGS.min.indexOf(b.rating) || a.name.localeCompare(b.name)
+  )
+
+/**
+ * Get the stations able to run a game
+ * Stations missing a spec the game requires are left out
+ * @param {number} gameId - Game ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.level] - min (default) or recommended
+ * @returns {Promise<Array<{ station: Object, rating: string, missing: Array<string>, unknown: Array<string> }>>}
+ * For a station rated min, missing and unknown name the specs that keep it
+ * below the recommended level
+ * @throws {Error} If game not found (status 404)
+ */
+export const findStationsForGame = async (gameId, { level = 'min' } = {}) => {
+  const [game, stations] = await Promise.all([
+    gameService.findById(gameId),
+    prisma.station.findMany(),
+  ])
+
+  const matches = stations
+    .map(station => ({
+      station,
+      name: station.name,
+      ...rateStation(game, station),
+    }))
+    .filter(match => ACCEPTED_RATINGS[level].includes(match.rating))
+
+  return byRating(matches).map(({ name: _name, ...match }) => match)
+}
+
+/**
+ * Get the games a station can run
+ * Games requiring a spec the station has no value for are left out
+ * @param {number} stationId - Station ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.level] - min (default) or recommended
+ * @returns {Promise<Array<{ game: Object, rating: string, missing: Array<string>, unknown: Array<string> }>>}
+ * @throws {Error} If station not found (status 404)
+ */
+export const findGamesForStation = async (
+  stationId,
+  { level = 'min' } = {}
+) => {
+  const [station, games] = await Promise.all([
+    stationService.findById(stationId),
+    prisma.game.findMany(),
+  ])
+
+  const matches = games
+    .map(game => ({ game, name: game.name, ...rateStation(game, station) }))
+    .filter(match => ACCEPTED_RATINGS[level].includes(match.rating))
+
+  return byRating(matches).map(({ name: _name, ...match }) => match)
+}
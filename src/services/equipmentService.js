@@ -0,0 +1,314 @@
+import prisma from '../config/prisma.js'
+import * as stationService from './stationService.js'
+
+const userSelect = { select: { id: true, username: true } }
+
+// Relations returned with items: where the item is right now
+const itemInclude = {
+  station: { select: { id: true, name: true } },
+  loans: {
+    where: { returnedAt: null },
+    include: { user: userSelect },
+  },
+}
+
+const loanInclude = {
+  item: true,
+  user: userSelect,
+}
+
+/**
+ * Replace the open loans loaded by itemInclude with the current loan
+ * @param {Object} item - Item loaded with itemInclude
+ * @returns {Object} Item with currentLoan (null when not lent)
+ */
+const withCurrentLoan = ({ loans, ...item }) => ({
+  ...item,
+  currentLoan: loans[0] ?? null,
+})
+
+/**
+ * Get all inventory items with filters
+ * @param {Object} [filters] - Validated query (see equipmentQuerySchema)
+ * @param {string} [filters.type] - Filter by type
+ * @param {string} [filters.status] - Filter by status
+ * @param {number} [filters.stationId] - Items set up on this station
+ * @returns {Promise<Array>} Items with their station and current loan
+ */
+export const findAll = async (filters = {}) => {
+  const items = await prisma.equipmentItem.findMany({
+    where: {
+      ...(filters.type && { type: filters.type }),
+      ...(filters.status && { status: filters.status }),
+      ...(filters.stationId && { stationId: filters.stationId }),
+    },
+    orderBy: { assetTag: 'asc' },
+    include: itemInclude,
+  })
+
+  return items.map(withCurrentLoan)
+}
+
+/**
+ * Get an inventory item by its ID, with its whole loan history
+ * @param {number} id - Item ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If item not found (status 404)
+ */
+export const findById = async id => {
+  const item = await prisma.equipmentItem.findUnique({
+    where: { id },
+    include: {
+      ...itemInclude,
+      loans: {
+        include: { user: userSelect },
+        orderBy: { checkedOutAt: 'desc' },
+      },
+    },
+  })
+
+  if (!item) {
+    const error = new Error('Équipement introuvable')
+    error.status = 404
+    throw error
+  }
+
+  return {
+    ...item,
+    currentLoan: item.loans.find(loan => !loan.returnedAt) ?? null,
+  }
+}
+
+/**
+ * Check that no other item carries an asset tag
+ * @param {string} assetTag - Asset tag
+ * @param {number} [exceptId] - Item being updated
+ * @returns {Promise<void>}
+ * @throws {Error} If the tag is already used (status 409)
+ */
+const assertTagFree = async (assetTag, exceptId) => {
+  const existing = await prisma.equipmentItem.findUnique({
+    where: { assetTag },
+  })
+
+  if (existing && existing.id !== exceptId) {
+    const error = new Error(`L'étiquette ${assetTag} est déjà utilisée`)
+    error.status = 409
+    throw error
+  }
+}
+
+/**
+ * Add an item to the inventory (at the desk)
+ * @param {Object} data - Validated item data
+ * @returns {Promise<Object>} Created item
+ * @throws {Error} If the asset tag is already used (status 409)
+ */
+export const create = async data => {
+  await assertTagFree(data.assetTag)
+
+  const item = await prisma.equipmentItem.create({
+    data,
+    include: itemInclude,
+  })
+  return withCurrentLoan(item)
+}
+
+/**
+ * Update an inventory item
+ * @param {number} id - Item ID
+ * @param {Object} data - Validated item data
+ * @returns {Promise<Object>} Updated item
+ * @throws {Error} If item not found (status 404)
+ * @throws {Error} If the asset tag is already used (status 409)
+ */
+export const update = async (id, data) => {
+  await findById(id)
+  await assertTagFree(data.assetTag, id)
+
+  const item = await prisma.equipmentItem.update({
+    where: { id },
+    data,
+    include: itemInclude,
+  })
+  return withCurrentLoan(item)
+}
+
+/**
+ * Delete an inventory item and its loan history
+ * @param {number} id - Item ID
+ * @returns {Promise<void>}
+ * @throws {Error} If item not found (status 404)
+ * @throws {Error} If the item is lent (status 409)
+ */
+export const remove = async id => {
+  const item = await findById(id)
+
+  if (item.currentLoan) {
+    const error = new Error(
+      `${item.assetTag} est prêté à ${item.currentLoan.user.username} : enregistrez d'abord son retour`
+    )
+    error.status = 409
+    throw error
+  }
+
+  await prisma.equipmentItem.delete({ where: { id } })
+}
+
+/**
+ * Check that an item is in the inventory and not lent
+ * @param {Object} item - Item loaded with findById
+ * @throws {Error} If the item is missing, retired or lent (status 409)
+ */
+const assertAtHand = item => {
+  if (item.status !== 'available') {
+    const error = new Error(
+      `${item.assetTag} est indisponible (statut : ${item.status})`
+    )
+    error.status = 409
+    throw error
+  }
+
+  if (item.currentLoan) {
+    const error = new Error(
+      `${item.assetTag} est prêté à ${item.currentLoan.user.username}`
+    )
+    error.status = 409
+    throw error
+  }
+}
+
+/**
+ * Set an item up on a station, or take it back to the desk
+ * @param {number} id - Item ID
+ * @param {{ stationId: number|null }} data - Validated data
+ * @returns {Promise<Object>} Updated item
+ * @throws {Error} If item or station not found (status 404)
+ * @throws {Error} If the item is missing, retired or lent (status 409)
+ */
+export const assignStation = async (id, { stationId }) => {
+  const item = await findById(id)
+
+  if (stationId !== null) {
+    await stationService.findById(stationId)
+    assertAtHand(item)
+  }
+
+  const updated = await prisma.equipmentItem.update({
+    where: { id },
+    data: { stationId },
+    include: itemInclude,
+  })
+  return withCurrentLoan(updated)
+}
+
+/**
+ * Get loans, newest first
+ * @param {Object} [filters] - Validated query (see loanQuerySchema)
+ * @param {string} [filters.state] - open, overdue or returned
+ * @param {number} [filters.userId] - Loans of a participant
+ * @returns {Promise<Array>} Loans with their item and borrower
+ */
+export const findLoans = (filters = {}) => {
+  const states = {
+    open: { returnedAt: null },
+    overdue: { returnedAt: null, dueAt: { lt: new Date() } },
+    returned: { returnedAt: { not: null } },
+  }
+
+  return prisma.equipmentLoan.findMany({
+    where: {
+      ...states[filters.state],
+      ...(filters.userId && { userId: filters.userId }),
+    },
+    orderBy: { checkedOutAt: 'desc' },
+    include: loanInclude,
+  })
+}
+
+/**
+ * Lend an item at the desk; an item set up on a station leaves it
+ * @param {number} id - Item ID
+ * @param {Object} data - Validated loan data
+ * @param {number} data.userId - Borrower
+ * @param {Date} data.dueAt - Expected return time
+ * @param {string|null} [data.note] - Free note (deposit, accessories...)
+ * @returns {Promise<Object>} Created loan
+ * @throws {Error} If item or participant not found (status 404)
+ * @throws {Error} If the item is missing, retired or already lent (status 409)
+ */
+export const checkOut = async (id, { userId, dueAt, note }) => {
+  const item = await findById(id)
+  assertAtHand(item)
+
+  const user = await prisma.user.findUnique({ where: { id: userId } })
+  if (!user) {
+    const error = new Error('Utilisateur introuvable')
+    error.status = 404
+    throw error
+  }
+
+  try {
+    const [loan] = await prisma.$transaction([
+      prisma.equipmentLoan.create({
+        data: { itemId: id, userId, dueAt, note },
+        include: loanInclude,
+      }),
+      prisma.equipmentItem.update({
+        where: { id },
+        data: { stationId: null },
+      }),
+    ])
+
+    return loan
+  } catch (error) {
+    // Lent in the meantime (see the open loan index in the migrations)
+    if (error.code === 'P2002') {
+      const conflict = new Error(`${item.assetTag} vient d'être prêté`)
+      conflict.status = 409
+      throw conflict
+    }
+    throw error
+  }
+}
+
+/**
+ * Record the return of a lent item
+ * An item marked missing while lent is back in the inventory
+ * @param {number} loanId - Loan ID
+ * @returns {Promise<Object>} Closed loan
+ * @throws {Error} If loan not found (status 404)
+ * @throws {Error} If the item was already returned (status 409)
+ */
+export const checkIn = async loanId => {
+  const loan = await prisma.equipmentLoan.findUnique({
+    where: { id: loanId },
+    include: loanInclude,
+  })
+
+  if (!loan) {
+    const error = new Error('Prêt introuvable')
+    error.status = 404
+    throw error
+  }
+
+  if (loan.returnedAt) {
+    const error = new Error(`${loan.item.assetTag} a déjà été rendu`)
+    error.status = 409
+    throw error
+  }
+
+  const [returned] = await prisma.$transaction([
+    prisma.equipmentLoan.update({
+      where: { id: loanId },
+      data: { returnedAt: new Date() },
+      include: loanInclude,
+    }),
+    prisma.equipmentItem.updateMany({
+      where: { id: loan.itemId, status: 'missing' },
+      data: { status: 'available' },
+    }),
+  ])
+
+  return returned
+}
@@ -0,0 +1,62 @@
+import prisma from '../config/prisma.js'
+import { FLOOR_PLAN } from '../config/floorPlan.js'
+import * as stationService from './stationService.js'
+
+/**
+ * Live status of a station: its stored state when out of service, its
+ * occupancy otherwise
+ * @param {Object} station - Station with its occupancy
+ * @returns {string} maintenance, retired, booked or available
+ */
+const liveStatus = station => {
+  if (station.status !== 'available') {
+    return station.status
+  }
+  return station.occupancy.state === 'occupied' ? 'booked' : 'available'
+}
+
+/**
+ * Get the floor plan with the live status of every station
+ * Stations without a position are listed apart so they can still be reached
+ * @param {Date} [at] - Time of the live status (now by default)
+ * @returns {Promise<{ columns: number, rows: number, at: Date, stations: Array, unplaced: Array }>}
+ * Each station carries its occupancy, liveStatus (available, booked,
+ * maintenance, retired) and the time its running booking ends (busyUntil)
+ */
+export const getSeatMap = async (at = new Date()) => {
+  const stations = await prisma.station.findMany({
+    orderBy: { name: 'asc' },
+    include: stationService.occupancyInclude(at),
+  })
+
+  const seats = stations.map(loaded => {
+    const station = stationService.withOccupancy(loaded, at)
+    return {
+      ...station,
+      liveStatus: liveStatus(station),
+      busyUntil: station.occupancy.busyUntil,
+    }
+  })
+
+  return {
+    ...FLOOR_PLAN,
+    at,
+    stations: seats.filter(station => station.mapX !== null),
+    unplaced: seats.filter(station => station.mapX === null),
+  }
+}
+
+/**
+ * Place a station on a floor plan cell, or take it off the plan
+ * @param {number} id - Station ID
+ * @param {{ mapX: number|null, mapY: number|null }} position - Validated cell
+ * @returns {Promise<Object>} Updated station
+ * @throws {Error} If station not found (status 404)
+ * @throws {Error} If another station already stands on the cell (status 409)
+ */
+export const placeStation = async (id, { mapX, mapY }) => {
+  await stationService.findById(id)
+  await stationService.assertCellFree(mapX, mapY, id)
+
+  return prisma.station.update({ where: { id }, data: { mapX, mapY } })
+}
@@ -1,4 +1,7 @@
 import prisma from '../config/prisma.js'
+import { RELEASED_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+
+const MINUTE = 60 * 1000
 
 /**
  * Count total games
@@ -66,6 +69,128 @@ export const findById = async id => {
   return game
 }
 
+/**
+ * Check that a game can be played by a booking or a group of bookings
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} gameId - Game ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.players] - Number of stations booked together (groups)
+ * @param {number} [options.stationId] - Station booked, checked when the game's
+ * installation on it is known
+ * @returns {Promise<Object>} Game
+ * @throws {Error} If the group size is outside the game's player range (status 400)
+ * @throws {Error} If game not found (status 404)
+ * @throws {Error} If the game is updating or broken on the station (status 409)
+ */
+export const assertPlayable = async (
+  client,
+  gameId,
+  { players, stationId } = {}
+) => {
+  const game = await client.game.findUnique({ where: { id: gameId } })
+
+  if (!game) {
+    const error = new Error('Game not found')
+    error.status = 404
+    throw error
+  }
+
+  if (
+    players !== undefined &&
+    (players < game.minPlayers || players > game.maxPlayers)
+  ) {
+    const error = new Error(
+      `${game.name} se joue de ${game.minPlayers} à ${game.maxPlayers} joueurs (${players} stations réservées)`
+    )
+    error.status = 400
+    throw error
+  }
+
+  if (stationId !== undefined) {
+    const installation = await client.gameInstallation.findUnique({
+      where: { stationId_gameId: { stationId, gameId } },
+    })
+
+    if (installation && installation.status !== 'installed') {
+      const error = new Error(
+        `${game.name} n'est pas jouable sur cette station (${installation.status})`
+      )
+      error.status = 409
+      throw error
+    }
+  }
+
+  return game
+}
+
+/**
+ * Largest number of bookings overlapping at the same time
+ * @param {Array<{ startTime: Date, endTime: Date }>} bookings - Bookings
+ * @returns {number}
+ */
+const peakConcurrent = bookings => {
+  // Ends sort before starts at the same instant: back-to-back is not overlap
+  const events = bookings
+    .flatMap(booking => [
+      [booking.startTime.getTime(), 1],
+      [booking.endTime.getTime(), -1],
+    ])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+  let current = 0
+  let peak = 0
+  events.forEach(([, delta]) => {
+    current += delta
+    peak = Math.max(peak, current)
+  })
+  return peak
+}
+
+/**
+ * Booking stats of every game, most played first
+ * Cancelled and no-show bookings are left out
+ * - peakConcurrent: stations needed at once, i.e. how many to pre-install
+ * @returns {Promise<Array<{ game: Object, bookings: number, hours: number, players: number, stations: number, peakConcurrent: number }>>}
+ */
+export const getBookingStats = async () => {
+  const [games, bookings] = await Promise.all([
+    prisma.game.findMany({ orderBy: { name: 'asc' } }),
+    prisma.booking.findMany({
+      where: {
+        gameId: { not: null },
+        status: { notIn: RELEASED_BOOKING_STATUSES },
+      },
+      select: {
+        gameId: true,
+        userId: true,
+        stationId: true,
+        startTime: true,
+        endTime: true,
+      },
+    }),
+  ])
+
+  return games
+    .map(game => {
+      const played = bookings.filter(booking => booking.gameId === game.id)
+      const minutes = played.reduce(
+        (total, booking) =>
+          total + (booking.endTime - booking.startTime) / MINUTE,
+        0
+      )
+
+      return {
+        game,
+        bookings: played.length,
+        hours: minutes / 60,
+        players: new Set(played.map(booking => booking.userId)).size,
+        stations: new Set(played.map(booking => booking.stationId)).size,
+        peakConcurrent: peakConcurrent(played),
+      }
+    })
+    .sort((a, b) => b.hours - a.hours || b.bookings - a.bookings)
+}
+
 /**
  * Create a new game
  * @param {Object} data - Game data
@@ -0,0 +1,314 @@
+import prisma from '../config/prisma.js'
+import { gameSchema } from '../schemas/gameSchema.js'
+import { stationSchema } from '../schemas/stationSchema.js'
+import { parseCsv, stringifyCsv } from '../utils/csv.js'
+import { withHardwareSpecs } from '../utils/hardwareSpecs.js'
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = 1000
+
+/**
+ * Flag the stations of an import that would share a floor plan cell, with
+ * another row or with a station the import leaves in place
+ * @param {Array<Object>} rows - Planned rows (see planImport)
+ * @param {Array<Object>} existing - Stations in the database
+ */
+const checkCells = (rows, existing) => {
+  const cellKey = ({ mapX, mapY }) =>
+    mapX === null || mapX === undefined ? null : `${mapX},${mapY}`
+
+  const updatedIds = new Set(rows.map(row => row.id).filter(Boolean))
+  const takenCells = new Map(
+    existing
+      .filter(station => cellKey(station) && !updatedIds.has(station.id))
+      .map(station => [cellKey(station), station.name])
+  )
+  const rowCells = new Map()
+
+  rows
+    .filter(row => row.action !== 'invalid' && cellKey(row.data))
+    .forEach(row => {
+      const cell = cellKey(row.data)
+
+      if (takenCells.has(cell)) {
+        row.errors.push({
+          field: 'mapX',
+          message: `Case du plan occupée par ${takenCells.get(cell)}`,
+        })
+      } else if (rowCells.has(cell)) {
+        row.errors.push({
+          field: 'mapX',
+          message: `Case du plan déjà prise à la ligne ${rowCells.get(cell)}`,
+        })
+      } else {
+        rowCells.set(cell, row.row)
+      }
+    })
+}
+
+// What can be imported and exported (see TRANSFER_ENTITIES)
+// Columns are the fields the schema accepts, so an export imports back as is
+const ENTITIES = {
+  games: {
+    schema: gameSchema,
+    model: 'game',
+    normalize: record => record,
+    toData: data => data,
+    check: () => {},
+  },
+  stations: {
+    schema: stationSchema,
+    model: 'station',
+    // data/stations.json groups the hardware under specs and peripherals
+    normalize: ({ specs, peripherals, ...fields }) => ({
+      ...specs,
+      ...peripherals,
+      ...fields,
+    }),
+    toData: withHardwareSpecs,
+    check: checkCells,
+  },
+}
+
+/**
+ * Columns of an entity, in export order
+ * @param {string} entity - games or stations
+ * @returns {Array<string>}
+ */
+export const columnsOf = entity => Object.keys(ENTITIES[entity].schema.shape)
+
+/**
+ * Name used to match rows with records (case and spacing do not matter)
+ * @param {any} name - Raw name
+ * @returns {string}
+ */
+const nameKey = name =>
+  typeof name === 'string' ? name.trim().toLowerCase() : ''
+
+/**
+ * Read the records of an import file
+ * @param {string|Array} content - CSV text, JSON text or parsed JSON array
+ * @param {string} format - csv or json
+ * @returns {Array<Object>}
+ * @throws {Error} If the content cannot be read (status 400)
+ */
+export const parseRecords = (content, format) => {
+  let records = content
+
+  try {
+    if (format === 'csv') {
+      records = parseCsv(String(content ?? ''))
+    } else if (typeof content === 'string') {
+      records = JSON.parse(content)
+    }
+  } catch (cause) {
+    const error = new Error(
+      cause.status ? cause.message : `JSON invalide : ${cause.message}`
+    )
+    error.status = 400
+    throw error
+  }
+
+  if (!Array.isArray(records)) {
+    const error = new Error('Le fichier doit contenir une liste')
+    error.status = 400
+    throw error
+  }
+
+  if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+    const error = new Error(
+      `Le fichier doit contenir entre 1 et ${MAX_IMPORT_ROWS} lignes`
+    )
+    error.status = 400
+    throw error
+  }
+
+  return records
+}
+
+/**
+ * Validate every row of an import and decide what it does
+ * - create: no record has this name yet
+ * - update: the record with this name is replaced by the row
+ * - invalid: schema errors, name repeated in the file, several records
+ *   with this name, or (stations) floor plan cell taken
+ * @param {string} entity - games or stations
+ * @param {Array<Object>} records - Parsed records
+ * @returns {Promise<Array<Object>>} Rows with row number (1 = first record),
+ * name, action, id of the record to update, errors, validated data and the
+ * record to update
+ */
+const planImport = async (entity, records) => {
+  const { schema, model, normalize, check } = ENTITIES[entity]
+  const existing = await prisma[model].findMany({ orderBy: { id: 'asc' } })
+
+  const byName = new Map()
+  existing.forEach(record => {
+    const key = nameKey(record.name)
+    byName.set(key, [...(byName.get(key) ?? []), record])
+  })
+
+  const seen = new Map()
+
+  const rows = records.map((record, index) => {
+    const row = index + 1
+    const isObject =
+      record !== null && typeof record === 'object' && !Array.isArray(record)
+    const result = isObject ? schema.safeParse(normalize(record)) : null
+
+    const errors = result?.success
+      ? []
+      : (
+          result?.error.issues ?? [{ path: [], message: 'Ligne illisible' }]
+        ).map(issue => ({
+          field: issue.path.join('.'),
+          message: issue.message,
+        }))
+
+    const name = result?.data?.name ?? (isObject ? record.name : null) ?? null
+    const key = nameKey(name)
+    const matches = byName.get(key) ?? []
+
+    if (key && seen.has(key)) {
+      errors.push({
+        field: 'name',
+        message: `Nom déjà présent à la ligne ${seen.get(key)}`,
+      })
+    } else if (key) {
+      seen.set(key, row)
+    }
+
+    if (matches.length > 1) {
+      errors.push({
+        field: 'name',
+        message: `${matches.length} enregistrements portent déjà ce nom`,
+      })
+    }
+
+    let action = 'create'
+    if (errors.length > 0) {
+      action = 'invalid'
+    } else if (matches.length === 1) {
+      action = 'update'
+    }
+
+    return {
+      row,
+      name,
+      action,
+      id: matches.length === 1 ? matches[0].id : null,
+      errors,
+      data: result?.data,
+      stored: matches.length === 1 ? matches[0] : undefined,
+    }
+  })
+
+  check(rows, existing)
+  rows
+    .filter(row => row.errors.length > 0)
+    .forEach(row => {
+      row.action = 'invalid'
+    })
+
+  return rows
+}
+
+/**
+ * Import records, or only preview what the import would do
+ * Valid rows create or update the record with the same name; the import is
+ * all or nothing: a single invalid row and nothing is written
+ * @param {string} entity - games or stations
+ * @param {Array<Object>} records - Parsed records (see parseRecords)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report, write nothing
+ * @returns {Promise<Object>} Report: dryRun, summary counts and rows
+ * @throws {Error} If a row is invalid (status 400, report in details)
+ * @throws {Error} If two stations end up on the same cell (status 409)
+ */
+export const importRecords = async (
+  entity,
+  records,
+  { dryRun = false } = {}
+) => {
+  const { model, toData } = ENTITIES[entity]
+  const rows = await planImport(entity, records)
+
+  const count = action => rows.filter(row => row.action === action).length
+  const report = {
+    dryRun,
+    summary: {
+      total: rows.length,
+      create: count('create'),
+      update: count('update'),
+      invalid: count('invalid'),
+    },
+    rows: rows.map(({ data: _data, stored: _stored, ...row }) => row),
+  }
+
+  if (dryRun) {
+    return report
+  }
+
+  if (report.summary.invalid > 0) {
+    const error = new Error(
+      `${report.summary.invalid} ligne(s) invalide(s) : rien n'a été importé`
+    )
+    error.status = 400
+    error.details = report
+    throw error
+  }
+
+  try {
+    await prisma.$transaction(
+      rows.map(row =>
+        row.action === 'create'
+          ? prisma[model].create({ data: toData(row.data) })
+          : prisma[model].update({
+              where: { id: row.id },
+              data: toData(row.data, row.stored),
+            })
+      )
+    )
+  } catch (cause) {
+    // Stations swapping cells collide before both are written
+    if (cause.code === 'P2002') {
+      const error = new Error(
+        "Deux stations se retrouveraient sur la même case du plan : rien n'a été importé"
+      )
+      error.status = 409
+      throw error
+    }
+    throw cause
+  }
+
+  return report
+}
+
+/**
+ * Get every record of an entity, restricted to its importable columns
+ * @param {string} entity - games or stations
+ * @returns {Promise<Array<Object>>}
+ */
+export const exportRecords = async entity => {
+  const { model } = ENTITIES[entity]
+  const columns = columnsOf(entity)
+  const records = await prisma[model].findMany({ orderBy: { id: 'asc' } })
+
+  return records.map(record =>
+    Object.fromEntries(columns.map(column => [column, record[column]]))
+  )
+}
+
+/**
+ * Export an entity as a file
+ * @param {string} entity - games or stations
+ * @param {string} format - csv or json
+ * @returns {Promise<string>} File content
+ */
+export const exportFile = async (entity, format) => {
+  const records = await exportRecords(entity)
+
+  return format === 'csv'
+    ? stringifyCsv(columnsOf(entity), records)
+    : JSON.stringify(records, null, 2)
+}
@@ -0,0 +1,313 @@
+import prisma from '../config/prisma.js'
+import { EDITABLE_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+import {
+  BLOCKING_SEVERITY,
+  OPEN_INCIDENT_STATUSES,
+} from '../config/incidents.js'
+import { STAFF_ROLES } from '../config/roles.js'
+import { isStaff } from '../middlewares/policy.js'
+import * as bookingService from './bookingService.js'
+import * as stationService from './stationService.js'
+
+const userSelect = { select: { id: true, username: true } }
+
+const incidentInclude = {
+  station: true,
+  reporter: userSelect,
+  assignee: userSelect,
+  flaggedBookings: {
+    include: { user: userSelect },
+    orderBy: { startTime: 'asc' },
+  },
+}
+
+/**
+ * Get incident tickets, the reporter's own ones or everyone's for staff
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @param {Object} [filters] - Validated query (see incidentQuerySchema)
+ * @param {string} [filters.status] - open, in_progress or resolved
+ * @param {number} [filters.stationId] - Filter by station
+ * @param {string} [filters.severity] - minor, major or blocking
+ * @returns {Promise<Array>} Unresolved tickets first, most severe first
+ */
+export const findAll = (actor, filters = {}) => {
+  return prisma.incident.findMany({
+    where: {
+      ...(!isStaff(actor) && { reporterId: actor.userId }),
+      ...(filters.status && { status: filters.status }),
+      ...(filters.stationId && { stationId: filters.stationId }),
+      ...(filters.severity && { severity: filters.severity }),
+    },
+    // Alphabetical order puts unresolved tickets and blocking ones first
+    orderBy: [{ status: 'asc' }, { severity: 'asc' }, { createdAt: 'asc' }],
+    include: incidentInclude,
+  })
+}
+
+/**
+ * Get the tickets of a station still waiting for a fix (for views)
+ * @param {number} stationId - Station ID
+ * @returns {Promise<Array>}
+ */
+export const findOpenByStation = stationId => {
+  return prisma.incident.findMany({
+    where: { stationId, status: { in: OPEN_INCIDENT_STATUSES } },
+    orderBy: { createdAt: 'asc' },
+    include: incidentInclude,
+  })
+}
+
+/**
+ * Get an incident ticket by its ID
+ * @param {number} id - Ticket ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If ticket not found (status 404)
+ */
+export const findById = async id => {
+  const incident = await prisma.incident.findUnique({
+    where: { id },
+    include: incidentInclude,
+  })
+
+  if (!incident) {
+    const error = new Error('Incident introuvable')
+    error.status = 404
+    throw error
+  }
+
+  return incident
+}
+
+/**
+ * Move the upcoming bookings of a station taken out of service
+ * Each booking goes to the first station that passes every booking check
+ * (stations of the same zone first); bookings no station can take stay
+ * where they are, flagged with the ticket for staff to sort out
+ * @param {Object} incident - Blocking ticket
+ * @returns {Promise<Array<{ bookingId: number, stationId: number }>>} Moves done
+ */
+const relocateBookings = async incident => {
+  const [bookings, stations] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        stationId: incident.stationId,
+        status: { in: EDITABLE_BOOKING_STATUSES },
+        startTime: { gt: new Date() },
+      },
+      orderBy: { startTime: 'asc' },
+    }),
+    prisma.station.findMany({
+      where: { status: 'available', NOT: { id: incident.stationId } },
+      orderBy: { id: 'asc' },
+    }),
+  ])
+
+  const zone = incident.station.zone
+  const candidates = [
+    ...stations.filter(station => zone && station.zone === zone),
+    ...stations.filter(station => !zone || station.zone !== zone),
+  ]
+
+  const relocated = []
+
+  // Sequential on purpose: each move takes a slot the next ones must see
+  for (const booking of bookings) {
+    let target = null
+
+    for (const station of candidates) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await bookingService.update(booking.id, { stationId: station.id })
+        target = station
+        break
+      } catch (error) {
+        if (!error.status || error.status >= 500) {
+          throw error
+        }
+      }
+    }
+
+    if (target) {
+      relocated.push({ bookingId: booking.id, stationId: target.id })
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      await prisma.booking.update({
+        where: { id: booking.id },
+        data: { incidentId: incident.id },
+      })
+    }
+  }
+
+  return relocated
+}
+
+/**
+ * Report an issue on a station
+ * A blocking ticket puts the station in maintenance, then its upcoming
+ * bookings are relocated or flagged (see relocateBookings): only staff may
+ * file one, since it moves other participants' bookings
+ * @param {Object} data - Validated data (stationId, category, severity, description)
+ * @param {{ userId: number, role: string }} actor - Reporter
+ * @returns {Promise<Object>} Created ticket, with relocatedBookings
+ * @throws {Error} If a participant files a blocking ticket (status 403)
+ * @throws {Error} If station not found (status 404)
+ */
+export const create = async (data, actor) => {
+  const blocking = data.severity === BLOCKING_SEVERITY
+
+  if (blocking && !isStaff(actor)) {
+    const error = new Error(
+      'Seul le staff peut déclarer un incident bloquant, signalez-le comme majeur'
+    )
+    error.status = 403
+    throw error
+  }
+
+  const station = await stationService.findById(data.stationId)
+
+  const incident = await prisma.$transaction(async tx => {
+    let restoreStatus = null
+
+    // A station already in maintenance (by hand, or for another ticket that
+    // keeps the status to restore) is left as is
+    if (blocking && station.status !== 'maintenance') {
+      restoreStatus = station.status
+      await tx.station.update({
+        where: { id: station.id },
+        data: { status: 'maintenance' },
+      })
+    }
+
+    return tx.incident.create({
+      data: { ...data, reporterId: actor.userId, restoreStatus },
+      include: incidentInclude,
+    })
+  })
+
+  const relocatedBookings = blocking ? await relocateBookings(incident) : []
+
+  return { ...(await findById(incident.id)), relocatedBookings }
+}
+
+/**
+ * Load a ticket still waiting for a fix
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} id - Ticket ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If ticket not found (status 404)
+ * @throws {Error} If the ticket is already resolved (status 409)
+ */
+const findOpen = async (client, id) => {
+  const incident = await client.incident.findUnique({ where: { id } })
+
+  if (!incident) {
+    const error = new Error('Incident introuvable')
+    error.status = 404
+    throw error
+  }
+
+  if (!OPEN_INCIDENT_STATUSES.includes(incident.status)) {
+    const error = new Error('Cet incident est déjà résolu')
+    error.status = 409
+    throw error
+  }
+
+  return incident
+}
+
+/**
+ * Assign a ticket to a staff member, which puts it in progress
+ * @param {number} id - Ticket ID
+ * @param {Object} data - Validated data
+ * @param {number} [data.assigneeId] - Staff member, the actor by default
+ * @param {{ userId: number, role: string }} actor - Authenticated staff member
+ * @returns {Promise<Object>} Updated ticket
+ * @throws {Error} If the assignee is not a staff member (status 400)
+ * @throws {Error} If ticket or assignee not found (status 404)
+ * @throws {Error} If the ticket is already resolved (status 409)
+ */
+export const assign = async (id, { assigneeId }, actor) => {
+  await findOpen(prisma, id)
+
+  const assignee = await prisma.user.findUnique({
+    where: { id: assigneeId ?? actor.userId },
+  })
+
+  if (!assignee) {
+    const error = new Error('Utilisateur introuvable')
+    error.status = 404
+    throw error
+  }
+
+  if (!STAFF_ROLES.includes(assignee.role)) {
+    const error = new Error(
+      `${assignee.username} ne fait pas partie du staff et ne peut pas prendre en charge un incident`
+    )
+    error.status = 400
+    throw error
+  }
+
+  return prisma.incident.update({
+    where: { id },
+    data: {
+      assigneeId: assignee.id,
+      status: 'in_progress',
+      assignedAt: new Date(),
+    },
+    include: incidentInclude,
+  })
+}
+
+/**
+ * Resolve a ticket
+ * Flagged bookings lose their flag; once the last blocking ticket of the
+ * station is resolved, the station gets back the status it had before
+ * @param {number} id - Ticket ID
+ * @param {Object} data - Validated data
+ * @param {string|null} data.resolution - What was done
+ * @returns {Promise<Object>} Resolved ticket
+ * @throws {Error} If ticket not found (status 404)
+ * @throws {Error} If the ticket is already resolved (status 409)
+ */
+export const resolve = async (id, { resolution }) => {
+  await prisma.$transaction(async tx => {
+    const incident = await findOpen(tx, id)
+
+    await tx.incident.update({
+      where: { id },
+      data: { status: 'resolved', resolution, resolvedAt: new Date() },
+    })
+    await tx.booking.updateMany({
+      where: { incidentId: id },
+      data: { incidentId: null },
+    })
+
+    if (!incident.restoreStatus) {
+      return
+    }
+
+    const next = await tx.incident.findFirst({
+      where: {
+        stationId: incident.stationId,
+        severity: BLOCKING_SEVERITY,
+        status: { in: OPEN_INCIDENT_STATUSES },
+      },
+      orderBy: { createdAt: 'asc' },
+    })
+
+    if (next) {
+      // The station stays out of service: hand the status over
+      await tx.incident.update({
+        where: { id: next.id },
+        data: { restoreStatus: incident.restoreStatus },
+      })
+    } else {
+      await tx.station.updateMany({
+        where: { id: incident.stationId, status: 'maintenance' },
+        data: { status: incident.restoreStatus },
+      })
+    }
+  })
+
+  return findById(id)
+}
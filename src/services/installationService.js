@@ -0,0 +1,78 @@
+import prisma from '../config/prisma.js'
+import * as gameService from './gameService.js'
+import * as stationService from './stationService.js'
+
+/**
+ * Get the games installed on a station
+ * @param {number} stationId - Station ID
+ * @returns {Promise<Array>} Installations with their game, by game name
+ * @throws {Error} If station not found (status 404)
+ */
+export const findByStation = async stationId => {
+  await stationService.findById(stationId)
+
+  return prisma.gameInstallation.findMany({
+    where: { stationId },
+    orderBy: { game: { name: 'asc' } },
+    include: { game: true },
+  })
+}
+
+/**
+ * Get the stations a game is installed on
+ * @param {number} gameId - Game ID
+ * @returns {Promise<Array>} Installations with their station, by station name
+ * @throws {Error} If game not found (status 404)
+ */
+export const findByGame = async gameId => {
+  await gameService.findById(gameId)
+
+  return prisma.gameInstallation.findMany({
+    where: { gameId },
+    orderBy: { station: { name: 'asc' } },
+    include: { station: true },
+  })
+}
+
+/**
+ * Install a game on a station, or update its install status and version
+ * @param {number} stationId - Station ID
+ * @param {number} gameId - Game ID
+ * @param {Object} data - Validated data
+ * @param {string} data.status - installed, updating or broken
+ * @param {string|null} [data.version] - Installed version
+ * @returns {Promise<Object>} Installation with its station and game
+ * @throws {Error} If station or game not found (status 404)
+ */
+export const upsert = async (stationId, gameId, data) => {
+  await Promise.all([
+    stationService.findById(stationId),
+    gameService.findById(gameId),
+  ])
+
+  return prisma.gameInstallation.upsert({
+    where: { stationId_gameId: { stationId, gameId } },
+    create: { stationId, gameId, ...data },
+    update: data,
+    include: { station: true, game: true },
+  })
+}
+
+/**
+ * Uninstall a game from a station
+ * @param {number} stationId - Station ID
+ * @param {number} gameId - Game ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the game is not installed on the station (status 404)
+ */
+export const remove = async (stationId, gameId) => {
+  const { count } = await prisma.gameInstallation.deleteMany({
+    where: { stationId, gameId },
+  })
+
+  if (count === 0) {
+    const error = new Error("Ce jeu n'est pas installé sur cette station")
+    error.status = 404
+    throw error
+  }
+}
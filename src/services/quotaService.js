@@ -0,0 +1,284 @@
+import prisma from '../config/prisma.js'
+import { defaultQuotas } from '../config/quotas.js'
+import { ACTIVE_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+
+const MINUTE = 60 * 1000
+
+// Bookings that count towards hour quotas (cancelled and no-show are free)
+const COUNTED_STATUSES = [...ACTIVE_BOOKING_STATUSES, 'completed']
+
+/**
+ * Get the quota override of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Override, or null if the user has the defaults
+ * @throws {Error} If user not found (status 404)
+ */
+export const findByUserId = async userId => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { quota: true },
+  })
+
+  if (!user) {
+    const error = new Error('Utilisateur non trouvé')
+    error.status = 404
+    throw error
+  }
+
+  return user.quota
+}
+
+/**
+ * Get the quotas applying to a user (override merged over defaults)
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Object>} Effective quotas with an `exempt` flag
+ */
+export const getEffectiveQuota = async (userId, client = prisma) => {
+  const override = await client.userQuota.findUnique({ where: { userId } })
+
+  const quota = { ...defaultQuotas, exempt: false }
+  if (!override) {
+    return quota
+  }
+
+  Object.keys(defaultQuotas).forEach(key => {
+    if (override[key] !== null) {
+      quota[key] = override[key]
+    }
+  })
+  quota.exempt = override.exempt
+
+  return quota
+}
+
+/**
+ * Create or replace the quota override of a user
+ * @param {number} userId - User ID
+ * @param {Object} data - Override (null limits = defaults)
+ * @returns {Promise<Object>} Saved override
+ * @throws {Error} If user not found (status 404)
+ */
+export const upsert = async (userId, data) => {
+  await findByUserId(userId)
+
+  return prisma.userQuota.upsert({
+    where: { userId },
+    create: { ...data, userId },
+    update: data,
+  })
+}
+
+/**
+ * Remove the quota override of a user (back to defaults)
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ * @throws {Error} If user not found (status 404)
+ */
+export const remove = async userId => {
+  await findByUserId(userId)
+
+  await prisma.userQuota.deleteMany({ where: { userId } })
+}
+
+/**
+ * Minutes of the [from, to] window covered by a booking
+ * @param {{ startTime: Date, endTime: Date }} booking - Booking
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {number}
+ */
+const overlapMinutes = (booking, from, to) => {
+  const start = Math.max(booking.startTime.getTime(), from.getTime())
+  const end = Math.min(booking.endTime.getTime(), to.getTime())
+  return Math.max(0, end - start) / MINUTE
+}
+
+/**
+ * Calendar days (local time) touched by a time window
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @returns {Array<{ from: Date, to: Date }>}
+ */
+const daysCovered = (startTime, endTime) => {
+  const days = []
+  const day = new Date(startTime)
+  day.setHours(0, 0, 0, 0)
+
+  while (day < endTime) {
+    const from = new Date(day)
+    day.setDate(day.getDate() + 1)
+    days.push({ from, to: new Date(day) })
+  }
+
+  return days
+}
+
+/**
+ * Keep a single booking per group or series
+ * - a group booking counts once towards its captain's quotas (the captain
+ *   plays one seat, the team the others)
+ * - a recurring series counts once towards concurrent bookings
+ * @param {Array} bookings - Bookings of the owner
+ * @param {string} field - groupId or seriesId
+ * @param {number} [current] - Group or series of the request, left out entirely
+ * @returns {Array}
+ */
+const onePer = (bookings, field, current) => {
+  const seen = new Set(current ? [current] : [])
+
+  return bookings.filter(booking => {
+    if (!booking[field]) {
+      return true
+    }
+    if (seen.has(booking[field])) {
+      return false
+    }
+    seen.add(booking[field])
+    return true
+  })
+}
+
+/**
+ * Check a booking request against the quotas of its owner
+ * @param {Object} request - Booking being created or moved
+ * @param {number} request.userId - Owner
+ * @param {number} request.stationId - Station
+ * @param {Date} request.startTime - Start
+ * @param {Date} request.endTime - End
+ * @param {number} [request.excludeBookingId] - Booking being moved
+ * @param {number} [request.groupId] - Group booking the request belongs to
+ * @param {number} [request.seriesId] - Recurring series the request belongs to
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<Array<{ rule: string, limit: number, actual: number, message: string }>>}
+ */
+export const checkQuotas = async (request, client = prisma) => {
+  const {
+    userId,
+    stationId,
+    startTime,
+    endTime,
+    excludeBookingId,
+    groupId,
+    seriesId,
+  } = request
+  const quota = await getEffectiveQuota(userId, client)
+
+  if (quota.exempt) {
+    return []
+  }
+
+  const [ownBookings, station] = await Promise.all([
+    client.booking.findMany({
+      where: {
+        userId,
+        status: { in: COUNTED_STATUSES },
+        ...(excludeBookingId && { NOT: { id: excludeBookingId } }),
+      },
+      include: { station: { select: { isPremium: true } } },
+    }),
+    client.station.findUnique({ where: { id: stationId } }),
+  ])
+
+  const bookings = onePer(ownBookings, 'groupId', groupId)
+  const violations = []
+  const now = new Date()
+  const requested = { startTime, endTime }
+
+  // Concurrent bookings: active ones not ended yet, plus this one
+  const concurrent =
+    onePer(
+      bookings.filter(
+        booking =>
+          ACTIVE_BOOKING_STATUSES.includes(booking.status) &&
+          booking.endTime > now
+      ),
+      'seriesId',
+      seriesId
+    ).length + 1
+  if (concurrent > quota.maxConcurrentBookings) {
+    violations.push({
+      rule: 'maxConcurrentBookings',
+      limit: quota.maxConcurrentBookings,
+      actual: concurrent,
+      message: `Vous ne pouvez pas avoir plus de ${quota.maxConcurrentBookings} réservations en cours`,
+    })
+  }
+
+  // Hours per calendar day
+  daysCovered(startTime, endTime).forEach(({ from, to }) => {
+    const minutes = [...bookings, requested].reduce(
+      (total, booking) => total + overlapMinutes(booking, from, to),
+      0
+    )
+    if (minutes > quota.maxHoursPerDay * 60) {
+      violations.push({
+        rule: 'maxHoursPerDay',
+        limit: quota.maxHoursPerDay,
+        actual: minutes / 60,
+        message: `Vous ne pouvez pas réserver plus de ${quota.maxHoursPerDay} heures le ${from.toLocaleDateString('fr-FR')}`,
+      })
+    }
+  })
+
+  // Hours on premium stations over the whole event
+  if (station?.isPremium) {
+    const minutes = [...bookings.filter(b => b.station.isPremium), requested]
+      .map(booking => (booking.endTime - booking.startTime) / MINUTE)
+      .reduce((total, value) => total + value, 0)
+    if (minutes > quota.maxPremiumHours * 60) {
+      violations.push({
+        rule: 'maxPremiumHours',
+        limit: quota.maxPremiumHours,
+        actual: minutes / 60,
+        message: `Vous ne pouvez pas réserver plus de ${quota.maxPremiumHours} heures sur les stations premium`,
+      })
+    }
+  }
+
+  // Cooldown between two sessions on the same station, bookings of the same
+  // group or series are back to back on purpose
+  const cooldown = quota.cooldownMinutes * MINUTE
+  const tooClose = ownBookings.find(
+    booking =>
+      booking.stationId === stationId &&
+      (!groupId || booking.groupId !== groupId) &&
+      (!seriesId || booking.seriesId !== seriesId) &&
+      booking.startTime.getTime() < endTime.getTime() + cooldown &&
+      booking.endTime.getTime() > startTime.getTime() - cooldown
+  )
+  if (tooClose) {
+    violations.push({
+      rule: 'cooldownMinutes',
+      limit: quota.cooldownMinutes,
+      actual: Math.max(
+        0,
+        Math.round(
+          Math.max(startTime - tooClose.endTime, tooClose.startTime - endTime) /
+            MINUTE
+        )
+      ),
+      message: `Il faut attendre ${quota.cooldownMinutes} minutes entre deux sessions sur la même station`,
+    })
+  }
+
+  return violations
+}
+
+/**
+ * Reject a booking request that breaks a quota
+ * @param {Object} request - See checkQuotas
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<void>}
+ * @throws {Error} If at least one quota is exceeded (status 422, details.violations)
+ */
+export const assertWithinQuotas = async (request, client = prisma) => {
+  const violations = await checkQuotas(request, client)
+
+  if (violations.length > 0) {
+    const error = new Error('Quota de réservation dépassé')
+    error.status = 422
+    error.details = { violations }
+    throw error
+  }
+}
@@ -0,0 +1,132 @@
+import { eventSchedule } from '../config/event.js'
+import { isStaff } from '../middlewares/policy.js'
+
+const MINUTE = 60 * 1000
+
+/**
+ * Check that a date falls on the slot grid (local time, whole minutes)
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+const isOnSlotGrid = date => {
+  const minutesOfDay = date.getHours() * 60 + date.getMinutes()
+  return (
+    date.getSeconds() === 0 &&
+    date.getMilliseconds() === 0 &&
+    minutesOfDay % eventSchedule.slotMinutes === 0
+  )
+}
+
+/**
+ * First time on the slot grid at or after a date
+ * @param {Date} date - Date to round up
+ * @returns {Date}
+ */
+export const nextSlotStart = date => {
+  const slot = new Date(date)
+  slot.setSeconds(0, 0)
+  if (slot < date) {
+    slot.setMinutes(slot.getMinutes() + 1)
+  }
+
+  const minutesOfDay = slot.getHours() * 60 + slot.getMinutes()
+  const remainder = minutesOfDay % eventSchedule.slotMinutes
+  if (remainder > 0) {
+    slot.setMinutes(slot.getMinutes() + eventSchedule.slotMinutes - remainder)
+  }
+
+  return slot
+}
+
+/**
+ * Check that a time window fits inside one opening period of the venue
+ * Opening periods starting the day before are considered too, so that
+ * overnight opening hours (e.g. 18:00 → 04:00) are handled
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @returns {boolean}
+ */
+export const isWithinOpeningHours = (startTime, endTime) => {
+  const { openingMinutes, closingMinutes } = eventSchedule
+
+  if (openingMinutes === closingMinutes) {
+    return true
+  }
+
+  const openDuration =
+    (closingMinutes - openingMinutes + 24 * 60) % (24 * 60) || 24 * 60
+
+  return [-1, 0].some(dayOffset => {
+    const opening = new Date(startTime)
+    opening.setDate(opening.getDate() + dayOffset)
+    opening.setHours(0, openingMinutes, 0, 0)
+    const closing = new Date(opening.getTime() + openDuration * MINUTE)
+    return opening <= startTime && endTime <= closing
+  })
+}
+
+/**
+ * Validate a booking window against the event schedule
+ * @param {Date} startTime - Booking start
+ * @param {Date} endTime - Booking end
+ * @param {{ role: string }} [actor] - User booking: participants cannot start
+ * in the past, staff can (and so can internal calls, without actor)
+ * @returns {Array<{ field: string, message: string }>} Rule violations (empty if valid)
+ */
+export const validateBookingWindow = (startTime, endTime, actor) => {
+  const errors = []
+  const {
+    start,
+    end,
+    slotMinutes,
+    minDurationMinutes,
+    maxDurationMinutes,
+    openingTime,
+    closingTime,
+  } = eventSchedule
+
+  if (actor && !isStaff(actor) && startTime < new Date()) {
+    errors.push({
+      field: 'startTime',
+      message: 'Le début ne peut pas être dans le passé',
+    })
+  }
+
+  if (!isOnSlotGrid(startTime)) {
+    errors.push({
+      field: 'startTime',
+      message: `Le début doit tomber sur un créneau de ${slotMinutes} minutes`,
+    })
+  }
+
+  if (!isOnSlotGrid(endTime)) {
+    errors.push({
+      field: 'endTime',
+      message: `La fin doit tomber sur un créneau de ${slotMinutes} minutes`,
+    })
+  }
+
+  const duration = (endTime - startTime) / MINUTE
+  if (duration < minDurationMinutes || duration > maxDurationMinutes) {
+    errors.push({
+      field: 'endTime',
+      message: `La durée doit être comprise entre ${minDurationMinutes} et ${maxDurationMinutes} minutes`,
+    })
+  }
+
+  if ((start && startTime < start) || (end && endTime > end)) {
+    errors.push({
+      field: 'startTime',
+      message: "La réservation doit se situer pendant l'événement",
+    })
+  }
+
+  if (!isWithinOpeningHours(startTime, endTime)) {
+    errors.push({
+      field: 'startTime',
+      message: `La réservation doit se situer dans les horaires d'ouverture (${openingTime} - ${closingTime})`,
+    })
+  }
+
+  return errors
+}
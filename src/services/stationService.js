@@ -1,4 +1,50 @@
 import prisma from '../config/prisma.js'
+import { ACTIVE_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+import {
+  SPEC_RANGE_FIELDS,
+  rangeParams,
+  withHardwareSpecs,
+} from '../utils/hardwareSpecs.js'
+
+// Hardware fields that can be searched by substring
+export const HARDWARE_FIELDS = ['cpu', 'gpu', 'ram', 'storage']
+
+/**
+ * Include loading what occupancy needs: the running booking and the next one
+ * @param {Date} at - Time of the occupancy
+ * @returns {Object} Prisma include
+ */
+export const occupancyInclude = at => ({
+  bookings: {
+    where: { status: { in: ACTIVE_BOOKING_STATUSES }, endTime: { gt: at } },
+    orderBy: { startTime: 'asc' },
+    take: 2,
+    select: { startTime: true, endTime: true },
+  },
+})
+
+/**
+ * Replace the bookings loaded by occupancyInclude with the station occupancy
+ * - occupied: an active booking is running, busyUntil is its end
+ * - free: nothing running
+ * nextBookingAt is the start of the first booking after the running one
+ * @param {Object} station - Station loaded with occupancyInclude
+ * @param {Date} at - Time of the occupancy
+ * @returns {Object} Station with occupancy: { state, busyUntil, nextBookingAt }
+ */
+export const withOccupancy = ({ bookings, ...station }, at) => {
+  const running = bookings[0]?.startTime <= at ? bookings[0] : null
+  const next = running ? bookings[1] : bookings[0]
+
+  return {
+    ...station,
+    occupancy: {
+      state: running ? 'occupied' : 'free',
+      busyUntil: running?.endTime ?? null,
+      nextBookingAt: next?.startTime ?? null,
+    },
+  }
+}
 
 /**
  * Count total stations
@@ -9,9 +55,15 @@ export const count = () => {
 }
 
 /**
- * Get all stations with filters and pagination
+ * Get all stations with filters and pagination, with their occupancy
  * @param {Object} filters - Optional filters
  * @param {string} [filters.status] - Filter by status
+ * @param {number} [filters.gameId] - Only stations where this game is installed
+ * @param {string} [filters.storageType] - nvme, ssd or hdd
+ * @param {string} [filters.gpuVendor] - nvidia, amd or intel
+ * @param {number} [filters.minRamGb] - Range bounds of every numeric spec
+ * (minRamGb, maxRamGb, minGpuVramGb...), stations with an unknown value are
+ * left out
  * @param {number} [filters.limit] - Max number of results
  * @param {number} [filters.offset] - Pagination offset
  * @returns {Promise<{ total: number, count: number, stations: Array }>}
@@ -19,12 +71,29 @@ export const count = () => {
 export const findAll = async (filters = {}) => {
   const limit = parseInt(filters.limit) || 10
   const offset = parseInt(filters.offset) || 0
+  const gameId = parseInt(filters.gameId)
 
   const where = {}
   if (filters.status) {
     where.status = filters.status
   }
+  if (gameId) {
+    where.installations = { some: { gameId, status: 'installed' } }
+  }
+  if (filters.storageType) {
+    where.storageType = filters.storageType
+  }
+  if (filters.gpuVendor) {
+    where.gpuVendor = filters.gpuVendor
+  }
+  SPEC_RANGE_FIELDS.forEach(field => {
+    const { min, max } = rangeParams(field)
+    if (filters[min] !== undefined || filters[max] !== undefined) {
+      where[field] = { gte: filters[min], lte: filters[max] }
+    }
+  })
 
+  const now = new Date()
   const [total, stations] = await Promise.all([
     prisma.station.count({ where }),
     prisma.station.findMany({
@@ -32,30 +101,119 @@ export const findAll = async (filters = {}) => {
       skip: offset,
       take: limit,
       orderBy: { name: 'asc' },
+      include: occupancyInclude(now),
     }),
   ])
 
-  return { total, count: stations.length, stations }
+  return {
+    total,
+    count: stations.length,
+    stations: stations.map(station => withOccupancy(station, now)),
+  }
 }
 
 /**
- * Get all stations without pagination (for views)
+ * Get all stations without pagination (for views), with their occupancy
  * @returns {Promise<Array>}
  */
-export const findAllSimple = () => {
-  return prisma.station.findMany({
+export const findAllSimple = async () => {
+  const now = new Date()
+  const stations = await prisma.station.findMany({
+    orderBy: { name: 'asc' },
+    include: occupancyInclude(now),
+  })
+
+  return stations.map(station => withOccupancy(station, now))
+}
+
+/**
+ * Find stations free for a whole time window
+ * Only stations in service (available) count, hardware filters match by
+ * substring. Per-slot counts cover the requested window only (slots from
+ * start, the last one cut at end), not the rest of the event
+ * @param {Object} query - Validated availability query
+ * @param {Date} query.start - Window start
+ * @param {Date} query.end - Window end
+ * @param {number} query.slotMinutes - Slot size for the per-slot counts
+ * @param {string} [query.cpu] - CPU filter
+ * @param {string} [query.gpu] - GPU filter
+ * @param {string} [query.ram] - RAM filter
+ * @param {string} [query.storage] - Storage filter
+ * @returns {Promise<{ start: Date, end: Date, slotMinutes: number, total: number, stations: Array, slots: Array }>}
+ */
+export const findAvailable = async query => {
+  const { start, end, slotMinutes } = query
+
+  const where = { status: 'available' }
+  HARDWARE_FIELDS.forEach(field => {
+    if (query[field]) {
+      where[field] = { contains: query[field] }
+    }
+  })
+
+  const stations = await prisma.station.findMany({
+    where,
     orderBy: { name: 'asc' },
+    include: {
+      bookings: {
+        where: {
+          status: { in: ACTIVE_BOOKING_STATUSES },
+          startTime: { lt: end },
+          endTime: { gt: start },
+        },
+        select: { startTime: true, endTime: true },
+      },
+    },
   })
+
+  const isFreeBetween = (station, from, to) =>
+    !station.bookings.some(
+      booking => booking.startTime < to && booking.endTime > from
+    )
+
+  const slots = []
+  for (
+    let slotStart = start.getTime();
+    slotStart < end.getTime();
+    slotStart += slotMinutes * 60 * 1000
+  ) {
+    const from = new Date(slotStart)
+    const to = new Date(
+      Math.min(slotStart + slotMinutes * 60 * 1000, end.getTime())
+    )
+    slots.push({
+      start: from,
+      end: to,
+      free: stations.filter(station => isFreeBetween(station, from, to)).length,
+    })
+  }
+
+  const freeStations = stations
+    .filter(station => station.bookings.length === 0)
+    .map(({ bookings: _bookings, ...station }) => station)
+
+  return {
+    start,
+    end,
+    slotMinutes,
+    total: freeStations.length,
+    stations: freeStations,
+    slots,
+  }
 }
 
 /**
- * Get a station by its ID
+ * Get a station by its ID, with its occupancy
  * @param {number} id - Station ID
  * @returns {Promise<Object>}
  * @throws {Error} If station not found (status 404)
  */
 export const findById = async id => {
-  const station = await prisma.station.findUnique({ where: { id } })
+  const now = new Date()
+  const station = await prisma.station.findUnique({
+    where: { id },
+    include: occupancyInclude(now),
+  })
 
   if (!station) {
     const error = new Error('Station not found')
@@ -63,31 +221,62 @@ export const findById = async id => {
     throw error
   }
 
-  return station
+  return withOccupancy(station, now)
+}
+
+/**
+ * Check that no other station stands on a floor plan cell
+ * @param {number|null} [mapX] - Column, nothing to check when empty
+ * @param {number|null} [mapY] - Row
+ * @param {number} [exceptId] - Station being moved
+ * @returns {Promise<void>}
+ * @throws {Error} If another station already stands on the cell (status 409)
+ */
+export const assertCellFree = async (mapX, mapY, exceptId) => {
+  if (mapX === null || mapX === undefined) {
+    return
+  }
+
+  const occupant = await prisma.station.findFirst({
+    where: { mapX, mapY, ...(exceptId && { id: { not: exceptId } }) },
+  })
+
+  if (occupant) {
+    const error = new Error(`Cette case est déjà occupée par ${occupant.name}`)
+    error.status = 409
+    throw error
+  }
 }
 
 /**
  * Create a new station
+ * Structured specs left empty are deduced from the text fields
  * @param {Object} data - Station data
  * @returns {Promise<Object>} Created station
+ * @throws {Error} If another station stands on its floor plan cell (status 409)
  */
-export const create = data => {
-  return prisma.station.create({ data })
+export const create = async data => {
+  await assertCellFree(data.mapX, data.mapY)
+
+  return prisma.station.create({ data: withHardwareSpecs(data) })
 }
 
 /**
  * Update a station
+ * Structured specs left empty are deduced from the new text fields
  * @param {number} id - Station ID
  * @param {Object} data - New data
  * @returns {Promise<Object>} Updated station
  * @throws {Error} If station not found (status 404)
+ * @throws {Error} If another station stands on its floor plan cell (status 409)
  */
 export const update = async (id, data) => {
-  await findById(id)
+  const station = await findById(id)
+  await assertCellFree(data.mapX, data.mapY, id)
 
   return prisma.station.update({
     where: { id },
-    data,
+    data: withHardwareSpecs(data, station),
   })
 }
 
@@ -0,0 +1,190 @@
+import prisma from '../config/prisma.js'
+import { TEMPLATE_FIELDS } from '../schemas/stationTemplateSchema.js'
+import { withHardwareSpecs } from '../utils/hardwareSpecs.js'
+
+/**
+ * Get all station templates
+ * @returns {Promise<Array>} Templates sorted by name
+ */
+export const findAll = () => {
+  return prisma.stationTemplate.findMany({ orderBy: { name: 'asc' } })
+}
+
+/**
+ * Get a station template by its ID
+ * @param {number} id - Template ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If template not found (status 404)
+ */
+export const findById = async id => {
+  const template = await prisma.stationTemplate.findUnique({ where: { id } })
+
+  if (!template) {
+    const error = new Error('Modèle introuvable')
+    error.status = 404
+    throw error
+  }
+
+  return template
+}
+
+/**
+ * Check that no other template carries a name
+ * @param {string} name - Template name
+ * @param {number} [exceptId] - Template being updated
+ * @returns {Promise<void>}
+ * @throws {Error} If the name is already used (status 409)
+ */
+const assertNameFree = async (name, exceptId) => {
+  const existing = await prisma.stationTemplate.findUnique({ where: { name } })
+
+  if (existing && existing.id !== exceptId) {
+    const error = new Error(`Le modèle ${name} existe déjà`)
+    error.status = 409
+    throw error
+  }
+}
+
+/**
+ * Create a station template
+ * Structured specs left empty are deduced from the text fields
+ * @param {Object} data - Validated template data
+ * @returns {Promise<Object>} Created template
+ * @throws {Error} If the name is already used (status 409)
+ */
+export const create = async data => {
+  await assertNameFree(data.name)
+
+  return prisma.stationTemplate.create({ data: withHardwareSpecs(data) })
+}
+
+/**
+ * Update a station template
+ * Stations created from it keep their specs until it is applied again
+ * @param {number} id - Template ID
+ * @param {Object} data - Validated template data
+ * @returns {Promise<Object>} Updated template
+ * @throws {Error} If template not found (status 404)
+ * @throws {Error} If the name is already used (status 409)
+ */
+export const update = async (id, data) => {
+  const template = await findById(id)
+  await assertNameFree(data.name, id)
+
+  return prisma.stationTemplate.update({
+    where: { id },
+    data: withHardwareSpecs(data, template),
+  })
+}
+
+/**
+ * Delete a station template, stations made from it are left as they are
+ * @param {number} id - Template ID
+ * @returns {Promise<void>}
+ * @throws {Error} If template not found (status 404)
+ */
+export const remove = async id => {
+  await findById(id)
+
+  await prisma.stationTemplate.delete({ where: { id } })
+}
+
+/**
+ * Station fields set by a template
+ * @param {Object} template - Template
+ * @returns {Object} Hardware, structured specs and peripherals
+ */
+const templateData = template =>
+  Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, template[field]]))
+
+/**
+ * Create numbered stations with the hardware of a template
+ * Numbers are zero-padded to at least 2 digits: PC- from 1 gives PC-01,
+ * PC-02... Seats follow each other from firstSeat when given
+ * @param {number} id - Template ID
+ * @param {Object} data - Validated batch (see stationBatchSchema)
+ * @param {string} data.prefix - Name before the number
+ * @param {number} data.start - First number
+ * @param {number} data.count - Number of stations
+ * @param {number|null} [data.firstSeat] - Seat of the first station
+ * @returns {Promise<Array>} Created stations, in number order
+ * @throws {Error} If template not found (status 404)
+ * @throws {Error} If a station already has one of the names (status 409)
+ */
+export const createStations = async (
+  id,
+  { prefix, start, count, firstSeat, ...location }
+) => {
+  const template = await findById(id)
+
+  const width = Math.max(2, String(start + count - 1).length)
+  const names = Array.from(
+    { length: count },
+    (_, index) => `${prefix}${String(start + index).padStart(width, '0')}`
+  )
+
+  // Names are compared without case: PC-01 and pc-01 are the same machine
+  const wanted = new Set(names.map(name => name.toLowerCase()))
+  const stations = await prisma.station.findMany({ select: { name: true } })
+  const taken = stations
+    .map(station => station.name)
+    .filter(name => wanted.has(name.toLowerCase()))
+
+  if (taken.length > 0) {
+    const error = new Error(`Ces stations existent déjà : ${taken.join(', ')}`)
+    error.status = 409
+    error.details = { names: taken }
+    throw error
+  }
+
+  const data = templateData(template)
+
+  return prisma.$transaction(
+    names.map((name, index) =>
+      prisma.station.create({
+        data: {
+          ...data,
+          ...location,
+          name,
+          ...(firstSeat && { seat: firstSeat + index }),
+        },
+      })
+    )
+  )
+}
+
+/**
+ * Apply a template to existing stations, e.g. after a hardware swap
+ * Only hardware, specs and peripherals change: name, status and location
+ * stay as they are
+ * @param {number} id - Template ID
+ * @param {{ stationIds: Array<number> }} data - Validated data
+ * @returns {Promise<Array>} Updated stations
+ * @throws {Error} If the template or a station is not found (status 404)
+ */
+export const applyToStations = async (id, { stationIds }) => {
+  const template = await findById(id)
+  const ids = [...new Set(stationIds)]
+
+  const stations = await prisma.station.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  })
+  const found = new Set(stations.map(station => station.id))
+  const missing = ids.filter(stationId => !found.has(stationId))
+
+  if (missing.length > 0) {
+    const error = new Error(`Stations introuvables : ${missing.join(', ')}`)
+    error.status = 404
+    error.details = { stationIds: missing }
+    throw error
+  }
+
+  const data = templateData(template)
+
+  return prisma.$transaction(
+    ids.map(stationId =>
+      prisma.station.update({ where: { id: stationId }, data })
+    )
+  )
+}
@@ -0,0 +1,136 @@
+import { eventSchedule } from '../config/event.js'
+import { RELEASED_BOOKING_STATUSES } from '../config/bookingLifecycle.js'
+import * as bookingService from './bookingService.js'
+import * as stationService from './stationService.js'
+
+const MINUTE = 60 * 1000
+const DAY_MINUTES = 24 * 60
+
+/**
+ * Zoom levels of the timeline
+ * - spanMinutes: width of the window (event = whole event)
+ * - columnMinutes: width of a header column
+ */
+export const TIMELINE_ZOOMS = {
+  hour: { label: 'Heures', spanMinutes: 6 * 60, columnMinutes: 30 },
+  day: { label: 'Jour', spanMinutes: DAY_MINUTES, columnMinutes: 60 },
+  event: { label: 'Evenement', spanMinutes: null, columnMinutes: 6 * 60 },
+}
+
+/**
+ * Start of the local day of a date
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+const startOfDay = date => {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+/**
+ * Window shown by the whole event zoom
+ * Falls back to the days covered by bookings when the event has no dates
+ * @param {Array} bookings - Bookings not released
+ * @returns {{ from: Date, to: Date }}
+ */
+const eventWindow = bookings => {
+  if (eventSchedule.start && eventSchedule.end) {
+    return {
+      from: startOfDay(eventSchedule.start),
+      to: new Date(
+        startOfDay(eventSchedule.end).getTime() + DAY_MINUTES * MINUTE
+      ),
+    }
+  }
+
+  const starts = bookings.map(booking => booking.startTime.getTime())
+  const ends = bookings.map(booking => booking.endTime.getTime())
+  const from = startOfDay(starts.length ? Math.min(...starts) : Date.now())
+  const lastDay = startOfDay(ends.length ? Math.max(...ends) - 1 : from)
+
+  return {
+    from,
+    to: new Date(lastDay.getTime() + DAY_MINUTES * MINUTE),
+  }
+}
+
+/**
+ * Position of a booking in the window, in percent of its width
+ * Bookings overflowing the window are clipped to its edges
+ * @param {Object} booking - Booking
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {{ left: number, width: number }}
+ */
+const placeInWindow = (booking, from, to) => {
+  const span = to - from
+  const start = Math.max(booking.startTime.getTime(), from.getTime())
+  const end = Math.min(booking.endTime.getTime(), to.getTime())
+
+  return {
+    left: ((start - from) / span) * 100,
+    width: ((end - start) / span) * 100,
+  }
+}
+
+/**
+ * Build the station timeline: one row per station, bookings placed on a
+ * time axis (cancelled and no-show bookings are left out)
+ * @param {Object} options - Timeline options
+ * @param {string} options.zoom - Zoom level (hour, day, event)
+ * @param {Date} options.anchor - Start of the window (ignored for event)
+ * @returns {Promise<Object>} Window, columns, rows and navigation anchors
+ */
+export const buildTimeline = async ({ zoom, anchor }) => {
+  const level = TIMELINE_ZOOMS[zoom]
+  let from = anchor
+  let to = new Date(anchor.getTime() + level.spanMinutes * MINUTE)
+
+  const [stations, bookings] = await Promise.all([
+    stationService.findAllSimple(),
+    bookingService.findAllSimple(zoom === 'event' ? {} : { from, to }),
+  ])
+  const shown = bookings.filter(
+    booking => !RELEASED_BOOKING_STATUSES.includes(booking.status)
+  )
+
+  if (zoom === 'event') {
+    ;({ from, to } = eventWindow(shown))
+  }
+
+  const columns = []
+  for (
+    let time = from.getTime();
+    time < to.getTime();
+    time += level.columnMinutes * MINUTE
+  ) {
+    columns.push(new Date(time))
+  }
+
+  const rows = stations.map(station => ({
+    station,
+    bookings: shown
+      .filter(
+        booking =>
+          booking.stationId === station.id &&
+          booking.startTime < to &&
+          booking.endTime > from
+      )
+      .map(booking => ({ ...booking, ...placeInWindow(booking, from, to) })),
+  }))
+
+  return {
+    zoom,
+    from,
+    to,
+    columns,
+    columnMinutes: level.columnMinutes,
+    slotMinutes: eventSchedule.slotMinutes,
+    rows,
+    previous:
+      level.spanMinutes &&
+      new Date(from.getTime() - level.spanMinutes * MINUTE),
+    next: level.spanMinutes && to,
+  }
+}
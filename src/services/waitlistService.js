@@ -0,0 +1,436 @@
+import prisma from '../config/prisma.js'
+import { env } from '../config/env.js'
+import { ROLES } from '../config/roles.js'
+import { canManage, isOwner, isStaff } from '../middlewares/policy.js'
+import * as bookingService from './bookingService.js'
+import { HARDWARE_FIELDS } from './stationService.js'
+import { nextSlotStart, validateBookingWindow } from './scheduleService.js'
+
+const MINUTE = 60 * 1000
+
+// Actor used for automatic transitions (expired offers)
+const SYSTEM_ACTOR = { userId: null, role: ROLES.STAFF }
+
+// Errors meaning a waiter cannot take a released slot (rules, conflict, quota)
+const INELIGIBLE_STATUSES = [400, 409, 422]
+
+const entryInclude = {
+  user: { select: { id: true, username: true } },
+  station: true,
+  booking: true,
+}
+
+/**
+ * Parse the stored hardware criteria of an entry
+ * @param {Object} entry - Waitlist entry
+ * @returns {Object} Criteria (empty object if none)
+ */
+const parseCriteria = entry =>
+  entry.criteria ? JSON.parse(entry.criteria) : {}
+
+/**
+ * Check if a station matches hardware criteria (case-insensitive substring)
+ * @param {Object} station - Station
+ * @param {Object} criteria - Criteria (cpu, gpu, ram, storage)
+ * @returns {boolean}
+ */
+const matchesCriteria = (station, criteria) =>
+  HARDWARE_FIELDS.every(
+    field =>
+      !criteria[field] ||
+      station[field].toLowerCase().includes(criteria[field].toLowerCase())
+  )
+
+/**
+ * Check if two waiting entries compete for the same slot
+ * Entries without station compete with every overlapping entry
+ * @param {Object} a - Waitlist entry
+ * @param {Object} b - Waitlist entry
+ * @returns {boolean}
+ */
+const competes = (a, b) =>
+  a.startTime < b.endTime &&
+  a.endTime > b.startTime &&
+  (a.stationId === null || b.stationId === null || a.stationId === b.stationId)
+
+/**
+ * Add the queue position to entries (null when not waiting)
+ * @param {Array} entries - Waitlist entries
+ * @returns {Promise<Array>}
+ */
+const withPositions = async entries => {
+  const waiting = await prisma.waitlistEntry.findMany({
+    where: { status: 'waiting' },
+    orderBy: { id: 'asc' },
+  })
+
+  return entries.map(entry => ({
+    ...entry,
+    criteria: parseCriteria(entry),
+    position:
+      entry.status === 'waiting'
+        ? waiting.filter(other => other.id < entry.id && competes(other, entry))
+            .length + 1
+        : null,
+  }))
+}
+
+/**
+ * Get a waitlist entry by its ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>}
+ * @throws {Error} If entry not found (status 404)
+ */
+export const findById = async id => {
+  const entry = await prisma.waitlistEntry.findUnique({
+    where: { id },
+    include: entryInclude,
+  })
+
+  if (!entry) {
+    const error = new Error("Inscription en liste d'attente introuvable")
+    error.status = 404
+    throw error
+  }
+
+  return entry
+}
+
+/**
+ * Close an offer and release its pending booking to the next waiter
+ * @param {Object} entry - Offered entry
+ * @param {string} status - Final entry status (declined, expired, cancelled)
+ * @param {Object} actor - User (or system) closing the offer
+ * @returns {Promise<void>}
+ */
+const releaseOffer = async (entry, status, actor) => {
+  await prisma.waitlistEntry.update({
+    where: { id: entry.id },
+    data: { status },
+  })
+
+  if (!entry.bookingId) {
+    return
+  }
+
+  try {
+    await bookingService.transition(entry.bookingId, 'cancel', actor)
+  } catch (error) {
+    // Booking already cancelled or confirmed in the meantime
+    if (error.status !== 409) {
+      throw error
+    }
+  }
+}
+
+/**
+ * Expire offers past their deadline and entries whose window is over
+ * Expired offers release their pending booking to the next waiter
+ * @returns {Promise<void>}
+ */
+export const expireStaleOffers = async () => {
+  const now = new Date()
+
+  await prisma.waitlistEntry.updateMany({
+    where: { status: 'waiting', endTime: { lte: now } },
+    data: { status: 'expired' },
+  })
+
+  const staleOffers = await prisma.waitlistEntry.findMany({
+    where: { status: 'offered', offerExpiresAt: { lt: now } },
+    orderBy: { id: 'asc' },
+  })
+
+  for (const entry of staleOffers) {
+    // Sequential on purpose: each release may offer the slot to the next waiter
+    // eslint-disable-next-line no-await-in-loop
+    await releaseOffer(entry, 'expired', SYSTEM_ACTOR)
+  }
+}
+
+/**
+ * List waitlist entries with their queue position
+ * Participants see their own entries, staff see everyone's
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @param {Object} [filters] - Validated query (see waitlistQuerySchema)
+ * @param {string} [filters.status] - Filter by status
+ * @param {number} [filters.userId] - Filter by user (staff only)
+ * @returns {Promise<Array>}
+ */
+export const findAll = async (actor, filters = {}) => {
+  await expireStaleOffers()
+
+  const where = {}
+  if (!isStaff(actor)) {
+    where.userId = actor.userId
+  } else if (filters.userId) {
+    where.userId = filters.userId
+  }
+  if (filters.status) {
+    where.status = filters.status
+  }
+
+  const entries = await prisma.waitlistEntry.findMany({
+    where,
+    orderBy: { startTime: 'asc' },
+    include: entryInclude,
+  })
+
+  return withPositions(entries)
+}
+
+/**
+ * Join the waitlist for a station, or any station matching criteria
+ * @param {Object} data - Validated entry data
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Created entry with its queue position
+ * @throws {Error} If the window breaks a schedule rule (status 400)
+ * @throws {Error} If station not found (status 404)
+ * @throws {Error} If a matching station is free, or already queued (status 409)
+ */
+export const join = async (data, actor) => {
+  const { stationId, criteria = {}, startTime, endTime } = data
+
+  const errors = validateBookingWindow(startTime, endTime, actor)
+  if (errors.length > 0) {
+    const error = new Error('Créneau de réservation invalide')
+    error.status = 400
+    error.errors = errors
+    throw error
+  }
+
+  const stations = await prisma.station.findMany({
+    where: stationId ? { id: stationId } : { status: 'available' },
+  })
+
+  if (stationId && stations.length === 0) {
+    const error = new Error('Station not found')
+    error.status = 404
+    throw error
+  }
+
+  const candidates = stationId
+    ? stations
+    : stations.filter(station => matchesCriteria(station, criteria))
+  const availability = await Promise.all(
+    candidates.map(station =>
+      bookingService.isStationAvailable(station.id, startTime, endTime)
+    )
+  )
+  const freeStation = candidates.find(
+    (station, index) => station.status === 'available' && availability[index]
+  )
+
+  if (freeStation) {
+    const error = new Error(
+      `La station "${freeStation.name}" est libre sur ce créneau, réservez-la directement`
+    )
+    error.status = 409
+    throw error
+  }
+
+  const duplicate = await prisma.waitlistEntry.findFirst({
+    where: {
+      userId: actor.userId,
+      stationId: stationId ?? null,
+      status: { in: ['waiting', 'offered'] },
+      startTime,
+      endTime,
+    },
+  })
+
+  if (duplicate) {
+    const error = new Error("Vous êtes déjà en liste d'attente pour ce créneau")
+    error.status = 409
+    throw error
+  }
+
+  const entry = await prisma.waitlistEntry.create({
+    data: {
+      userId: actor.userId,
+      stationId: stationId ?? null,
+      criteria: stationId ? null : JSON.stringify(criteria),
+      startTime,
+      endTime,
+    },
+    include: entryInclude,
+  })
+
+  const [withPosition] = await withPositions([entry])
+  return withPosition
+}
+
+/**
+ * Offer a released slot to the first eligible waiters
+ * Each offer is a pending booking the waiter must confirm before the deadline
+ * Only the part still ahead is offered: a window that has already started
+ * (no-show, late cancel, early check-out) is offered from the next slot
+ * @param {Object} booking - Booking that was cancelled, marked no-show or
+ * completed early
+ * @returns {Promise<void>}
+ */
+export const offerReleasedSlot = async booking => {
+  // The released booking may itself be an offer turned down via /cancel
+  await prisma.waitlistEntry.updateMany({
+    where: { bookingId: booking.id, status: 'offered' },
+    data: { status: 'declined' },
+  })
+
+  const station = await prisma.station.findUnique({
+    where: { id: booking.stationId },
+  })
+
+  const upcoming = nextSlotStart(new Date())
+  const from = booking.startTime > upcoming ? booking.startTime : upcoming
+
+  if (!station || station.status !== 'available' || from >= booking.endTime) {
+    return
+  }
+
+  const candidates = await prisma.waitlistEntry.findMany({
+    where: {
+      status: 'waiting',
+      OR: [{ stationId: station.id }, { stationId: null }],
+      startTime: { lt: booking.endTime },
+      endTime: { gt: from },
+    },
+    orderBy: { id: 'asc' },
+  })
+
+  for (const entry of candidates) {
+    if (!entry.stationId && !matchesCriteria(station, parseCriteria(entry))) {
+      continue
+    }
+
+    try {
+      // Sequential on purpose: the first waiter in line gets the slot
+      // eslint-disable-next-line no-await-in-loop
+      const offered = await bookingService.create(
+        {
+          userId: entry.userId,
+          stationId: station.id,
+          startTime: entry.startTime > upcoming ? entry.startTime : upcoming,
+          endTime: entry.endTime,
+        },
+        { status: 'pending' }
+      )
+
+      // eslint-disable-next-line no-await-in-loop
+      await prisma.waitlistEntry.update({
+        where: { id: entry.id },
+        data: {
+          status: 'offered',
+          bookingId: offered.id,
+          offerExpiresAt: new Date(
+            Date.now() + env.WAITLIST_OFFER_MINUTES * MINUTE
+          ),
+        },
+      })
+    } catch (error) {
+      if (!INELIGIBLE_STATUSES.includes(error.status)) {
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * Accept an offered slot: the pending booking becomes confirmed
+ * @param {number} id - Entry ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated entry
+ * @throws {Error} If entry not found (status 404)
+ * @throws {Error} If the entry belongs to someone else (status 403)
+ * @throws {Error} If there is no pending offer (status 409)
+ */
+export const accept = async (id, actor) => {
+  await expireStaleOffers()
+  const entry = await findById(id)
+
+  if (!isOwner(actor, entry)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  if (entry.status !== 'offered') {
+    const error = new Error('Aucune offre en attente pour cette inscription')
+    error.status = 409
+    throw error
+  }
+
+  await bookingService.transition(entry.bookingId, 'confirm', actor)
+
+  return prisma.waitlistEntry.update({
+    where: { id },
+    data: { status: 'accepted' },
+    include: entryInclude,
+  })
+}
+
+/**
+ * Decline an offered slot, which is then offered to the next waiter
+ * @param {number} id - Entry ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<Object>} Updated entry
+ * @throws {Error} If entry not found (status 404)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ * @throws {Error} If there is no pending offer (status 409)
+ */
+export const decline = async (id, actor) => {
+  const entry = await findById(id)
+
+  if (!canManage(actor, entry)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  if (entry.status !== 'offered') {
+    const error = new Error('Aucune offre en attente pour cette inscription')
+    error.status = 409
+    throw error
+  }
+
+  await releaseOffer(entry, 'declined', actor)
+
+  return findById(id)
+}
+
+/**
+ * Leave the waitlist (declines the pending offer if any)
+ * @param {number} id - Entry ID
+ * @param {{ userId: number, role: string }} actor - Authenticated user
+ * @returns {Promise<void>}
+ * @throws {Error} If entry not found (status 404)
+ * @throws {Error} If actor is neither the owner nor staff (status 403)
+ * @throws {Error} If the entry is already closed (status 409)
+ */
+export const leave = async (id, actor) => {
+  const entry = await findById(id)
+
+  if (!canManage(actor, entry)) {
+    const error = new Error('Accès interdit')
+    error.status = 403
+    throw error
+  }
+
+  if (entry.status === 'offered') {
+    await releaseOffer(entry, 'cancelled', actor)
+    return
+  }
+
+  if (entry.status !== 'waiting') {
+    const error = new Error('Cette inscription est déjà clôturée')
+    error.status = 409
+    throw error
+  }
+
+  await prisma.waitlistEntry.update({
+    where: { id },
+    data: { status: 'cancelled' },
+  })
+}
+
+// Offer every released slot to the waitlist
+bookingService.onSlotReleased(offerReleasedSlot)
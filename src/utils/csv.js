@@ -0,0 +1,113 @@
+/**
+ * Minimal CSV (RFC 4180) reader and writer
+ */
+
+const CRLF = '\r\n'
+
+/**
+ * Guess the delimiter from the header line
+ * Spreadsheets set to French use semicolons since the comma is the decimal mark
+ * @param {string} text - CSV text
+ * @returns {string} ',' or ';'
+ */
+const detectDelimiter = text => {
+  const header = text.slice(0, text.search(/\r?\n|$/))
+  return header.split(';').length > header.split(',').length ? ';' : ','
+}
+
+/**
+ * Split CSV text into rows of raw values
+ * Quoted values may hold delimiters, quotes ("") and line breaks
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Value delimiter
+ * @returns {Array<Array<string>>}
+ * @throws {Error} If a quoted value is never closed (status 400)
+ */
+const splitRows = (text, delimiter) => {
+  const rows = []
+  let row = []
+  let value = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+
+  if (quoted) {
+    const error = new Error('CSV invalide : guillemet non fermé')
+    error.status = 400
+    throw error
+  }
+
+  row.push(value)
+  rows.push(row)
+  return rows
+}
+
+/**
+ * Read CSV text whose first line names the columns
+ * Blank lines are skipped; missing trailing values are empty strings
+ * @param {string} text - CSV text (comma or semicolon delimited)
+ * @returns {Array<Object>} One object per line, keyed by column name
+ * @throws {Error} If the text is not valid CSV (status 400)
+ */
+export const parseCsv = text => {
+  const content = text.replace(/^\uFEFF/, '')
+  const [header, ...lines] = splitRows(content, detectDelimiter(content))
+  const columns = header.map(column => column.trim())
+
+  return lines
+    .filter(values => values.some(value => value.trim() !== ''))
+    .map(values =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, values[index] ?? ''])
+      )
+    )
+}
+
+/**
+ * Quote a value when it holds a delimiter, a quote or a line break
+ * @param {any} value - Raw value (null and undefined are written empty)
+ * @returns {string}
+ */
+const formatValue = value => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write records as comma-delimited CSV with a header line
+ * @param {Array<string>} columns - Columns, in order
+ * @param {Array<Object>} records - Records keyed by column
+ * @returns {string}
+ */
+export const stringifyCsv = (columns, records) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(values => values.map(formatValue).join(','))
+    .join(CRLF) + CRLF
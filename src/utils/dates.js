@@ -0,0 +1,39 @@
+/**
+ * Date helpers for HTML form inputs (local time)
+ */
+
+const pad = value => String(value).padStart(2, '0')
+
+/**
+ * Format a date for an <input type="date"> (YYYY-MM-DD)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export const toDateInput = date =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+/**
+ * Format a date for an <input type="datetime-local"> (YYYY-MM-DDTHH:MM)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export const toDateTimeInput = date =>
+  `${toDateInput(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+
+/**
+ * Parse a YYYY-MM-DD string as local midnight
+ * @param {string} value - Date string
+ * @returns {Date|null} Date, or null if invalid
+ */
+export const parseDateInput = value => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? '')
+  if (!match) {
+    return null
+  }
+  const date = new Date(
+    Number(match[1]),
+    Number(match[2]) - 1,
+    Number(match[3])
+  )
+  return isNaN(date) ? null : date
+}
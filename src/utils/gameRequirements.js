@@ -0,0 +1,78 @@
+// Hardware a game can require, with the station spec it is checked against
+export const REQUIREMENTS = [
+  { name: 'RamGb', stationField: 'ramGb', label: 'RAM', unit: 'Go' },
+  { name: 'VramGb', stationField: 'gpuVramGb', label: 'VRAM', unit: 'Go' },
+  {
+    name: 'StorageGb',
+    stationField: 'storageGb',
+    label: 'Stockage',
+    unit: 'Go',
+  },
+  { name: 'CpuCores', stationField: 'cpuCores', label: 'Coeurs CPU', unit: '' },
+]
+
+// Requirement levels, lowest first: `min` + name and `recommended` + name fields
+export const REQUIREMENT_LEVELS = ['min', 'recommended']
+
+// Every requirement field of a game (minRamGb, recommendedRamGb...)
+export const REQUIREMENT_FIELDS = REQUIREMENT_LEVELS.flatMap(level =>
+  REQUIREMENTS.map(({ name }) => `${level}${name}`)
+)
+
+/**
+ * Check a station against one requirement level of a game
+ * Requirements the game does not declare are always met
+ * @param {Object} game - Game
+ * @param {Object} station - Station with its structured specs
+ * @param {string} level - min or recommended
+ * @returns {{ met: boolean, missing: Array<string>, unknown: Array<string> }}
+ * Station fields that do not meet the requirement, or have no value to check
+ */
+const checkLevel = (game, station, level) => {
+  const missing = []
+  const unknown = []
+
+  REQUIREMENTS.forEach(({ name, stationField }) => {
+    const required = game[`${level}${name}`]
+    if (required === null || required === undefined) {
+      return
+    }
+
+    const value = station[stationField]
+    if (value === null || value === undefined) {
+      unknown.push(stationField)
+    } else if (value < required) {
+      missing.push(stationField)
+    }
+  })
+
+  return { met: missing.length === 0 && unknown.length === 0, missing, unknown }
+}
+
+/**
+ * Rate how well a station runs a game
+ * - recommended / min: every requirement of that level is met
+ * - below: a minimum requirement is not met
+ * - unknown: the station lacks a spec needed to tell
+ * @param {Object} game - Game with its requirements
+ * @param {Object} station - Station with its structured specs
+ * @returns {{ rating: string, missing: Array<string>, unknown: Array<string> }}
+ */
+export const rateStation = (game, station) => {
+  const minimum = checkLevel(game, station, 'min')
+
+  if (!minimum.met) {
+    return {
+      rating: minimum.missing.length > 0 ? 'below' : 'unknown',
+      missing: minimum.missing,
+      unknown: minimum.unknown,
+    }
+  }
+
+  const recommended = checkLevel(game, station, 'recommended')
+  return {
+    rating: recommended.met ? 'recommended' : 'min',
+    missing: recommended.missing,
+    unknown: recommended.unknown,
+  }
+}
@@ -0,0 +1,230 @@
+// Structured hardware fields deduced from the free-text specs of a station
+export const SPEC_FIELDS = [
+  'ramGb',
+  'storageGb',
+  'storageType',
+  'gpuVendor',
+  'gpuModel',
+  'gpuVramGb',
+  'cpuCores',
+  'cpuThreads',
+  'monitorRefreshHz',
+  'monitorResolution',
+]
+
+// Numeric specs searchable by range (?minRamGb=16&maxRamGb=64)
+export const SPEC_RANGE_FIELDS = [
+  'ramGb',
+  'storageGb',
+  'gpuVramGb',
+  'cpuCores',
+  'cpuThreads',
+  'monitorRefreshHz',
+]
+
+/**
+ * Query parameter names of a range filter
+ * @param {string} field - Entry of SPEC_RANGE_FIELDS
+ * @returns {{ min: string, max: string }} e.g. minRamGb and maxRamGb
+ */
+export const rangeParams = field => {
+  const suffix = field[0].toUpperCase() + field.slice(1)
+  return { min: `min${suffix}`, max: `max${suffix}` }
+}
+
+export const STORAGE_TYPES = ['nvme', 'ssd', 'hdd']
+export const GPU_VENDORS = ['nvidia', 'amd', 'intel']
+
+// Brand names found in GPU names, by vendor
+const GPU_VENDOR_NAMES = {
+  nvidia: 'nvidia',
+  geforce: 'nvidia',
+  amd: 'amd',
+  radeon: 'amd',
+  intel: 'intel',
+  arc: 'intel',
+}
+
+// Core and thread counts are not part of CPU names: known models only
+const KNOWN_CPUS = [
+  [/i9-1[34]900K/i, { cpuCores: 24, cpuThreads: 32 }],
+  [/i7-1[34]700K/i, { cpuCores: 16, cpuThreads: 24 }],
+  [/i5-13600K/i, { cpuCores: 14, cpuThreads: 20 }],
+  [/i5-14600K/i, { cpuCores: 14, cpuThreads: 20 }],
+  [/Ryzen 9 7950X/i, { cpuCores: 16, cpuThreads: 32 }],
+  [/Ryzen 9 7900X/i, { cpuCores: 12, cpuThreads: 24 }],
+  [/Ryzen 7 7800X3D/i, { cpuCores: 8, cpuThreads: 16 }],
+  [/Ryzen 7 7700X/i, { cpuCores: 8, cpuThreads: 16 }],
+  [/Ryzen 5 7600X/i, { cpuCores: 6, cpuThreads: 12 }],
+]
+
+// Same for VRAM, most specific names first (4070 Ti before 4070)
+const KNOWN_GPUS = [
+  [/RTX 4090/i, 24],
+  [/RTX 4080/i, 16],
+  [/RTX 4070 Ti/i, 12],
+  [/RTX 4070/i, 12],
+  [/RTX 4060 Ti/i, 8],
+  [/RTX 4060/i, 8],
+  [/RTX 3090/i, 24],
+  [/RTX 3080/i, 10],
+  [/RTX 3070/i, 8],
+  [/RTX 3060/i, 12],
+  [/RX 7900 XTX/i, 24],
+  [/RX 7900 XT/i, 20],
+  [/RX 7800 XT/i, 16],
+  [/RX 7600/i, 8],
+  [/Arc A770/i, 16],
+]
+
+// Shorthand resolutions found in monitor names
+const RESOLUTION_ALIASES = {
+  '1080p': '1920x1080',
+  '1440p': '2560x1440',
+  '4k': '3840x2160',
+}
+
+/**
+ * Read a size in GB from a text such as "32GB DDR5" or "2TB NVMe SSD"
+ * @param {string} text - Free text
+ * @returns {number|null} Size in GB (1 TB = 1000 GB, as sold)
+ */
+const parseSize = text => {
+  const match = /(\d+(?:\.\d+)?)\s*(TB|GB)/i.exec(text)
+  if (!match) {
+    return null
+  }
+
+  const size = Number(match[1])
+  return Math.round(match[2].toUpperCase() === 'TB' ? size * 1000 : size)
+}
+
+/**
+ * Deduce CPU core and thread counts
+ * Explicit "8C/16T" notations win over the known models table
+ * @param {string} cpu - CPU name
+ * @returns {{ cpuCores: number|null, cpuThreads: number|null }}
+ */
+const parseCpu = cpu => {
+  const explicit = /(\d+)\s*C\s*\/\s*(\d+)\s*T/i.exec(cpu)
+  if (explicit) {
+    return { cpuCores: Number(explicit[1]), cpuThreads: Number(explicit[2]) }
+  }
+
+  const known = KNOWN_CPUS.find(([pattern]) => pattern.test(cpu))
+  return known ? known[1] : { cpuCores: null, cpuThreads: null }
+}
+
+/**
+ * Deduce GPU vendor, model and VRAM
+ * @param {string} gpu - GPU name, e.g. "NVIDIA RTX 4080" or "AMD Radeon RX 7900 XT"
+ * @returns {{ gpuVendor: string|null, gpuModel: string|null, gpuVramGb: number|null }}
+ */
+const parseGpu = gpu => {
+  const vendor = /\b(nvidia|geforce|amd|radeon|intel|arc)\b/i.exec(gpu)
+  const gpuVendor = vendor ? GPU_VENDOR_NAMES[vendor[1].toLowerCase()] : null
+
+  const gpuModel =
+    gpu
+      .replace(/\b(nvidia|geforce|amd|radeon|intel)\b/gi, '')
+      .replace(/\d+\s*GB/i, '')
+      .replace(/\s+/g, ' ')
+      .trim() || null
+
+  const known = KNOWN_GPUS.find(([pattern]) => pattern.test(gpu))
+  const gpuVramGb = parseSize(gpu) ?? (known ? known[1] : null)
+
+  return { gpuVendor, gpuModel, gpuVramGb }
+}
+
+/**
+ * Deduce monitor refresh rate and resolution
+ * @param {string} monitor - Monitor name, e.g. 'LG UltraGear 27" 165Hz'
+ * @returns {{ monitorRefreshHz: number|null, monitorResolution: string|null }}
+ */
+const parseMonitor = monitor => {
+  const refresh = /(\d+)\s*Hz/i.exec(monitor)
+  const explicit = /(\d{3,5})\s*x\s*(\d{3,5})/i.exec(monitor)
+  const alias = /\b(1080p|1440p|4k)\b/i.exec(monitor)
+
+  let monitorResolution = null
+  if (explicit) {
+    monitorResolution = `${explicit[1]}x${explicit[2]}`
+  } else if (alias) {
+    monitorResolution = RESOLUTION_ALIASES[alias[1].toLowerCase()]
+  }
+
+  return {
+    monitorRefreshHz: refresh ? Number(refresh[1]) : null,
+    monitorResolution,
+  }
+}
+
+/**
+ * Deduce the structured hardware fields from the free-text specs
+ * Fields that cannot be read from the text are null
+ * @param {Object} station - Station text fields
+ * @param {string} [station.cpu] - CPU
+ * @param {string} [station.gpu] - Graphics card
+ * @param {string} [station.ram] - RAM
+ * @param {string} [station.storage] - Storage
+ * @param {string} [station.monitor] - Monitor
+ * @returns {Object} Value of every SPEC_FIELDS entry
+ */
+export const parseHardwareSpecs = ({
+  cpu = '',
+  gpu = '',
+  ram = '',
+  storage = '',
+  monitor = '',
+}) => {
+  const storageType = /nvme/i.test(storage)
+    ? 'nvme'
+    : (/\b(ssd|hdd)\b/i.exec(storage)?.[1].toLowerCase() ?? null)
+
+  return {
+    ramGb: parseSize(ram),
+    storageGb: parseSize(storage),
+    storageType,
+    ...parseGpu(gpu),
+    ...parseCpu(cpu),
+    ...parseMonitor(monitor),
+  }
+}
+
+// Free-text field each structured spec is read from
+const SPEC_SOURCES = {
+  ramGb: 'ram',
+  storageGb: 'storage',
+  storageType: 'storage',
+  gpuVendor: 'gpu',
+  gpuModel: 'gpu',
+  gpuVramGb: 'gpu',
+  cpuCores: 'cpu',
+  cpuThreads: 'cpu',
+  monitorRefreshHz: 'monitor',
+  monitorResolution: 'monitor',
+}
+
+/**
+ * Fill the structured fields left empty with the values read from the text
+ * Explicit values win, except on update when the text changed and the value
+ * is the stored one re-posted by the form: it is deduced again
+ * @param {Object} data - Station data
+ * @param {Object} [stored] - Record being updated
+ * @returns {Object} Station data with every SPEC_FIELDS entry set
+ */
+export const withHardwareSpecs = (data, stored) => {
+  const parsed = parseHardwareSpecs(data)
+  const isStale = field =>
+    stored !== undefined &&
+    data[SPEC_SOURCES[field]] !== stored[SPEC_SOURCES[field]] &&
+    data[field] === stored[field]
+  const specs = Object.fromEntries(
+    SPEC_FIELDS.map(field => [
+      field,
+      isStale(field) ? parsed[field] : (data[field] ?? parsed[field]),
+    ])
+  )
+  return { ...data, ...specs }
+}
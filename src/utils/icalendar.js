@@ -0,0 +1,110 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer
+ */
+
+const CRLF = '\r\n'
+
+// Content lines longer than 75 octets must be folded (RFC 5545 §3.1)
+const MAX_LINE_OCTETS = 75
+
+/**
+ * Escape a TEXT property value (RFC 5545 §3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export const escapeText = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+/**
+ * Format a date as a UTC DATE-TIME value (e.g. 20251205T200000Z)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export const formatDateTime = date =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+const foldLine = line => {
+  const parts = []
+  let current = ''
+  let octets = 0
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current)
+      current = ' '
+      octets = 1
+    }
+    current += char
+    octets += size
+  }
+  parts.push(current)
+
+  return parts.join(CRLF)
+}
+
+/**
+ * Build a VEVENT component
+ * @param {Object} event - Event data
+ * @param {string} event.uid - Stable unique identifier
+ * @param {number} event.sequence - Revision number, incremented on each change
+ * @param {Date} event.stamp - Last modification of the event
+ * @param {Date} event.start - Start
+ * @param {Date} event.end - End
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Location
+ * @param {string} event.status - TENTATIVE, CONFIRMED or CANCELLED
+ * @returns {Array<string>} Content lines
+ */
+const eventLines = event => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `SEQUENCE:${event.sequence}`,
+  `DTSTAMP:${formatDateTime(event.stamp)}`,
+  `LAST-MODIFIED:${formatDateTime(event.stamp)}`,
+  `DTSTART:${formatDateTime(event.start)}`,
+  `DTEND:${formatDateTime(event.end)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description
+    ? [`DESCRIPTION:${escapeText(event.description)}`]
+    : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  `STATUS:${event.status}`,
+  'END:VEVENT',
+]
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} calendar - Calendar data
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {Array<Object>} calendar.events - Events (see eventLines)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LAN Party Manager//Bookings//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR',
+  ]
+
+  return lines.map(foldLine).join(CRLF) + CRLF
+}
@@ -0,0 +1,29 @@
+/**
+ * Helpers to report the outcome of a form action on the next page
+ * Messages travel in the query string (?error= / ?success=)
+ */
+
+/**
+ * Redirect with a message in the query string
+ * @param {Object} res - Express response
+ * @param {string} url - Target URL (may already have a query string)
+ * @param {string} type - error or success
+ * @param {string} message - Message to show
+ */
+export const redirectWith = (res, url, type, message) => {
+  const separator = url.includes('?') ? '&' : '?'
+  res.redirect(`${url}${separator}${type}=${encodeURIComponent(message)}`)
+}
+
+/**
+ * Message of a business error (4xx), rethrow anything else
+ * @param {Error} error - Error thrown by a service
+ * @returns {string}
+ */
+export const businessMessage = error => {
+  if (!error.status || error.status >= 500) {
+    throw error
+  }
+  const details = error.errors ?? error.details?.violations ?? []
+  return [error.message, ...details.map(detail => detail.message)].join(' : ')
+}